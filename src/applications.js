@@ -0,0 +1,266 @@
+import { z } from "zod";
+
+import { TOOL_DESCRIPTIONS, TOOL_ARGS, APPLICATIONS } from './constants.js';
+import { findJob } from './job-feedback.js';
+
+// Application tracker: one application per indexed job, moving through stages with dates, contacts,
+// notes and a follow-up reminder. Applications due a follow-up are listed in the digest email.
+
+export const APPLICATION_STAGES = ['applied', 'screen', 'onsite', 'offer', 'closed'];
+
+export const CLOSED_REASONS = ['rejected', 'withdrawn', 'declined', 'accepted', 'no_response'];
+
+// The job's userStatus (see job-feedback.js) kept in step with its application
+const STAGE_USER_STATUS = { applied: 'applied', screen: 'interviewing', onsite: 'interviewing', offer: 'offer' };
+
+const ContactSchema = z.object({
+  name: z.string(),
+  role: z.string().optional(),
+  email: z.string().optional()
+});
+
+function parseDate(value, name) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`${name} "${value}" is not a valid date`);
+  }
+  return new Date(time).toISOString();
+}
+
+// When the next follow-up is due after reaching a stage at the given time. Closed applications have none.
+function scheduleFollowUp(stage, from) {
+  const days = APPLICATIONS.FOLLOW_UP_DAYS[stage];
+  if (!days) return null;
+  return new Date(Date.parse(from) + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Find an application by its ID, or by the ID or URL of the job it is for
+async function findApplication(jobStore, reference) {
+  const application = await jobStore.getApplication(reference);
+  if (application) return application;
+  const job = await findJob(jobStore, reference);
+  return job ? jobStore.getApplicationForJob(job.id) : null;
+}
+
+// Keep the job's own status in line with the application
+async function syncUserStatus(jobStore, application, note) {
+  const status = application.stage === 'closed'
+    ? (application.closedReason === 'rejected' ? 'rejected' : null)
+    : STAGE_USER_STATUS[application.stage];
+  if (!status || !application.jobId) return;
+  const job = await jobStore.getJob(application.jobId);
+  if (job && job.userStatus?.status !== status) {
+    await jobStore.recordJobFeedback(job.id, { status, note });
+  }
+}
+
+function formatDay(iso) {
+  return iso ? iso.split('T')[0] : 'none';
+}
+
+// Multi-line summary of an application for tool output
+export function formatApplication(application) {
+  let text = `${application.title} at ${application.company} [${application.id}]\n`;
+  text += `   Stage: ${application.stage}${application.closedReason ? ` (${application.closedReason})` : ''}`;
+  text += ` since ${formatDay(application.stageHistory[application.stageHistory.length - 1].at)}, applied ${formatDay(application.appliedAt)}\n`;
+  if (application.followUpAt) {
+    text += `   Follow up: ${formatDay(application.followUpAt)}\n`;
+  }
+  if (application.contacts.length > 0) {
+    text += `   Contacts: ${application.contacts.map(c => [c.name, c.role, c.email].filter(Boolean).join(', ')).join('; ')}\n`;
+  }
+  const lastNote = application.notes[application.notes.length - 1];
+  if (lastNote) {
+    text += `   Last note (${formatDay(lastNote.at)}): ${lastNote.text}\n`;
+  }
+  if (application.url) {
+    text += `   URL: ${application.url}\n`;
+  }
+  return text;
+}
+
+export function getCreateApplicationTool(agent) {
+  return {
+    name: "create_application",
+    description: TOOL_DESCRIPTIONS.CREATE_APPLICATION,
+    args: {
+      jobId: z.string().describe(TOOL_ARGS.APPLICATION_JOB_ID),
+      appliedAt: z.string().optional().describe(TOOL_ARGS.APPLICATION_DATE),
+      contact: ContactSchema.optional().describe(TOOL_ARGS.APPLICATION_CONTACT),
+      note: z.string().optional().describe(TOOL_ARGS.APPLICATION_NOTE),
+      followUpDate: z.string().optional().describe(TOOL_ARGS.APPLICATION_FOLLOW_UP)
+    },
+    handler: async ({ jobId, appliedAt, contact, note, followUpDate }) => {
+      try {
+        const job = await findJob(agent.jobStore, jobId);
+        if (!job) {
+          return {
+            content: [{ type: "text", text: `No job found for "${jobId}". Use get_job_index to look up job IDs.` }],
+            isError: true
+          };
+        }
+        const existing = await agent.jobStore.getApplicationForJob(job.id);
+        if (existing) {
+          return {
+            content: [{ type: "text", text: `${job.title} at ${job.company} already has application ${existing.id} (${existing.stage}). Use advance_application to update it.` }],
+            isError: true
+          };
+        }
+
+        const applied = parseDate(appliedAt, 'appliedAt') || new Date().toISOString();
+        const application = await agent.jobStore.saveApplication({
+          id: crypto.randomUUID(),
+          jobId: job.id,
+          title: job.title,
+          company: job.company,
+          url: job.url,
+          stage: 'applied',
+          appliedAt: applied,
+          stageHistory: [{ stage: 'applied', at: applied, note: note || null }],
+          contacts: contact ? [contact] : [],
+          notes: note ? [{ at: applied, text: note }] : [],
+          followUpAt: parseDate(followUpDate, 'followUpDate') || scheduleFollowUp('applied', applied),
+          closedReason: null
+        });
+        await syncUserStatus(agent.jobStore, application, note || null);
+
+        return {
+          content: [{ type: "text", text: `Tracking application:\n${formatApplication(application)}` }],
+          structuredContent: { application }
+        };
+      } catch (error) {
+        console.error('Error creating application:', error);
+        return {
+          content: [{ type: "text", text: `Error creating application: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    options: {
+      title: "Create Application",
+      readOnlyHint: false,
+      openWorldHint: false
+    }
+  };
+}
+
+export function getAdvanceApplicationTool(agent) {
+  return {
+    name: "advance_application",
+    description: TOOL_DESCRIPTIONS.ADVANCE_APPLICATION,
+    args: {
+      application: z.string().describe(TOOL_ARGS.APPLICATION_ID),
+      stage: z.enum(APPLICATION_STAGES).optional().describe(TOOL_ARGS.APPLICATION_STAGE),
+      date: z.string().optional().describe(TOOL_ARGS.APPLICATION_DATE),
+      contact: ContactSchema.optional().describe(TOOL_ARGS.APPLICATION_CONTACT),
+      note: z.string().optional().describe(TOOL_ARGS.APPLICATION_NOTE),
+      followUpDate: z.string().optional().describe(TOOL_ARGS.APPLICATION_FOLLOW_UP),
+      closedReason: z.enum(CLOSED_REASONS).optional().describe(TOOL_ARGS.APPLICATION_CLOSED_REASON)
+    },
+    handler: async ({ application: reference, stage, date, contact, note, followUpDate, closedReason }) => {
+      try {
+        const current = await findApplication(agent.jobStore, reference);
+        if (!current) {
+          return {
+            content: [{ type: "text", text: `No application found for "${reference}". Use list_applications to look up application IDs.` }],
+            isError: true
+          };
+        }
+        if (current.stage === 'closed') {
+          return {
+            content: [{ type: "text", text: `Application ${current.id} is closed${current.closedReason ? ` (${current.closedReason})` : ''}.` }],
+            isError: true
+          };
+        }
+
+        const currentIndex = APPLICATION_STAGES.indexOf(current.stage);
+        const nextStage = stage || APPLICATION_STAGES[currentIndex + 1];
+        if (APPLICATION_STAGES.indexOf(nextStage) < currentIndex) {
+          return {
+            content: [{ type: "text", text: `Application ${current.id} is already at ${current.stage}; it can't move back to ${nextStage}.` }],
+            isError: true
+          };
+        }
+
+        const at = parseDate(date, 'date') || new Date().toISOString();
+        const stageChanged = nextStage !== current.stage;
+        const updated = {
+          ...current,
+          stage: nextStage,
+          stageHistory: stageChanged
+            ? [...current.stageHistory, { stage: nextStage, at, note: note || null }]
+            : current.stageHistory,
+          contacts: contact ? [...current.contacts, contact] : current.contacts,
+          notes: note ? [...current.notes, { at, text: note }] : current.notes,
+          // Staying at the same stage logs a follow-up, so the next reminder counts from now
+          followUpAt: parseDate(followUpDate, 'followUpDate') || scheduleFollowUp(nextStage, at),
+          closedReason: nextStage === 'closed' ? (closedReason || null) : null
+        };
+        const application = await agent.jobStore.saveApplication(updated);
+        await syncUserStatus(agent.jobStore, application, note || null);
+
+        const summary = stageChanged ? `Moved from ${current.stage} to ${nextStage}` : `Updated at ${nextStage}`;
+        return {
+          content: [{ type: "text", text: `${summary}:\n${formatApplication(application)}` }],
+          structuredContent: { application, previousStage: current.stage }
+        };
+      } catch (error) {
+        console.error('Error advancing application:', error);
+        return {
+          content: [{ type: "text", text: `Error advancing application: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    options: {
+      title: "Advance Application",
+      readOnlyHint: false,
+      openWorldHint: false
+    }
+  };
+}
+
+export function getListApplicationsTool(agent) {
+  return {
+    name: "list_applications",
+    description: TOOL_DESCRIPTIONS.LIST_APPLICATIONS,
+    args: {
+      stage: z.enum(APPLICATION_STAGES).optional().describe(TOOL_ARGS.APPLICATION_STAGE),
+      followUpsDue: z.boolean().optional().describe(TOOL_ARGS.APPLICATIONS_FOLLOW_UPS_DUE),
+      includeClosed: z.boolean().optional().describe(TOOL_ARGS.APPLICATIONS_INCLUDE_CLOSED)
+    },
+    handler: async ({ stage, followUpsDue = false, includeClosed = false }) => {
+      try {
+        const applications = await agent.jobStore.listApplications({
+          stage,
+          includeClosed,
+          followUpDueBy: followUpsDue ? new Date().toISOString() : undefined
+        });
+        if (applications.length === 0) {
+          return {
+            content: [{ type: "text", text: followUpsDue ? "No follow-ups due." : "No applications found. Use create_application to start tracking one." }],
+            structuredContent: { applications: [] }
+          };
+        }
+
+        const heading = followUpsDue ? `Follow-ups due (${applications.length})` : `Applications (${applications.length})`;
+        return {
+          content: [{ type: "text", text: `${heading}:\n\n${applications.map((a, i) => `${i + 1}. ${formatApplication(a)}`).join('\n')}` }],
+          structuredContent: { applications }
+        };
+      } catch (error) {
+        console.error('Error listing applications:', error);
+        return {
+          content: [{ type: "text", text: `Error listing applications: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    options: {
+      title: "List Applications",
+      readOnlyHint: true,
+      openWorldHint: false
+    }
+  };
+}
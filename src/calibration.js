@@ -0,0 +1,252 @@
+import { TOOL_DESCRIPTIONS, CALIBRATION } from './constants.js';
+
+// Learning from the user's feedback. Rated jobs are shown to the LLM as liked and disliked examples,
+// and a Platt scaling fitted on (raw LLM score, interested?) pairs maps raw scores to the observed
+// chance the user is interested. Calibrated scores become `matchScore`; the LLM's own is kept as `rawMatchScore`.
+
+// Statuses that show interest when a job hasn't been rated. 'rejected' says nothing about the user's interest.
+const INTERESTED_STATUSES = ['interested', 'applied', 'interviewing', 'offer'];
+
+// 1 if the user is interested in the job, 0 if not, or null if they haven't said. Ratings take precedence.
+export function getInterestLabel(job) {
+  if (job.userRating) {
+    return job.userRating.rating === 'up' ? 1 : 0;
+  }
+  const status = job.userStatus?.status;
+  if (INTERESTED_STATUSES.includes(status)) return 1;
+  if (status === 'not_interested') return 0;
+  return null;
+}
+
+// The uncalibrated LLM score of a job, or null if it wasn't scored by the LLM
+export function getRawScore(job) {
+  if (job.scanStatus !== 'completed' || job.scoreSource === 'fallback') return null;
+  const score = job.rawMatchScore ?? job.matchScore;
+  return typeof score === 'number' ? score : null;
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+// Fit p(interested | score) = sigmoid(a * score + b) with Newton's method, using Platt's smoothed
+// targets so the fit stays finite when liked and disliked scores don't overlap. Returns null if it fails.
+export function fitPlattScaling(samples) {
+  const positives = samples.filter(sample => sample.label === 1).length;
+  const negatives = samples.length - positives;
+  const highTarget = (positives + 1) / (positives + 2);
+  const lowTarget = 1 / (negatives + 2);
+
+  let a = 0;
+  let b = Math.log((positives + 1) / (negatives + 1));
+  for (let iteration = 0; iteration < 100; iteration++) {
+    let gradA = 0, gradB = 0, hessAA = 1e-6, hessBB = 1e-6, hessAB = 0;
+    for (const { score, label } of samples) {
+      const p = sigmoid(a * score + b);
+      const error = p - (label === 1 ? highTarget : lowTarget);
+      const weight = p * (1 - p);
+      gradA += error * score;
+      gradB += error;
+      hessAA += weight * score * score;
+      hessBB += weight;
+      hessAB += weight * score;
+    }
+    const determinant = hessAA * hessBB - hessAB * hessAB;
+    if (determinant <= 0) break;
+    const stepA = (hessBB * gradA - hessAB * gradB) / determinant;
+    const stepB = (hessAA * gradB - hessAB * gradA) / determinant;
+    a -= stepA;
+    b -= stepB;
+    if (Math.abs(stepA) < 1e-6 && Math.abs(stepB) < 1e-6) break;
+  }
+
+  return Number.isFinite(a) && Number.isFinite(b) ? { a, b } : null;
+}
+
+// Map a raw LLM score through the fitted calibration. Without a model the raw score is returned as-is.
+export function applyCalibration(model, rawScore) {
+  if (!model || typeof rawScore !== 'number') return rawScore;
+  return Math.round(sigmoid(model.a * rawScore + model.b) * 100) / 100;
+}
+
+function latestFeedbackAt(job) {
+  return [job.userRating?.at, job.userStatus?.at].filter(Boolean).sort().pop() || '';
+}
+
+// Build the calibration from the job store: the labelled jobs, the most recent liked and disliked
+// examples for the prompt, and the fitted model (null until there is enough feedback)
+export async function buildCalibration(jobStore) {
+  const feedbackJobs = await jobStore.listJobs({ hasFeedback: true });
+  const labelled = feedbackJobs
+    .map(job => ({ job, label: getInterestLabel(job), score: getRawScore(job) }))
+    .filter(entry => entry.label !== null)
+    .sort((x, y) => latestFeedbackAt(y.job).localeCompare(latestFeedbackAt(x.job)));
+
+  const examples = {
+    liked: labelled.filter(entry => entry.label === 1).slice(0, CALIBRATION.MAX_EXAMPLES_PER_CLASS).map(entry => entry.job),
+    disliked: labelled.filter(entry => entry.label === 0).slice(0, CALIBRATION.MAX_EXAMPLES_PER_CLASS).map(entry => entry.job)
+  };
+
+  const samples = labelled.filter(entry => entry.score !== null);
+  const positives = samples.filter(sample => sample.label === 1).length;
+  const negatives = samples.length - positives;
+  const enoughFeedback = samples.length >= CALIBRATION.MIN_SAMPLES
+    && positives >= CALIBRATION.MIN_PER_CLASS
+    && negatives >= CALIBRATION.MIN_PER_CLASS;
+  const fit = enoughFeedback ? fitPlattScaling(samples) : null;
+
+  return {
+    labelled,
+    samples,
+    examples,
+    model: fit ? { ...fit, samples: samples.length, positives, negatives, fittedAt: new Date().toISOString() } : null
+  };
+}
+
+function summarizeExample(job) {
+  const note = job.userRating?.note || job.userStatus?.note;
+  const details = job.requirements?.length
+    ? `Requirements: ${job.requirements.join('; ')}`
+    : (job.description || '');
+  const parts = [`- "${job.title}" at ${job.company}${job.location ? ` (${job.location})` : ''}`];
+  if (details) parts.push(details.substring(0, CALIBRATION.EXAMPLE_SUMMARY_LENGTH));
+  if (note) parts.push(`Candidate's note: ${note}`);
+  return parts.join('. ');
+}
+
+// Prompt section with the liked and disliked examples, or '' when the user hasn't rated anything
+export function formatFewShotExamples(examples) {
+  if (!examples || (examples.liked.length === 0 && examples.disliked.length === 0)) {
+    return '';
+  }
+  let text = `Jobs the candidate has already judged. Score similar jobs the same way:`;
+  if (examples.liked.length > 0) {
+    text += `\nLiked:\n${examples.liked.map(summarizeExample).join('\n')}`;
+  }
+  if (examples.disliked.length > 0) {
+    text += `\nNot interested:\n${examples.disliked.map(summarizeExample).join('\n')}`;
+  }
+  return text;
+}
+
+// Agreement between predicted scores and the user's verdicts
+function measureAgreement(samples, predict) {
+  const predictions = samples.map(sample => ({ ...sample, predicted: predict(sample.score) }));
+  const liked = predictions.filter(p => p.label === 1);
+  const disliked = predictions.filter(p => p.label === 0);
+  const mean = list => list.length ? list.reduce((sum, p) => sum + p.predicted, 0) / list.length : null;
+
+  // Share of liked/disliked pairs where the liked job scored higher (ties count half)
+  let concordant = 0;
+  for (const l of liked) {
+    for (const d of disliked) {
+      concordant += l.predicted > d.predicted ? 1 : l.predicted === d.predicted ? 0.5 : 0;
+    }
+  }
+
+  return {
+    accuracy: predictions.filter(p => (p.predicted >= CALIBRATION.INTEREST_THRESHOLD ? 1 : 0) === p.label).length / predictions.length,
+    rankingAgreement: liked.length && disliked.length ? concordant / (liked.length * disliked.length) : null,
+    brierScore: predictions.reduce((sum, p) => sum + (p.predicted - p.label) ** 2, 0) / predictions.length,
+    meanLikedScore: mean(liked),
+    meanDislikedScore: mean(disliked)
+  };
+}
+
+function formatNumber(value) {
+  return value === null ? 'n/a' : value.toFixed(2);
+}
+
+function formatAgreement(label, agreement) {
+  return `${label}: ${Math.round(agreement.accuracy * 100)}% agree at ${CALIBRATION.INTEREST_THRESHOLD}, ` +
+    `ranking agreement ${formatNumber(agreement.rankingAgreement)}, Brier ${formatNumber(agreement.brierScore)}, ` +
+    `mean score liked ${formatNumber(agreement.meanLikedScore)} vs not interested ${formatNumber(agreement.meanDislikedScore)}`;
+}
+
+export function getCalibrationReportTool(agent) {
+  return {
+    name: "calibration_report",
+    description: TOOL_DESCRIPTIONS.CALIBRATION_REPORT,
+    args: {},
+    handler: async () => {
+      try {
+        const { labelled, samples, examples, model } = await buildCalibration(agent.jobStore);
+        if (labelled.length === 0) {
+          return {
+            content: [{ type: "text", text: "No rated jobs yet. Use rate_job or set_job_status to give feedback on jobs." }],
+            structuredContent: { ratedJobs: 0, model: null }
+          };
+        }
+
+        const liked = labelled.filter(entry => entry.label === 1).length;
+        let text = `Calibration Report\n`;
+        text += `• Rated jobs: ${labelled.length} (${liked} liked, ${labelled.length - liked} not interested)\n`;
+        text += `• With an LLM score: ${samples.length}\n`;
+
+        const raw = samples.length ? measureAgreement(samples, score => score) : null;
+        const calibrated = samples.length && model ? measureAgreement(samples, score => applyCalibration(model, score)) : null;
+
+        if (model) {
+          const mapping = [0.2, 0.4, 0.6, 0.8].map(score => `${score}→${applyCalibration(model, score)}`).join(', ');
+          text += `• Calibration: sigmoid(${model.a.toFixed(2)} × score ${model.b < 0 ? '-' : '+'} ${Math.abs(model.b).toFixed(2)}), fitted on ${model.samples} jobs\n`;
+          text += `• Mapping: ${mapping}\n`;
+        } else {
+          text += `• Calibration: not fitted yet (needs ${CALIBRATION.MIN_SAMPLES} rated jobs with LLM scores, at least ${CALIBRATION.MIN_PER_CLASS} liked and ${CALIBRATION.MIN_PER_CLASS} not interested). Raw scores are used as-is.\n`;
+        }
+
+        if (raw) {
+          text += `\nAgreement with your ratings:\n`;
+          text += `• ${formatAgreement('Raw LLM scores', raw)}\n`;
+          if (calibrated) {
+            text += `• ${formatAgreement('Calibrated scores', calibrated)} (in-sample)\n`;
+          }
+
+          const predict = score => applyCalibration(model, score);
+          const disagreements = samples
+            .map(sample => ({ ...sample, predicted: predict(sample.score) }))
+            .filter(sample => (sample.predicted >= CALIBRATION.INTEREST_THRESHOLD ? 1 : 0) !== sample.label)
+            .sort((x, y) => Math.abs(y.predicted - y.label) - Math.abs(x.predicted - x.label))
+            .slice(0, 5);
+          if (disagreements.length > 0) {
+            text += `\nBiggest disagreements:\n`;
+            text += disagreements
+              .map(({ job, label, predicted }) => `• ${job.title} at ${job.company} [${job.id}]: scored ${predicted}, you ${label ? 'liked it' : 'were not interested'}`)
+              .join('\n');
+            text += `\n`;
+          }
+        }
+
+        const exampleText = formatFewShotExamples(examples);
+        if (exampleText) {
+          text += `\nExamples given to the LLM when scoring:\n${exampleText}\n`;
+        }
+
+        return {
+          content: [{ type: "text", text }],
+          structuredContent: {
+            ratedJobs: labelled.length,
+            liked,
+            scoredSamples: samples.length,
+            model,
+            agreement: { raw, calibrated },
+            exampleJobIds: {
+              liked: examples.liked.map(job => job.id),
+              disliked: examples.disliked.map(job => job.id)
+            }
+          }
+        };
+      } catch (error) {
+        console.error('Error building calibration report:', error);
+        return {
+          content: [{ type: "text", text: `Error building calibration report: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    options: {
+      title: "Calibration Report",
+      readOnlyHint: true,
+      openWorldHint: false
+    }
+  };
+}
@@ -1,6 +1,7 @@
 import { z } from "zod";
 
 import { TOOL_DESCRIPTIONS, TOOL_SUCCESS } from './constants.js';
+import { getScanState } from './scan-state.js';
 
 export function getCancelScanTool(agent) {
   return {
@@ -8,23 +9,25 @@ export function getCancelScanTool(agent) {
     description: TOOL_DESCRIPTIONS.CANCEL_SCAN,
     args: {},
     handler: async () => {
-      const { backgroundJobs } = agent;
+      const currentScan = await getScanState(agent);
       
-      if (!backgroundJobs.scan.inProgress) {
+      if (!currentScan.inProgress) {
         return {
           content: [{ type: "text", text: "No scan is currently in progress." }],
           structuredContent: { 
             success: false, 
             message: "No scan is currently in progress.",
-            currentStatus: backgroundJobs.scan.status
+            currentStatus: currentScan.status
           }
         };
       }
       
-      // Set cancellation flag
-      backgroundJobs.scan.cancelled = true;
-      backgroundJobs.scan.status = 'cancelling';
-      backgroundJobs.scan.endTime = new Date().toISOString();
+      // Set cancellation flag. The scan may be running in another session, which picks it up from storage.
+      await agent.jobStore.requestScanCancellation(currentScan.runId);
+      if (agent.backgroundJobs.scan.runId === currentScan.runId) {
+        agent.backgroundJobs.scan.cancelled = true;
+        agent.backgroundJobs.scan.status = 'cancelling';
+      }
       
       console.log('Scan cancellation requested by user');
       
@@ -33,7 +36,7 @@ export function getCancelScanTool(agent) {
         structuredContent: { 
           success: true, 
           message: "Scan cancellation requested. The scan will stop after the current job completes.",
-          previousStatus: backgroundJobs.scan.status,
+          previousStatus: currentScan.status,
           newStatus: 'cancelling'
         }
       };
@@ -0,0 +1,121 @@
+import { parseApplicantCount } from './linkedin-extract.js';
+
+// Details LinkedIn shows on a search result card besides its title, company and location: when it was posted,
+// whether it takes Easy Apply, is promoted or actively recruiting, how many have applied, and a salary snippet.
+// They are stored on the job as `cardDetails` (with `postedAt` at the top level, as board postings have it) so
+// jobs can be filtered and ordered before they are deep scanned.
+
+const RELATIVE_UNITS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000
+};
+
+const EASY_APPLY_PATTERN = /\beasy apply\b/i;
+const PROMOTED_PATTERN = /\bpromoted\b/i;
+const ACTIVELY_RECRUITING_PATTERN = /\bactively (recruiting|hiring)\b/i;
+const APPLICANTS_PATTERN = /be an early applicant|(?:be among the first |over )?\d[\d,]*\+?\s+applicants?/i;
+
+// A salary snippet such as "$120K/yr - $150K/yr", "A$90 - A$110/hr" or "£50,000 - £60,000 a year"
+const CURRENCY_SYMBOLS = { 'A$': 'AUD', 'CA$': 'CAD', 'NZ$': 'NZD', '£': 'GBP', '€': 'EUR', '₹': 'INR' };
+const SALARY_AMOUNT = '(?:A\\$|CA\\$|NZ\\$|[$£€₹])\\s?\\d[\\d,.]*\\s?[kK]?';
+const SALARY_PATTERN = new RegExp(`${SALARY_AMOUNT}(?:\\s?\\/\\s?[a-z]+)?(?:\\s*[-–]\\s*${SALARY_AMOUNT})?(?:\\s?(?:\\/\\s?|per |an? )[a-z]+)?`);
+const SALARY_PERIODS = [
+  [/\/\s?(yr|year)\b|\b(per|a|an) (year|annum)\b/i, 'year'],
+  [/\/\s?(mo|month)\b|\b(per|a) month\b/i, 'month'],
+  [/\/\s?(wk|week)\b|\b(per|a) week\b/i, 'week'],
+  [/\/\s?day\b|\b(per|a) day\b/i, 'day'],
+  [/\/\s?(hr|hour)\b|\b(per|an) hour\b/i, 'hour']
+];
+
+function collapse(text) {
+  return (text || '').replace(/\s+/g, ' ').trim() || null;
+}
+
+function toIsoDate(value) {
+  const time = Date.parse(value || '');
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// The time a relative posted text such as "2 hours ago", "Reposted 3 weeks ago" or "Just now" refers to
+export function parseRelativeTime(text, now = Date.now()) {
+  const value = (text || '').toLowerCase();
+  if (/\bjust now\b|\bmoments? ago\b/.test(value)) {
+    return new Date(now).toISOString();
+  }
+  const match = value.match(/(\d+|an?)\s+(second|minute|hour|day|week|month|year)s?\s+ago/);
+  if (!match) return null;
+  const count = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : 1;
+  return new Date(now - count * RELATIVE_UNITS[match[2]]).toISOString();
+}
+
+// An amount such as "120K", "50,000" or "70.000" (a point before three digits separates thousands)
+function parseAmount(text) {
+  const number = parseFloat(text.replace(/[.,](?=\d{3}\b)/g, '').replace(/[^\d.]/g, ''));
+  if (Number.isNaN(number)) return null;
+  return /k\s*$/i.test(text) ? number * 1000 : number;
+}
+
+// The salary range of a card's salary snippet as { min, max, currency, period, text }, or null when it can't be
+// read. Cards show only a currency symbol, so a bare "$" leaves the currency unknown. Without a period, figures
+// of 1,000 or more are taken to be yearly; smaller ones can't be judged and give no range.
+export function parseSalaryText(text) {
+  const snippet = collapse(text)?.match(SALARY_PATTERN)?.[0];
+  if (!snippet) return null;
+  const amounts = snippet.match(new RegExp(SALARY_AMOUNT, 'g')).map(amount => ({
+    value: parseAmount(amount.replace(/^\D+/, '')),
+    symbol: amount.match(/^(A\$|CA\$|NZ\$|[$£€₹])/)[1]
+  }));
+  const values = amounts.map(amount => amount.value).filter(value => value !== null);
+  if (values.length === 0) return null;
+  const period = SALARY_PERIODS.find(([pattern]) => pattern.test(snippet))?.[1]
+    || (Math.max(...values) >= 1000 ? 'year' : null);
+  if (!period) return null;
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    currency: CURRENCY_SYMBOLS[amounts[0].symbol] || null,
+    period,
+    text: snippet
+  };
+}
+
+// The details of one card, from its full text, its posted element's text and datetime attribute, and its salary
+// element's text (when the selector set names one; otherwise the salary is looked for in the card text)
+export function parseCardMetadata({ text, postedText, postedDatetime, salaryText }, now = Date.now()) {
+  const cardText = collapse(text) || '';
+  const posted = collapse(postedText);
+  const applicantText = cardText.match(APPLICANTS_PATTERN)?.[0] || null;
+  const salary = collapse(salaryText) || cardText.match(SALARY_PATTERN)?.[0] || null;
+  // A relative time is as precise as the card gets; the datetime attribute only holds the day
+  const postedAt = parseRelativeTime(posted, now) || toIsoDate(postedDatetime);
+
+  return {
+    postedAt,
+    cardDetails: {
+      postedText: posted,
+      easyApply: EASY_APPLY_PATTERN.test(cardText),
+      promoted: PROMOTED_PATTERN.test(cardText),
+      activelyRecruiting: ACTIVELY_RECRUITING_PATTERN.test(cardText),
+      applicantText,
+      applicantCount: /early applicant/i.test(applicantText || '') ? null : parseApplicantCount(applicantText),
+      salaryText: salary,
+      salaryRange: parseSalaryText(salary)
+    }
+  };
+}
+
+// "posted 2 hours ago" for a posting time, in the largest whole unit
+export function formatPostedAge(postedAt, now = Date.now()) {
+  const time = Date.parse(postedAt || '');
+  if (Number.isNaN(time)) return null;
+  const elapsed = Math.max(0, now - time);
+  if (elapsed < RELATIVE_UNITS.hour) return 'posted just now';
+  const unit = ['year', 'month', 'week', 'day', 'hour'].find(name => elapsed >= RELATIVE_UNITS[name]);
+  const count = Math.floor(elapsed / RELATIVE_UNITS[unit]);
+  return `posted ${count} ${unit}${count === 1 ? '' : 's'} ago`;
+}
@@ -0,0 +1,191 @@
+import { z } from "zod";
+
+import { TOOL_DESCRIPTIONS, TOOL_ARGS, COMPANY_LISTS } from './constants.js';
+import { normalizeCompanyName } from './normalize.js';
+
+// Company block and watch lists, stored in KV next to the plan.
+// Blocked companies are dropped before deep scanning; watched ones trigger an immediate alert
+// and rank higher in digests regardless of score.
+
+const COMPANY_LISTS_KEY = 'company_lists';
+
+const LIST_LABELS = { blocked: 'Blocked', watched: 'Watched' };
+
+export async function getCompanyLists(env) {
+  const stored = await env.JOB_STORAGE.get(COMPANY_LISTS_KEY, 'json');
+  return {
+    blocked: stored?.blocked || [],
+    watched: stored?.watched || []
+  };
+}
+
+async function saveCompanyLists(env, lists) {
+  await env.JOB_STORAGE.put(COMPANY_LISTS_KEY, JSON.stringify(lists));
+}
+
+// The list entry matching a company name, or null
+function findCompanyEntry(entries, company) {
+  if (!company) return null;
+  const normalized = normalizeCompanyName(company);
+  return entries.find(entry => normalizeCompanyName(entry.name) === normalized) || null;
+}
+
+export function isCompanyBlocked(lists, company) {
+  return Boolean(findCompanyEntry(lists.blocked, company));
+}
+
+export function isCompanyWatched(lists, company) {
+  return Boolean(findCompanyEntry(lists.watched, company));
+}
+
+// Exclusion for a job from a blocked company, in the shape used by dealbreakers, or null
+export function checkBlockedCompany(job, lists) {
+  const entry = findCompanyEntry(lists.blocked, job.company);
+  if (!entry) return null;
+  return {
+    rule: 'blocked_company',
+    reason: `Company "${job.company}" is blocked${entry.note ? ` (${entry.note})` : ''}`
+  };
+}
+
+// Order jobs for a digest by match score, with watched companies boosted. Flags watched jobs.
+export function rankJobs(jobs, lists) {
+  const ranked = jobs.map(job => ({ ...job, watchedCompany: isCompanyWatched(lists, job.company) }));
+  const rankScore = job => (job.matchScore || 0) + (job.watchedCompany ? COMPANY_LISTS.WATCH_BOOST : 0);
+  return ranked.sort((a, b) => rankScore(b) - rankScore(a));
+}
+
+// Add a company to one list (taking it off the other) or remove it. Returns what changed.
+async function updateCompanyList(env, listName, company, { note, remove }) {
+  const lists = await getCompanyLists(env);
+  const otherName = listName === 'blocked' ? 'watched' : 'blocked';
+  const existing = findCompanyEntry(lists[listName], company);
+
+  if (remove) {
+    if (!existing) {
+      return { lists, changed: false };
+    }
+    lists[listName] = lists[listName].filter(entry => entry !== existing);
+    await saveCompanyLists(env, lists);
+    return { lists, changed: true, entry: existing };
+  }
+
+  const entry = {
+    name: existing?.name || company.trim(),
+    note: note?.trim() || existing?.note || null,
+    addedAt: existing?.addedAt || new Date().toISOString()
+  };
+  lists[listName] = [...lists[listName].filter(e => e !== existing), entry];
+
+  const movedFrom = findCompanyEntry(lists[otherName], company);
+  if (movedFrom) {
+    lists[otherName] = lists[otherName].filter(e => e !== movedFrom);
+  }
+
+  await saveCompanyLists(env, lists);
+  return { lists, changed: true, entry, movedFrom: movedFrom ? otherName : null };
+}
+
+function describeCompanyList(entries) {
+  if (entries.length === 0) return '  (none)';
+  return entries
+    .map(entry => `  • ${entry.name}${entry.note ? ` - ${entry.note}` : ''} (added ${entry.addedAt.split('T')[0]})`)
+    .join('\n');
+}
+
+function getCompanyListTool(env, listName, { name, description, title, addVerb, removeVerb }) {
+  return {
+    name,
+    description,
+    args: {
+      company: z.string().min(1).describe(TOOL_ARGS.COMPANY_NAME),
+      note: z.string().optional().describe(TOOL_ARGS.COMPANY_NOTE),
+      remove: z.boolean().optional().describe(TOOL_ARGS.COMPANY_REMOVE)
+    },
+    handler: async ({ company, note, remove = false }) => {
+      try {
+        const result = await updateCompanyList(env, listName, company, { note, remove });
+
+        let text;
+        if (remove) {
+          text = result.changed
+            ? `${removeVerb} ${result.entry.name}.`
+            : `${company} is not on the ${listName} list.`;
+        } else {
+          text = `${addVerb} ${result.entry.name}.`;
+          if (result.movedFrom) {
+            text += ` It was removed from the ${result.movedFrom} list.`;
+          }
+        }
+
+        return {
+          content: [{ type: "text", text }],
+          structuredContent: { company, list: listName, removed: remove, changed: result.changed, lists: result.lists }
+        };
+      } catch (error) {
+        console.error(`Error updating ${listName} companies:`, error);
+        return {
+          content: [{ type: "text", text: `Error updating ${listName} companies: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    options: {
+      title,
+      readOnlyHint: false,
+      openWorldHint: false
+    }
+  };
+}
+
+export function getBlockCompanyTool(env) {
+  return getCompanyListTool(env, 'blocked', {
+    name: "block_company",
+    description: TOOL_DESCRIPTIONS.BLOCK_COMPANY,
+    title: "Block Company",
+    addVerb: 'Blocked',
+    removeVerb: 'Unblocked'
+  });
+}
+
+export function getWatchCompanyTool(env) {
+  return getCompanyListTool(env, 'watched', {
+    name: "watch_company",
+    description: TOOL_DESCRIPTIONS.WATCH_COMPANY,
+    title: "Watch Company",
+    addVerb: 'Now watching',
+    removeVerb: 'Stopped watching'
+  });
+}
+
+export function getListCompaniesTool(env) {
+  return {
+    name: "list_companies",
+    description: TOOL_DESCRIPTIONS.LIST_COMPANIES,
+    args: {},
+    handler: async () => {
+      try {
+        const lists = await getCompanyLists(env);
+        const text = Object.entries(LIST_LABELS)
+          .map(([listName, label]) => `${label} companies (${lists[listName].length}):\n${describeCompanyList(lists[listName])}`)
+          .join('\n\n');
+
+        return {
+          content: [{ type: "text", text }],
+          structuredContent: lists
+        };
+      } catch (error) {
+        console.error('Error listing companies:', error);
+        return {
+          content: [{ type: "text", text: `Error listing companies: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    options: {
+      title: "List Companies",
+      readOnlyHint: true,
+      openWorldHint: false
+    }
+  };
+}
@@ -7,11 +7,208 @@ export const SCAN_CONFIG = {
   // This limit helps prevent timeouts and excessive resource usage
   MAX_DEEP_SCAN_JOBS: 200,
   
+  // Number of jobs deep scanned in parallel, overridden by the DEEP_SCAN_CONCURRENCY env var
+  DEEP_SCAN_CONCURRENCY: 2,
+  MAX_DEEP_SCAN_CONCURRENCY: 8,
+  
+  // Backoff applied to a host that answers 429/503 (in milliseconds), doubling per strike up to the max
+  // A job is retried this many times within a run before it is recorded as an error
+  HOST_BACKOFF_BASE: 5000,
+  HOST_BACKOFF_MAX: 60000,
+  HOST_BACKOFF_RETRIES: 2,
+  
+  // Completed jobs are rechecked for closed postings once this long (in milliseconds) has passed since
+  // their last check, at most this many per scan
+  LIFECYCLE_RECHECK_INTERVAL: 3 * 24 * 60 * 60 * 1000,
+  LIFECYCLE_RECHECK_BATCH: 25,
+  
   // Default timeout for page loading (in milliseconds)
   PAGE_TIMEOUT: 10000,
   
+  // Maximum number of result pages to visit per search URL
+  // LinkedIn paginates search results with the `start` parameter
+  MAX_SEARCH_PAGES: 5,
+  
+  // Number of results LinkedIn returns per search page
+  SEARCH_PAGE_SIZE: 25,
+  
+  // Number of results LinkedIn's guest job listing returns per request
+  GUEST_SEARCH_PAGE_SIZE: 10,
+  
   // Maximum tokens for LLM analysis
-  MAX_LLM_TOKENS: 1000
+  MAX_LLM_TOKENS: 1500,
+  
+  // Characters of the job page text included in the analysis prompt
+  MAX_ANALYSIS_CONTENT: 8000,
+  
+  // A running scan that hasn't persisted its state for this long (in milliseconds) is treated as interrupted
+  // Must comfortably exceed the slowest single step (a search page, or one job's fetch plus LLM call)
+  SCAN_HEARTBEAT_TIMEOUT: 10 * 60 * 1000,
+  
+  // Number of past scan runs kept for the scan_history tool
+  SCAN_HISTORY_RETENTION: 100
+};
+
+// Retries for deep scans that fail with a transient error (timeouts, 429/5xx, network and parse failures)
+// Delays are in milliseconds and double with each attempt; retries happen on later scan runs
+export const RETRY_POLICY = {
+  MAX_ATTEMPTS: 4,
+  // A page that parsed to nothing usually parses to nothing again; it gets one retry in case it was a sign-in
+  // wall or an error page served in place of the posting
+  MAX_PARSE_ATTEMPTS: 2,
+  BASE_DELAY: 30 * 60 * 1000,
+  MAX_DELAY: 24 * 60 * 60 * 1000,
+  
+  // Number of attempts kept in each job's scanAttempts history
+  MAX_HISTORY: 10
+};
+
+// Company block and watch lists (stored in KV next to the plan)
+export const COMPANY_LISTS = {
+  // Added to a watched company's match score when ranking jobs for the digest
+  WATCH_BOOST: 0.2
+};
+
+// Calibration of LLM match scores against the user's ratings and statuses
+export const CALIBRATION = {
+  // Scores are only calibrated once this many rated jobs with LLM scores exist, with at least
+  // MIN_PER_CLASS liked and disliked among them
+  MIN_SAMPLES: 10,
+  MIN_PER_CLASS: 3,
+  
+  // Liked and disliked jobs shown to the LLM as examples (each), and how much of each to include
+  MAX_EXAMPLES_PER_CLASS: 3,
+  EXAMPLE_SUMMARY_LENGTH: 300,
+  
+  // Score at or above which a job counts as predicted interesting in the calibration report
+  INTEREST_THRESHOLD: 0.5
+};
+
+// Application tracker: days until a follow-up is due after an application reaches each stage
+export const APPLICATIONS = {
+  FOLLOW_UP_DAYS: {
+    applied: 7,
+    screen: 3,
+    onsite: 3,
+    offer: 2
+  }
+};
+
+// Duplicate detection: jobs with the same normalised title, company and location whose descriptions'
+// simhashes differ in at most MAX_DESCRIPTION_DISTANCE of 64 bits are clustered as one role
+export const DEDUP = {
+  MAX_DESCRIPTION_DISTANCE: 14,
+  // Descriptions shorter than this many words are too thin to compare
+  MIN_DESCRIPTION_WORDS: 20,
+  // Words per shingle hashed into the simhash
+  SHINGLE_SIZE: 2,
+  // A cluster member first seen this long after the first one counts as a repost rather than a syndicated copy
+  REPOST_GAP: 24 * 60 * 60 * 1000
+};
+
+// Cleaned job page text cached in KV so jobs can be re-scored without fetching their pages again
+// and analyses can be replayed
+export const CONTENT_CACHE = {
+  // How long a page's text (and raw HTML, when kept) and the profiles it was scored against are kept (in seconds)
+  TTL: 30 * 24 * 60 * 60
+};
+
+// The logged-in LinkedIn session kept between scans
+export const LINKEDIN_SESSION = {
+  // How long a stored session is kept without being refreshed by a scan (in seconds)
+  TTL: 90 * 24 * 60 * 60
+};
+
+// Selectors for reading job cards from LinkedIn search results (see selector-profiles.js)
+export const SELECTOR_PROFILES = {
+  // How long the snapshot of the last search page read is kept (in seconds)
+  SNAPSHOT_TTL: 30 * 24 * 60 * 60
+};
+
+// Re-scoring existing jobs after the profile changes
+export const RESCORE = {
+  // Jobs re-scored per rescore_jobs call by default, and at most
+  DEFAULT_BATCH: 25,
+  MAX_BATCH: 100
+};
+
+// Dimensions a job is scored on and their default weights in the overall match score
+// Plans can override the weights with `scoringWeights`
+export const SCORING_DIMENSIONS = {
+  skills: {
+    weight: 0.35,
+    label: 'Skills',
+    description: "How well the required skills, tools and experience match the candidate's"
+  },
+  seniority: {
+    weight: 0.2,
+    label: 'Seniority',
+    description: "Whether the level of the role fits the candidate's experience"
+  },
+  location: {
+    weight: 0.15,
+    label: 'Location',
+    description: 'Whether the location and remote/hybrid policy suit the candidate'
+  },
+  compensation: {
+    weight: 0.1,
+    label: 'Pay',
+    description: "Whether the pay meets the candidate's expectations; null when the posting gives no salary"
+  },
+  industry: {
+    weight: 0.1,
+    label: 'Industry',
+    description: "Fit with the candidate's industry and domain interests"
+  },
+  criteria: {
+    weight: 0.1,
+    label: 'Criteria',
+    description: 'How well the job meets the additional criteria; null when there are none'
+  }
+};
+
+// LinkedIn search filters supported in plans, keyed by the plan field name
+// `values` maps plan values to the URL parameter values documented in linkedin_job_search_scraping_guide.md
+export const LINKEDIN_FILTERS = {
+  experienceLevel: {
+    param: 'f_E',
+    multiple: true,
+    values: { internship: '1', entry: '2', associate: '3', mid_senior: '4', director: '5', executive: '6' },
+    description: 'Experience levels to include'
+  },
+  jobType: {
+    param: 'f_JT',
+    multiple: true,
+    values: { full_time: 'F', part_time: 'P', contract: 'C', temporary: 'T', volunteer: 'V', internship: 'I', other: 'O' },
+    description: 'Job types to include'
+  },
+  workplaceType: {
+    param: 'f_WT',
+    multiple: true,
+    values: { on_site: '1', remote: '2', hybrid: '3' },
+    description: 'Workplace types to include'
+  },
+  datePosted: {
+    param: 'f_TPR',
+    multiple: false,
+    values: { past_hour: 'r3600', past_24h: 'r86400', past_week: 'r604800', past_month: 'r2592000' },
+    description: 'Only include jobs posted within this window'
+  },
+  easyApply: {
+    param: 'f_AL',
+    boolean: true,
+    description: 'true to only include Easy Apply jobs'
+  },
+  fewApplicants: {
+    param: 'f_JIYN',
+    boolean: true,
+    description: 'true to only include jobs with fewer than 10 applicants'
+  },
+  placeIds: {
+    param: 'f_PP',
+    multiple: true,
+    description: 'LinkedIn geo IDs of cities/regions to include (OR logic), only if known'
+  }
 };
 
 export const TOOL_DESCRIPTIONS = {
@@ -19,24 +216,61 @@ export const TOOL_DESCRIPTIONS = {
   STATUS: "Check the status of a background job, such as a scan.",
   
   // Job scanning tools
-  SCAN: "Scans LinkedIn job pages for job opportunities. If a URL is provided, scans that specific page; otherwise scans all URLs from the current plan. The scan includes both initial job discovery and deep scanning phases for detailed job analysis.",
+  SCAN: "Scans LinkedIn job pages and the plan's company job boards (Greenhouse, Lever, Ashby) for job opportunities. If a URL is provided, scans that specific page; otherwise scans all searches and job boards from the current plan. The scan includes both initial job discovery and deep scanning phases for detailed job analysis.",
   
   RESCAN: "Rescans LinkedIn job pages using the URLs stored in the last scan job (if any) or current plan.",
   
   CANCEL_SCAN: "Cancel the currently running scan job if one is in progress.",
   
-  DEEP_SCAN_JOB: "Manually deep scan a specific LinkedIn job URL for testing and debugging",
+  RESUME_SCAN: "Resume the last scan if it was interrupted, failed or cancelled part-way. Continues with the search URLs that were not finished, then deep scans any jobs still pending.",
+  
+  CALIBRATION_REPORT: "Show how well match scores agree with your job ratings and statuses, the calibration fitted from them, and the liked and disliked jobs used as examples when scoring.",
+  
+  SCAN_HISTORY: "List past scan runs with per-URL job counts, new vs duplicate jobs, deep scan results and digest outcome, or compare two runs to spot search URLs that stopped producing results.",
+  
+  CHECK_SELECTORS: "Check which selector set finds the job cards on the last LinkedIn search page a scan saved (or on HTML you pass), and optionally save new selector sets so scans use them without a redeploy.",
+  
+  LINKEDIN_SESSION: "Show, store or remove the LinkedIn session that scans reuse instead of logging in. When a security check blocks the automated login, paste the li_at cookie from a browser where you're logged in to LinkedIn.",
+  
+  RETRY_FAILED_JOBS: "Requeue jobs that failed deep scanning so the next scan tries them again with a fresh set of attempts. Expired postings are only requeued when requested with errorType 'expired'.",
+  
+  DEEP_SCAN_JOB: "Manually deep scan a specific LinkedIn, Greenhouse, Lever or Ashby job URL for testing and debugging",
+  
+  RESCORE_JOBS: "Re-score jobs scored against an older version of the plan's profile, scan prompt or scoring weights. Only the LLM analysis is re-run, on the cached page text (or the stored description when the page is no longer cached); pages are not fetched again. Runs a batch per call.",
   
   // Plan management tools
   GET_PLAN: "Get the current job search plan",
   
   UPDATE_PLAN: "Create a new job search plan or update an existing one based on a description.",
   
+  BLOCK_COMPANY: "Block a company so its jobs are never deep scanned or shown, or unblock it with remove=true. Blocking a watched company takes it off the watch list.",
+  
+  WATCH_COMPANY: "Watch a company so its new jobs trigger an immediate alert email and rank higher in digests regardless of score, or stop watching it with remove=true.",
+  
+  LIST_COMPANIES: "List the blocked and watched companies.",
+  
+  RESOLVE_LOCATION: "Look up the LinkedIn geoId for a location name, or override it with a known geoId. Matching plan locations are updated and their search URLs regenerated.",
+  
   // Job management tools
   GET_JOBS: "Get all jobs found in previous scans, with optional filtering by match score",
   
+  RATE_JOB: "Give a job a thumbs up or thumbs down, with an optional note on why. Ratings are kept on the job for reviewing how well matches are scored.",
+  
+  SET_JOB_STATUS: "Record where a job stands for you: interested, not_interested, applied, interviewing, rejected or offer, with an optional note. Jobs marked not_interested are hidden from the job index, digests and the failed jobs report.",
+  
+  GET_JOB_SOURCE: "Show the cleaned page text a job was analysed from, when it was fetched and what the last analysis was given (model, profile, rated examples, calibration). Optionally includes the raw HTML when CACHE_RAW_HTML is enabled.",
+  
+  REPLAY_ANALYSIS: "Re-run the LLM analysis of a job on its cached page text, with the current plan or the profile and examples it was originally scored with, and compare the result with the stored score. Nothing is saved.",
+  
   SEND_DIGEST: "Send a digest email with job matches to the configured email address",
   
+  // Application tracker tools
+  CREATE_APPLICATION: "Start tracking an application for an indexed job, with the date applied, a contact and notes. A follow-up reminder is scheduled automatically.",
+  
+  ADVANCE_APPLICATION: "Move an application to its next stage (applied → screen → onsite → offer → closed) or a given stage, and record the date, notes and contacts. Calling it with the current stage logs a follow-up and reschedules the reminder.",
+  
+  LIST_APPLICATIONS: "List tracked applications with their stage, dates, contacts and next follow-up, optionally only those with a follow-up due.",
+  
   // Testing and debugging tools
   TEST_EMAIL: "Test email configuration by sending a test email",
   
@@ -46,14 +280,62 @@ export const TOOL_DESCRIPTIONS = {
 // Tool argument descriptions
 export const TOOL_ARGS = {
   // Scan tool arguments
-  SCAN_URL: "An optional LinkedIn job search results page URL to scan.",
+  SCAN_URL: "An optional LinkedIn job search results page URL, or Greenhouse, Lever or Ashby job board API URL, to scan.",
   SCAN_SKIP_DIGEST: "Skip sending digest email after scan completion",
   
+  // Scan history arguments
+  SCAN_HISTORY_LIMIT: "Maximum number of runs to list (default 10)",
+  SCAN_HISTORY_TRIGGER: "Only list runs started this way",
+  SCAN_HISTORY_RUN_ID: "Show the details of this run (defaults to the latest run when comparing)",
+  SCAN_HISTORY_COMPARE_TO: "Compare the run against this run ID, or 'previous' for the run before it",
+  
+  // Selector check arguments
+  SELECTOR_PAGE_TYPE: "Which page's selectors to check: 'search' for logged-in search results (default) or 'guest' for the guest job listing",
+  SELECTOR_HTML: "HTML of a search page to check instead of the snapshot saved by the last scan",
+  SELECTOR_SETS: "Selector sets to check instead of the current ones, in the order they should be tried. Each has a name, card, title and optionally ready, company, location, link, idAttribute, posted and salary selectors.",
+  SELECTOR_SAVE: "Save the given sets as the page type's selectors if one of them matches the page",
+  
+  // LinkedIn session arguments
+  LINKEDIN_SESSION_COOKIE: "The li_at cookie value from your browser, or a Cookie header of name=value pairs that includes li_at. Omit to see the stored session.",
+  LINKEDIN_SESSION_CLEAR: "Remove the stored session so the next scan logs in again",
+  
   // Deep scan arguments
-  DEEP_SCAN_URL: "LinkedIn job URL to deep scan",
+  DEEP_SCAN_URL: "LinkedIn, Greenhouse, Lever or Ashby job URL to deep scan",
+  RESCORE_LIMIT: "Maximum number of jobs to re-score in this call (default 25, at most 100)",
+  RESCORE_FORCE: "Re-score jobs even if they were already scored against the current profile. Repeated forced calls continue through the jobs not yet re-scored in the current pass",
+  FAILED_JOBS_ERROR_TYPE: "Filter by error type: 'http_timeout', 'http_error', 'network_error', 'parse_error', 'expired', 'unknown', or leave empty for all",
   
   // Plan arguments
   PLAN_DESCRIPTION: "Description of the job search plan or changes to make to an existing plan.",
+  LOCATION_NAME: "Location name as it appears in the plan (e.g. 'Sydney, New South Wales, Australia')",
+  LOCATION_GEO_ID: "LinkedIn geoId to use for this location instead of the looked-up value",
+  LOCATION_REFRESH: "Ignore the cached geoId and query LinkedIn again",
+  
+  // Company list arguments
+  COMPANY_NAME: "Company name as shown on LinkedIn (legal suffixes like 'Inc' or 'Pty Ltd' are ignored when matching)",
+  COMPANY_NOTE: "Optional note on why the company is on the list",
+  COMPANY_REMOVE: "Remove the company from the list instead of adding it",
+  
+  // Job feedback arguments
+  JOB_ID: "Job ID from the job index, or the job's LinkedIn URL",
+  JOB_RATING: "'up' for a good match, 'down' for a poor one",
+  JOB_STATUS: "Where the job stands: interested, not_interested, applied, interviewing, rejected or offer",
+  JOB_NOTE: "Optional note, e.g. why the job is a poor match or who you spoke to",
+  JOB_SOURCE_INCLUDE_HTML: "Include the raw HTML of the page, if it was kept (default: false)",
+  REPLAY_INPUTS: "'current' to replay with the current plan and feedback (default), or 'original' for the profile and rated examples the job was scored with",
+  REPLAY_SHOW_PROMPT: "Include the full prompt sent to the LLM",
+  
+  // Application arguments
+  APPLICATION_JOB_ID: "Job ID from the job index, or the job's LinkedIn URL",
+  APPLICATION_ID: "Application ID, or the job ID or LinkedIn URL of the job applied for",
+  APPLICATION_STAGE: "Stage to move to (default: the next stage)",
+  APPLICATION_DATE: "When this happened, as an ISO date (default: now)",
+  APPLICATION_FOLLOW_UP: "When to follow up, as an ISO date (default: set from the stage)",
+  APPLICATION_CONTACT: "A person involved, e.g. the recruiter or hiring manager",
+  APPLICATION_NOTE: "Optional note about this step",
+  APPLICATION_CLOSED_REASON: "Why the application closed, when moving it to closed",
+  APPLICATIONS_FOLLOW_UPS_DUE: "Only list applications with a follow-up due now",
+  APPLICATIONS_INCLUDE_CLOSED: "Include closed applications (default: false)",
   
   // Job filtering arguments
   JOBS_MIN_SCORE: "Minimum match score (0.0 to 1.0) to filter jobs by",
@@ -68,10 +350,11 @@ export const TOOL_ARGS = {
 
 // Tool categories for organization
 export const TOOL_CATEGORIES = {
-  MONITORING: ['status'],
-  SCANNING: ['scan', 'rescan', 'cancel_scan', 'deep_scan_job'],
-  PLANNING: ['get_plan', 'update_plan'],
-  JOBS: ['get_jobs', 'clear_jobs'],
+  MONITORING: ['status', 'scan_history', 'calibration_report', 'check_selectors'],
+  SCANNING: ['scan', 'rescan', 'resume_scan', 'cancel_scan', 'deep_scan_job', 'retry_failed_jobs', 'rescore_jobs', 'linkedin_session'],
+  PLANNING: ['get_plan', 'update_plan', 'resolve_location', 'block_company', 'watch_company', 'list_companies'],
+  JOBS: ['get_jobs', 'clear_jobs', 'rate_job', 'set_job_status', 'get_job_source', 'replay_analysis'],
+  APPLICATIONS: ['create_application', 'advance_application', 'list_applications'],
   COMMUNICATION: ['send_digest', 'test_email']
 };
 
@@ -104,6 +387,9 @@ export const TOOL_HELP = {
   }
 };
 
+// Tool arguments whose values are replaced with "[redacted]" when tool calls are logged
+export const REDACTED_TOOL_ARGS = ['cookie'];
+
 // Error messages for tools
 export const TOOL_ERRORS = {
   SCAN_IN_PROGRESS: "A scan is already in progress. Please wait for it to complete before starting a new one.",
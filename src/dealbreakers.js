@@ -0,0 +1,149 @@
+import { LINKEDIN_FILTERS } from './constants.js';
+import { normalizeCompanyName, containsKeyword, normalizeStringList } from './normalize.js';
+
+// Hard constraints from the plan's `dealbreakers`. They are checked deterministically, first against
+// search-card data and again against the fields extracted by the deep scan; a job that breaks one is
+// marked excluded with the reason instead of being scored.
+
+const SALARY_PERIODS_PER_YEAR = { hour: 2080, day: 260, week: 52, month: 12, year: 1 };
+
+// Workplace markers LinkedIn appends to card locations, e.g. "Sydney, NSW (Hybrid)"
+const CARD_WORKPLACE_MARKERS = { remote: /\(remote\)/i, hybrid: /\(hybrid\)/i, on_site: /\(on-?site\)/i };
+
+// Phrases in a posting that rule out visa sponsorship
+const NO_SPONSORSHIP_PATTERN = /(no|not|unable to|cannot|can't|will not|won't|does not|do not)\s+(offer\s+|provide\s+)?(visa\s+)?sponsor|without\s+(the\s+need\s+for\s+)?(visa\s+)?sponsorship|citizens?\s+only|must\s+(be|have)\s+(an?\s+)?(australian|us|u\.s\.|uk|eu|canadian)?\s*(citizen|permanent resident)|security clearance required/i;
+
+// Coerce the plan's dealbreakers into their canonical shape. Unknown fields and values are dropped.
+export function normalizeDealbreakers(raw) {
+  const dealbreakers = {
+    excludedCompanies: normalizeStringList(raw?.excludedCompanies),
+    excludedTitleKeywords: normalizeStringList(raw?.excludedTitleKeywords),
+    excludedEmploymentTypes: (raw?.excludedEmploymentTypes || [])
+      .filter(type => type in LINKEDIN_FILTERS.jobType.values),
+    requiredWorkplaceTypes: (raw?.requiredWorkplaceTypes || [])
+      .filter(type => type in LINKEDIN_FILTERS.workplaceType.values),
+    minSalary: null,
+    requiresVisaSponsorship: raw?.requiresVisaSponsorship === true,
+    visaNotes: typeof raw?.visaNotes === 'string' ? raw.visaNotes.trim() : ''
+  };
+
+  const amount = Number(raw?.minSalary?.amount);
+  if (Number.isFinite(amount) && amount > 0) {
+    dealbreakers.minSalary = {
+      amount,
+      currency: typeof raw.minSalary.currency === 'string' ? raw.minSalary.currency.toUpperCase() : null,
+      period: raw.minSalary.period in SALARY_PERIODS_PER_YEAR ? raw.minSalary.period : 'year'
+    };
+  }
+  return dealbreakers;
+}
+
+function exclusion(rule, reason) {
+  return { rule, reason };
+}
+
+function checkCompany(company, dealbreakers) {
+  if (!company) return null;
+  const normalized = normalizeCompanyName(company);
+  const match = dealbreakers.excludedCompanies.find(excluded => normalizeCompanyName(excluded) === normalized);
+  return match ? exclusion('excluded_company', `Company "${company}" is excluded`) : null;
+}
+
+function checkTitle(title, dealbreakers) {
+  if (!title) return null;
+  const keyword = dealbreakers.excludedTitleKeywords.find(k => containsKeyword(title, k));
+  return keyword ? exclusion('excluded_title_keyword', `Title contains "${keyword}"`) : null;
+}
+
+function checkWorkplaceType(workplaceType, dealbreakers) {
+  const required = dealbreakers.requiredWorkplaceTypes;
+  if (!workplaceType || workplaceType === 'unknown' || required.length === 0) return null;
+  return required.includes(workplaceType)
+    ? null
+    : exclusion('workplace_type', `Workplace type is ${workplaceType}, required ${required.join(' or ')}`);
+}
+
+// Annual salary for comparison, or null when the figures can't be compared
+function annualize(amount, period) {
+  const perYear = SALARY_PERIODS_PER_YEAR[period || 'year'];
+  return typeof amount === 'number' && perYear ? amount * perYear : null;
+}
+
+function checkSalary(salaryRange, dealbreakers) {
+  const { minSalary } = dealbreakers;
+  if (!minSalary || !salaryRange) return null;
+  if (minSalary.currency && salaryRange.currency && minSalary.currency !== salaryRange.currency.toUpperCase()) {
+    return null;
+  }
+  // Judge by the top of the range: a job is only excluded if even its maximum is too low
+  const offered = annualize(salaryRange.max ?? salaryRange.min, salaryRange.period);
+  const required = annualize(minSalary.amount, minSalary.period);
+  if (offered === null || offered >= required) return null;
+  return exclusion('min_salary', `Salary ${salaryRange.text || offered} is below the minimum of ${minSalary.amount}${minSalary.currency ? ` ${minSalary.currency}` : ''} per ${minSalary.period}`);
+}
+
+function checkVisa(text, dealbreakers) {
+  if (!dealbreakers.requiresVisaSponsorship || !text) return null;
+  const match = text.match(NO_SPONSORSHIP_PATTERN);
+  return match ? exclusion('visa_sponsorship', `Posting rules out visa sponsorship ("${match[0]}")`) : null;
+}
+
+// Check a search-result card. Returns { rule, reason } for the first dealbreaker hit, or null.
+export function checkCardDealbreakers(job, dealbreakers) {
+  if (!dealbreakers) return null;
+  const cardWorkplaceType = Object.keys(CARD_WORKPLACE_MARKERS)
+    .find(type => CARD_WORKPLACE_MARKERS[type].test(job.location || ''));
+
+  // Cards show only a currency symbol; a bare "$" could be any dollar, so it isn't held against a minimum in
+  // a given currency
+  const cardSalary = job.cardDetails?.salaryRange;
+  const comparableSalary = cardSalary && (cardSalary.currency || !dealbreakers.minSalary?.currency) ? cardSalary : null;
+
+  return checkCompany(job.company, dealbreakers)
+    || checkTitle(job.title, dealbreakers)
+    || checkWorkplaceType(cardWorkplaceType, dealbreakers)
+    || checkSalary(comparableSalary, dealbreakers);
+}
+
+// Check a deep-scanned job using the extracted fields. Visa sponsorship is checked against the posting's own
+// text when given, since the analysis summary tends to leave out sentences like "no sponsorship".
+// Returns { rule, reason } or null.
+export function checkAnalysisDealbreakers(job, analysis, dealbreakers, postingText = null) {
+  if (!dealbreakers) return null;
+  const excludedType = dealbreakers.excludedEmploymentTypes.includes(analysis.employmentType)
+    ? exclusion('employment_type', `Employment type ${analysis.employmentType} is excluded`)
+    : null;
+
+  return checkCompany(analysis.company || job.company, dealbreakers)
+    || checkTitle(analysis.title || job.title, dealbreakers)
+    || excludedType
+    || checkWorkplaceType(analysis.remotePolicy, dealbreakers)
+    || checkSalary(analysis.salaryRange, dealbreakers)
+    || checkVisa(postingText || analysis.description, dealbreakers);
+}
+
+// Changes that mark a job as excluded by a dealbreaker
+export function buildExclusionChanges(result, stage) {
+  return {
+    scanned: true,
+    scanDate: new Date().toISOString(),
+    scanStatus: 'excluded',
+    matchScore: null,
+    matchReason: null,
+    scoreBreakdown: null,
+    exclusion: { ...result, stage, at: new Date().toISOString() }
+  };
+}
+
+// Short description of the dealbreakers for prompts and tool output
+export function describeDealbreakers(dealbreakers) {
+  const lines = [];
+  if (dealbreakers.excludedCompanies.length) lines.push(`Excluded companies: ${dealbreakers.excludedCompanies.join(', ')}`);
+  if (dealbreakers.excludedTitleKeywords.length) lines.push(`Excluded title keywords: ${dealbreakers.excludedTitleKeywords.join(', ')}`);
+  if (dealbreakers.excludedEmploymentTypes.length) lines.push(`Excluded employment types: ${dealbreakers.excludedEmploymentTypes.join(', ')}`);
+  if (dealbreakers.requiredWorkplaceTypes.length) lines.push(`Required workplace type: ${dealbreakers.requiredWorkplaceTypes.join(' or ')}`);
+  if (dealbreakers.minSalary) lines.push(`Minimum salary: ${dealbreakers.minSalary.amount}${dealbreakers.minSalary.currency ? ` ${dealbreakers.minSalary.currency}` : ''} per ${dealbreakers.minSalary.period}`);
+  if (dealbreakers.requiresVisaSponsorship) lines.push('Requires visa sponsorship');
+  if (dealbreakers.visaNotes) lines.push(`Visa notes: ${dealbreakers.visaNotes}`);
+  return lines.join('\n');
+}
@@ -4,6 +4,10 @@
  */
 
 import nodemailer from 'nodemailer';
+import { formatScoreBreakdown } from './scoring.js';
+import { getCompanyLists, rankJobs } from './company-lists.js';
+import { describeCluster, formatCluster } from './fingerprint.js';
+import { formatPostedAge } from './card-metadata.js';
 
 /**
  * Format date with configured timezone
@@ -63,22 +67,18 @@ export function checkSmtpConfiguration(env) {
 
 /**
  * Get jobs that should be included in digest (completed scans, not previously sent)
- * @param {Object} env - Environment variables (for KV storage access)
+ * @param {Object} jobStore - Job index store (see job-store.js)
  * @returns {Array} - Array of jobs to include in digest
  */
-export async function getJobsForDigest(env) {
+export async function getJobsForDigest(jobStore) {
   try {
-    const jobIndex = await env.JOB_STORAGE.get('job_index', 'json');
-    if (!jobIndex || !jobIndex.jobs) return [];
-    
-    return jobIndex.jobs.filter(job => {
-      // Only include scanned jobs with completed status
-      if (!job.scanned || job.scanStatus !== 'completed') return false;
-      
-      // Only include jobs not previously sent in digest
-      if (job.sentInDigest) return false;
-      
-      return true;
+    // Only include completed scans not previously sent in digest, skipping jobs the user isn't interested in
+    return await jobStore.listJobs({
+      scanned: true,
+      scanStatus: 'completed',
+      sentInDigest: false,
+      excludeClosed: true,
+      excludeNotInterested: true
     });
   } catch (error) {
     console.error('Error getting jobs for digest:', error);
@@ -88,30 +88,16 @@ export async function getJobsForDigest(env) {
 
 /**
  * Mark jobs as sent in digest
- * @param {Object} env - Environment variables (for KV storage access)
+ * @param {Object} jobStore - Job index store (see job-store.js)
  * @returns {number} - Number of jobs marked as sent
  */
-export async function markJobsAsSent(env) {
+export async function markJobsAsSent(jobStore) {
   try {
-    const jobIndex = await env.JOB_STORAGE.get('job_index', 'json');
-    if (!jobIndex || !jobIndex.jobs) return 0;
-    
     // Mark all completed, unsent jobs as sent
-    let markedCount = 0;
-    jobIndex.jobs.forEach(job => {
-      if (job.scanned && job.scanStatus === 'completed' && !job.sentInDigest) {
-        job.sentInDigest = true;
-        job.digestSentDate = new Date().toISOString();
-        markedCount++;
-      }
-    });
-    
+    const markedCount = await jobStore.markJobsAsSent();
     if (markedCount > 0) {
-      jobIndex.lastUpdate = new Date().toISOString();
-      await env.JOB_STORAGE.put('job_index', JSON.stringify(jobIndex));
       console.log(`Marked ${markedCount} jobs as sent in digest`);
     }
-    
     return markedCount;
   } catch (error) {
     console.error('Error marking jobs as sent:', error);
@@ -125,15 +111,22 @@ export async function markJobsAsSent(env) {
  * @param {Object} criteria - Filter criteria
  * @param {boolean} criteria.onlyNew - Only include jobs not previously sent
  * @param {number} criteria.minMatchScore - Minimum match score threshold
+ * @param {boolean} criteria.includeClosed - Include postings that have closed
  * @returns {Array} - Filtered jobs
  */
 export function filterJobsForDigest(jobs, criteria = {}) {
-  const { onlyNew = true, minMatchScore = 0.0 } = criteria;
+  const { onlyNew = true, minMatchScore = 0.0, includeClosed = false } = criteria;
   
   return jobs.filter(job => {
     // Only include scanned jobs with completed status
     if (!job.scanned || job.scanStatus !== 'completed') return false;
     
+    // Skip postings that have closed since they were scanned
+    if (!includeClosed && job.lifecycle?.state === 'closed') return false;
+    
+    // Never resurface jobs the user isn't interested in
+    if (job.userStatus?.status === 'not_interested') return false;
+    
     // Apply match score filter
     if (job.matchScore < minMatchScore) return false;
     
@@ -144,6 +137,52 @@ export function filterJobsForDigest(jobs, criteria = {}) {
   });
 }
 
+/**
+ * Notes shown under a job's title: when it was posted, what its search card flagged, and its duplicates
+ * @param {Object} job - Job from the index
+ * @returns {string} - HTML for the notes, or an empty string
+ */
+function formatJobNotes(job) {
+  const notes = [
+    formatPostedAge(job.postedAt || job.postingDetails?.postedAt),
+    job.cardDetails?.easyApply && 'Easy Apply',
+    job.cardDetails?.activelyRecruiting && 'actively recruiting',
+    job.cluster && formatCluster(job.cluster)
+  ].filter(Boolean);
+  return notes.length > 0 ? `<br><small>${notes.join(' · ')}</small>` : '';
+}
+
+/**
+ * Show each cluster of duplicate jobs (reposts and syndicated copies, see fingerprint.js) once
+ * @param {Object} jobStore - Job index store (see job-store.js)
+ * @param {Array} jobs - Jobs picked for the digest
+ * @param {Object} options - Collapse options
+ * @param {boolean} options.onlyNew - Drop clusters already emailed under another job ID
+ * @returns {Array} - Jobs with one per cluster; clustered jobs carry `cluster` info
+ */
+export async function collapseJobClusters(jobStore, jobs, options = {}) {
+  const { onlyNew = true } = options;
+  const clusterIds = jobs.map(job => job.clusterId).filter(Boolean);
+  if (clusterIds.length === 0) return jobs;
+  
+  const clusterMembers = await jobStore.getClusterMembers(clusterIds);
+  const shownClusters = new Set();
+  const collapsed = [];
+  for (const job of jobs) {
+    if (!job.clusterId) {
+      collapsed.push(job);
+      continue;
+    }
+    if (shownClusters.has(job.clusterId)) continue;
+    
+    const members = clusterMembers[job.clusterId] || [job];
+    if (onlyNew && members.some(member => member.sentInDigest)) continue;
+    shownClusters.add(job.clusterId);
+    collapsed.push({ ...job, cluster: describeCluster(members) });
+  }
+  return collapsed;
+}
+
 /**
  * Generate HTML email content for job digest
  * @param {Array} jobs - Array of jobs to include
@@ -152,10 +191,11 @@ export function filterJobsForDigest(jobs, criteria = {}) {
  * @param {string} options.source - Source of the digest (scan, rescan, etc.)
  * @param {boolean} options.onlyNew - Whether only new jobs are included
  * @param {string} options.error - Error message for failed scans
+ * @param {Array} options.followUps - Applications with a follow-up due (see applications.js)
  * @returns {string} - HTML email content
  */
 export function generateDigestHtml(jobs, env, options = {}) {
-  const { source, onlyNew, error } = options;
+  const { source, onlyNew, error, followUps = [] } = options;
   const sourceText = source ? ` from ${source}` : '';
   
   // Handle scan failure notifications
@@ -180,23 +220,64 @@ export function generateDigestHtml(jobs, env, options = {}) {
         <th>Title</th>
         <th>Company</th>
         <th>Match Score</th>
+        <th>Score Breakdown</th>
         <th>Location</th>
         <th>Match Reason</th>
       </tr>
       ${jobs.map(job => `
         <tr>
-          <td><a href="${job.url}">${job.title}</a></td>
-          <td>${job.company || 'N/A'}</td>
+          <td><a href="${job.url}">${job.title}</a>${formatJobNotes(job)}</td>
+          <td>${job.company || 'N/A'}${job.watchedCompany ? ' ★' : ''}</td>
           <td>${job.matchScore ? Math.round(job.matchScore * 100) + '%' : 'N/A'}</td>
+          <td style="font-size: 0.9em;">${job.scoreBreakdown ? formatScoreBreakdown(job.scoreBreakdown).split(', ').join('<br>') : 'N/A'}</td>
           <td>${job.location || 'N/A'}</td>
           <td>${job.matchReason || 'No reason provided'}</td>
         </tr>
       `).join('')}
     </table>
+    ${generateFollowUpsHtml(followUps, env)}
     <p><em>Generated on ${formatDateWithTimezone(new Date(), env)}</em></p>
   `;
 }
 
+/**
+ * Generate the "Follow-ups due" section of the digest
+ * @param {Array} followUps - Applications with a follow-up due
+ * @param {Object} env - Environment variables (for timezone)
+ * @returns {string} - HTML section, or an empty string when nothing is due
+ */
+function generateFollowUpsHtml(followUps, env) {
+  if (followUps.length === 0) return '';
+  
+  return `
+    <h3>Follow-ups Due</h3>
+    <table border="1" cellpadding="5" style="border-collapse: collapse; width: 100%;">
+      <tr style="background-color: #f2f2f2;">
+        <th>Job</th>
+        <th>Company</th>
+        <th>Stage</th>
+        <th>Due</th>
+        <th>Contact</th>
+        <th>Last Note</th>
+      </tr>
+      ${followUps.map(application => {
+        const contact = application.contacts[application.contacts.length - 1];
+        const lastNote = application.notes[application.notes.length - 1];
+        return `
+        <tr>
+          <td>${application.url ? `<a href="${application.url}">${application.title}</a>` : application.title}</td>
+          <td>${application.company || 'N/A'}</td>
+          <td>${application.stage}</td>
+          <td>${formatDateWithTimezone(new Date(application.followUpAt), env, { includeTime: false })}</td>
+          <td>${contact ? [contact.name, contact.email].filter(Boolean).join(', ') : 'N/A'}</td>
+          <td>${lastNote ? lastNote.text : ''}</td>
+        </tr>
+      `;
+      }).join('')}
+    </table>
+  `;
+}
+
 /**
  * Send digest email using fetch to external SMTP service or Cloudflare Email API
  * @param {string} toEmail - Recipient email address
@@ -211,7 +292,7 @@ export function generateDigestHtml(jobs, env, options = {}) {
  */
 export async function sendDigestEmail(toEmail, jobs, env, options = {}) {
   try {
-    const { subject, source, onlyNew, error } = options;
+    const { subject, source, onlyNew, error, followUps } = options;
     const sourceText = source ? ` from ${source}` : '';
     
     // Adjust subject line for failed scans
@@ -223,7 +304,7 @@ export async function sendDigestEmail(toEmail, jobs, env, options = {}) {
     }
     
     // Generate HTML content
-    const html = generateDigestHtml(jobs, env, { source, onlyNew, error });
+    const html = generateDigestHtml(jobs, env, { source, onlyNew, error, followUps });
     
     // Create nodemailer transporter
     const transporter = nodemailer.createTransport({
@@ -266,11 +347,12 @@ export async function sendDigestEmail(toEmail, jobs, env, options = {}) {
 /**
  * Auto-send digest after scan completion
  * @param {Object} env - Environment variables
+ * @param {Object} jobStore - Job index store (see job-store.js)
  * @param {Object} options - Digest options
  * @param {string} options.source - Source of the digest (scan, rescan, etc.)
  * @returns {Object} - Result object with success status and details
  */
-export async function autoSendDigest(env, options = {}) {
+export async function autoSendDigest(env, jobStore, options = {}) {
   try {
     const { source = 'scan' } = options;
     
@@ -287,14 +369,15 @@ export async function autoSendDigest(env, options = {}) {
       return { success: false, error: 'SMTP not configured', missingVars: smtpCheck.missingVars };
     }
     
-    // Get jobs for digest
-    const jobs = await getJobsForDigest(env);
+    // Get jobs for digest, one per cluster of duplicates, watched companies first
+    const jobs = rankJobs(await collapseJobClusters(jobStore, await getJobsForDigest(jobStore)), await getCompanyLists(env));
+    const followUps = await jobStore.listApplications({ followUpDueBy: new Date().toISOString() });
     
     // Check if we should send digest even with zero jobs
     const sendOnZeroJobs = env.SEND_DIGEST_ON_ZERO_JOBS === 'true';
     
-    if (jobs.length === 0 && !sendOnZeroJobs) {
-      console.log('No new jobs to send in auto-digest and SEND_DIGEST_ON_ZERO_JOBS is disabled');
+    if (jobs.length === 0 && followUps.length === 0 && !sendOnZeroJobs) {
+      console.log('No new jobs or follow-ups to send in auto-digest and SEND_DIGEST_ON_ZERO_JOBS is disabled');
       return { success: false, error: 'No new jobs to send' };
     }
     
@@ -306,12 +389,13 @@ export async function autoSendDigest(env, options = {}) {
     console.log(`Auto-sending digest email with ${jobs.length} jobs...`);
     const emailResult = await sendDigestEmail(env.DIGEST_TO, jobs, env, {
       source,
-      onlyNew: true
+      onlyNew: true,
+      followUps
     });
     
     if (emailResult.success) {
       // Mark jobs as sent
-      const markedCount = await markJobsAsSent(env);
+      const markedCount = await markJobsAsSent(jobStore);
       console.log(`Digest email sent successfully, marked ${markedCount} jobs as sent`);
       return { 
         success: true, 
@@ -454,3 +538,38 @@ export async function sendScanFailureNotification(env, errorMessage) {
     return { success: false, error: error.message };
   }
 }
+
+/**
+ * Send an immediate alert email for new jobs from watched companies
+ * @param {Object} env - Environment variables
+ * @param {Array} jobs - New jobs from watched companies
+ * @returns {Object} - Result object with success status and message/error
+ */
+export async function sendWatchedCompanyAlert(env, jobs) {
+  try {
+    // Check if DIGEST_TO is configured
+    if (!env.DIGEST_TO) {
+      console.log('DIGEST_TO not configured, skipping watched company alert');
+      return { success: false, error: 'DIGEST_TO not configured' };
+    }
+    
+    // Check SMTP configuration
+    const smtpCheck = checkSmtpConfiguration(env);
+    if (!smtpCheck.isConfigured) {
+      console.log(`SMTP not configured, skipping watched company alert. Missing: ${smtpCheck.missingVars.join(', ')}`);
+      return { success: false, error: 'SMTP not configured', missingVars: smtpCheck.missingVars };
+    }
+    
+    const companies = [...new Set(jobs.map(job => job.company))];
+    console.log(`Sending watched company alert for ${jobs.length} jobs...`);
+    return await sendDigestEmail(env.DIGEST_TO, jobs.map(job => ({ ...job, watchedCompany: true })), env, {
+      subject: `New jobs at ${companies.join(', ')}`,
+      source: 'watched companies',
+      onlyNew: true
+    });
+    
+  } catch (error) {
+    console.error('Error sending watched company alert:', error);
+    return { success: false, error: error.message };
+  }
+}
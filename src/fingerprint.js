@@ -0,0 +1,78 @@
+import { DEDUP } from './constants.js';
+import { normalizeText, normalizeCompanyName } from './normalize.js';
+import { hash64, toHex, hashText } from './hash.js';
+
+// Content fingerprints for spotting the same role under different job IDs (reposts and syndicated copies).
+// A fingerprint is a hash of the normalised title, company and location, plus a simhash of the description
+// so that small edits between copies still match.
+
+// Hash of the normalised title, company and location. Jobs only cluster when these match exactly.
+export function fingerprintKey(job) {
+  return hashText([normalizeCompanyName(job.company), normalizeText(job.title), normalizeText(job.location)].join('|'));
+}
+
+// 64-bit simhash of the description's word shingles, or null when it's too short to compare
+export function descriptionSimhash(text) {
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  if (words.length < DEDUP.MIN_DESCRIPTION_WORDS) return null;
+
+  const weights = new Array(64).fill(0);
+  for (let i = 0; i + DEDUP.SHINGLE_SIZE <= words.length; i++) {
+    const hash = hash64(words.slice(i, i + DEDUP.SHINGLE_SIZE).join(' '));
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+  const simhash = weights.reduce((value, weight, bit) => weight > 0 ? value | (1n << BigInt(bit)) : value, 0n);
+  return toHex(simhash);
+}
+
+export function computeFingerprint(job, descriptionText) {
+  return {
+    key: fingerprintKey(job),
+    description: descriptionSimhash(descriptionText),
+    computedAt: new Date().toISOString()
+  };
+}
+
+// Number of differing bits between two hex simhashes
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+// Whether two fingerprints describe the same role. Both descriptions are needed: the same title at the
+// same company and location is often a different opening.
+export function isNearDuplicate(a, b) {
+  if (!a || !b || a.key !== b.key || !a.description || !b.description) return false;
+  return hammingDistance(a.description, b.description) <= DEDUP.MAX_DESCRIPTION_DISTANCE;
+}
+
+// Indexed jobs that are near-duplicates of the given fingerprint, earliest first seen first
+export function findNearDuplicates(fingerprint, candidates) {
+  return candidates
+    .filter(candidate => isNearDuplicate(fingerprint, candidate.fingerprint))
+    .sort((a, b) => (a.firstSeenAt || '').localeCompare(b.firstSeenAt || ''));
+}
+
+// Summary of a cluster for display: how many times the role was seen, and whether it was reposted
+// (a copy first seen well after the first) rather than only syndicated
+export function describeCluster(members) {
+  const firstSeen = members.map(member => Date.parse(member.firstSeenAt)).filter(time => !Number.isNaN(time));
+  const earliest = Math.min(...firstSeen);
+  return {
+    size: members.length,
+    reposted: firstSeen.some(time => time - earliest >= DEDUP.REPOST_GAP),
+    firstSeenAt: firstSeen.length ? new Date(earliest).toISOString() : null,
+    jobIds: members.map(member => member.id)
+  };
+}
+
+export function formatCluster(cluster) {
+  return `seen ${cluster.size} times${cluster.reposted ? ' / reposted' : ''}`;
+}
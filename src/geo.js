@@ -0,0 +1,121 @@
+import fetch from 'node-fetch';
+
+const TYPEAHEAD_URL = 'https://www.linkedin.com/jobs-guest/api/typeaheadHits';
+
+// Cache key for a location name, so "Sydney" and " sydney " share an entry
+function geoCacheKey(name) {
+  return `geo:${name.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+}
+
+// Locations that are searched by workplace type rather than by place
+function isPlaceLocation(loc) {
+  return loc && loc.name && loc.name !== 'Remote' && loc.type !== 'remote';
+}
+
+// Parse a typeahead response into { geoId, displayName } hits
+// The guest endpoint returns an array of hits whose `id` is either the bare ID or a `urn:li:fs_geo:<id>` URN
+export function parseTypeaheadResponse(body) {
+  const hits = Array.isArray(body) ? body : (body?.elements || body?.hits || []);
+  return hits
+    .map(hit => {
+      const rawId = String(hit.id ?? hit.objectUrn ?? hit.trackingUrn ?? '');
+      const urnMatch = rawId.match(/urn:li:fs_geo:(\d+)/) || rawId.match(/^(\d+)$/);
+      return {
+        geoId: urnMatch ? urnMatch[1] : null,
+        displayName: hit.displayName || hit.text?.text || hit.title || null
+      };
+    })
+    .filter(hit => hit.geoId);
+}
+
+// Query LinkedIn's guest typeahead endpoint for GEO matches
+export async function lookupGeoCandidates(name, type) {
+  const params = new URLSearchParams({
+    origin: 'jserp',
+    typeaheadType: 'GEO',
+    query: name
+  });
+  // City searches are restricted to populated places; countries and regions need the broader default
+  if (type === 'city') {
+    params.set('geoTypes', 'POPULATED_PLACE');
+  }
+
+  const response = await fetch(`${TYPEAHEAD_URL}?${params}`, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept': 'application/json'
+    },
+    signal: AbortSignal.timeout(10000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return parseTypeaheadResponse(await response.json());
+}
+
+// Resolve a location name to a LinkedIn geoId, using the KV cache before calling the typeahead endpoint
+export async function resolveGeoId(env, name, options = {}) {
+  const { type, refresh = false } = options;
+  const cacheKey = geoCacheKey(name);
+
+  if (!refresh) {
+    const cached = await env.JOB_STORAGE.get(cacheKey, 'json');
+    if (cached) {
+      return cached;
+    }
+  }
+
+  const candidates = await lookupGeoCandidates(name, type);
+  if (candidates.length === 0) {
+    console.log(`No geoId found for location "${name}"`);
+    return null;
+  }
+
+  const resolved = {
+    name,
+    geoId: candidates[0].geoId,
+    displayName: candidates[0].displayName,
+    alternatives: candidates.slice(1, 5),
+    source: 'typeahead',
+    resolvedAt: new Date().toISOString()
+  };
+  await env.JOB_STORAGE.put(cacheKey, JSON.stringify(resolved));
+  console.log(`Resolved location "${name}" to geoId ${resolved.geoId} (${resolved.displayName})`);
+  return resolved;
+}
+
+// Store a user-supplied geoId, which takes precedence over typeahead results
+export async function setGeoIdOverride(env, name, geoId) {
+  const override = {
+    name,
+    geoId,
+    displayName: null,
+    source: 'manual',
+    resolvedAt: new Date().toISOString()
+  };
+  await env.JOB_STORAGE.put(geoCacheKey(name), JSON.stringify(override));
+  return override;
+}
+
+// Fill in geoIds for plan locations that don't have one. A geoId already on a location was given explicitly
+// and is kept. Lookup failures are logged and leave the location as-is
+export async function resolvePlanLocations(env, locations) {
+  const resolvedLocations = [];
+  for (const loc of locations || []) {
+    if (!isPlaceLocation(loc) || loc.geoId) {
+      resolvedLocations.push(loc);
+      continue;
+    }
+
+    try {
+      const resolved = await resolveGeoId(env, loc.name, { type: loc.type });
+      resolvedLocations.push(resolved ? { ...loc, geoId: resolved.geoId } : loc);
+    } catch (error) {
+      console.error(`Error resolving geoId for "${loc.name}":`, error.message);
+      resolvedLocations.push(loc);
+    }
+  }
+  return resolvedLocations;
+}
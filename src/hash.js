@@ -0,0 +1,24 @@
+// Fast non-cryptographic hashing for change detection and fingerprints
+
+const FNV_OFFSET = 0xcbf29ce484222325n;
+const FNV_PRIME = 0x100000001b3n;
+const MASK_64 = 0xffffffffffffffffn;
+
+// 64-bit FNV-1a hash of a string, as a BigInt
+export function hash64(text) {
+  let hash = FNV_OFFSET;
+  for (const byte of new TextEncoder().encode(text)) {
+    hash = ((hash ^ BigInt(byte)) * FNV_PRIME) & MASK_64;
+  }
+  return hash;
+}
+
+// 16-character hex form of a 64-bit hash
+export function toHex(value) {
+  return value.toString(16).padStart(16, '0');
+}
+
+// Hex hash of a string
+export function hashText(text) {
+  return toHex(hash64(String(text)));
+}
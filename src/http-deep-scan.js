@@ -1,276 +1,207 @@
-import fetch from 'node-fetch';
-import * as cheerio from 'cheerio';
 import { SCAN_CONFIG } from './constants.js';
+import { persistScanState } from './scan-state.js';
+import { HttpError, buildScanSuccessChanges, buildScanFailureChanges, buildRequeueChanges } from './retry-policy.js';
+import { JobClosedError, updateLifecycle } from './lifecycle.js';
+import { analyzeJobPageWithLLM } from './job-analysis.js';
+import { normalizeDealbreakers, checkAnalysisDealbreakers, buildExclusionChanges } from './dealbreakers.js';
+import { getCompanyLists, checkBlockedCompany } from './company-lists.js';
+import { buildCalibration } from './calibration.js';
+import { computeFingerprint } from './fingerprint.js';
+import { saveProfileSnapshot } from './plan.js';
+import { saveJobContent, getJobContent } from './job-content.js';
+import { getSourceForJob } from './sources/index.js';
 
 // HTTP-based deep scan implementation - more efficient than Playwright/Puppeteer
-export async function httpDeepScanSingleJob(agent, job, profile, scanPrompt) {
-  if (!job.url) {
-    throw new Error('Job URL is required for deep scanning');
-  }
-
-  console.log(`  → Fetching job URL via HTTP: ${job.url}`);
-  const startTime = Date.now();
-  
-  try {
-    // Fetch the job page with browser-like headers
-    const response = await fetch(job.url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'DNT': '1',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1',
-        'Sec-Fetch-Dest': 'document',
-        'Sec-Fetch-Mode': 'navigate',
-        'Sec-Fetch-Site': 'none',
-        'Cache-Control': 'max-age=0'
-      },
-      // Add timeout to prevent hanging
-      signal: AbortSignal.timeout(30000) // 30 second timeout
-    });
-
-    const fetchTime = Date.now() - startTime;
-    console.log(`  → HTTP fetch completed in ${fetchTime}ms, status: ${response.status}`);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
+// The posting is fetched through the job's source (see sources/index.js). The page content is cached under the job's ID, so get_job_source and replay_analysis work for manual scans too
+export async function httpDeepScanSingleJob(agent, job, profile, scanPrompt, scoringWeights, calibration = null) {
+  const pageContent = await getSourceForJob(job).fetchDetails(job);
+  await saveJobContent(agent.env, job.id, pageContent);
+  const analysisResult = await analyzeJobContent(agent, pageContent, job, profile, scanPrompt, scoringWeights, calibration);
+  return {
+    ...analysisResult,
+    contentHash: pageContent.contentHash,
+    // The posting's own text, for the dealbreaker checks; not stored on the job
+    postingText: pageContent.description,
+    postingDetails: pageContent.posting,
+    analysisInputs: { ...analysisResult.analysisInputs, contentSource: 'page' }
+  };
+}
 
-    // Parse HTML content
-    const html = await response.text();
-    const $ = cheerio.load(html);
-    
-    // Extract page content similar to how Playwright does it
-    const pageContent = {
-      title: $('title').text() || '',
-      url: job.url,
-      fullContent: extractJobContent($)
-    };
+// Send the page content to the LLM for extraction and matching
+async function analyzeJobContent(agent, pageContent, job, profile, scanPrompt, scoringWeights, calibration) {
+  const analysisResult = await analyzeJobPageWithLLM(agent, pageContent, job, profile, scanPrompt, scoringWeights, calibration);
+  console.log(`  → HTTP-based deep scan completed for ${job.url}, match score: ${analysisResult.matchScore}`);
+  return analysisResult;
+}
 
-    console.log(`  → Extracted ${pageContent.fullContent.length} characters of content via HTTP`);
+// Number of deep scan workers, from DEEP_SCAN_CONCURRENCY when set
+export function getDeepScanConcurrency(env) {
+  const configured = parseInt(env.DEEP_SCAN_CONCURRENCY, 10);
+  const concurrency = Number.isNaN(configured) ? SCAN_CONFIG.DEEP_SCAN_CONCURRENCY : configured;
+  return Math.max(1, Math.min(SCAN_CONFIG.MAX_DEEP_SCAN_CONCURRENCY, concurrency));
+}
 
-    // Validate that we got meaningful job content
-    if (pageContent.fullContent.length < 500) {
-      console.log(`  ⚠️  Warning: Very little content extracted (${pageContent.fullContent.length} chars), may need JavaScript rendering`);
-    }
+// Tracks hosts that answered 429/503 so every worker holds off them until the backoff expires
+function createHostThrottle() {
+  const hosts = new Map();
 
-    // Check for job-related content to ensure we got the right page
-    const hasJobKeywords = /job|position|role|responsibilities|requirements|qualifications|description/i.test(pageContent.fullContent);
-    if (!hasJobKeywords) {
-      console.log(`  ⚠️  Warning: No job-related keywords found in content, may be blocked or redirected`);
-    }
+  return {
+    // Wait until the host is no longer backing off
+    async wait(host) {
+      let state = hosts.get(host);
+      while (state && state.until > Date.now()) {
+        await new Promise(resolve => setTimeout(resolve, state.until - Date.now()));
+        state = hosts.get(host);
+      }
+    },
 
-    // Send full page content to LLM for extraction and matching
-    const analysisResult = await analyzeJobPageWithLLM(agent, pageContent, job, profile, scanPrompt);
-    
-    console.log(`  → HTTP-based deep scan completed for ${job.url}, match score: ${analysisResult.matchScore}`);
-    return analysisResult;
+    // Back off a host, doubling the delay each time it throttles us again. Returns the delay in milliseconds.
+    penalize(host, retryAfter) {
+      const strikes = (hosts.get(host)?.strikes || 0) + 1;
+      const retryAfterSeconds = parseInt(retryAfter, 10);
+      const delay = Number.isNaN(retryAfterSeconds)
+        ? Math.min(SCAN_CONFIG.HOST_BACKOFF_BASE * 2 ** (strikes - 1), SCAN_CONFIG.HOST_BACKOFF_MAX)
+        : Math.min(retryAfterSeconds * 1000, SCAN_CONFIG.HOST_BACKOFF_MAX);
+      hosts.set(host, { strikes, until: Date.now() + delay });
+      return delay;
+    },
 
-  } catch (error) {
-    const totalTime = Date.now() - startTime;
-    console.log(`  → HTTP fetch failed after ${totalTime}ms: ${error.message}`);
-    
-    // Log additional error details for debugging
-    if (error.name === 'AbortError') {
-      console.log(`  → Request timed out after 30 seconds`);
-    } else if (error.message.includes('HTTP')) {
-      console.log(`  → Server returned error response`);
-    } else {
-      console.log(`  → Network or parsing error`);
+    // A successful response clears the host's strikes, unless it was already in flight when another request
+    // was throttled and the backoff that started hasn't expired
+    reset(host) {
+      if ((hosts.get(host)?.until || 0) <= Date.now()) {
+        hosts.delete(host);
+      }
     }
-    
-    throw error;
-  }
+  };
 }
 
-// Extract meaningful job content from the parsed HTML
-function extractJobContent($) {
-  // Remove script and style elements
-  $('script, style, noscript').remove();
-  
-  // Try to get the main body text, similar to document.body.innerText
-  let fullContent = $('body').text();
-  
-  // Clean up the text - remove excessive whitespace
-  fullContent = fullContent
-    .replace(/\s+/g, ' ')  // Replace multiple whitespace with single space
-    .replace(/\n\s*\n/g, '\n')  // Remove empty lines
-    .trim();
-  
-  return fullContent;
+function isThrottledResponse(error) {
+  return error instanceof HttpError && (error.status === 429 || error.status === 503);
 }
 
-// Analyze full job page content with LLM
-export async function analyzeJobPageWithLLM(agent, pageContent, job, profile, scanPrompt) {
-  const prompt = `You are a job analysis system. Analyze the LinkedIn job page content and respond with ONLY a JSON object, no other text.
-
-Candidate Profile:
-${profile}
+// Fields copied from an already analysed copy of the same role instead of asking the LLM again
+const REUSED_ANALYSIS_FIELDS = [
+  'description', 'requirements', 'seniority', 'employmentType', 'remotePolicy', 'salaryRange', 'salary',
+  'matchScore', 'rawMatchScore', 'matchReason', 'scoreBreakdown', 'scoreSource', 'profileHash', 'analysisInputs'
+];
 
-Additional Criteria:
-${scanPrompt || 'None'}
-
-Job Page Content:
-${pageContent.fullContent.substring(0, 8000)}
+// The analysis of the earliest near-duplicate of a job scored against the current profile, or null if there is none
+async function findReusableAnalysis(agent, job, fingerprint, profileHash) {
+  const duplicates = await agent.jobStore.findDuplicateJobs(fingerprint, job.id);
+  const original = duplicates.find(duplicate => duplicate.scanStatus === 'completed' && duplicate.profileHash === profileHash);
+  if (!original) return null;
+  return {
+    ...Object.fromEntries(REUSED_ANALYSIS_FIELDS.map(field => [field, original[field]])),
+    duplicateOf: original.id
+  };
+}
 
-Extract job details and provide a match score from 0.0 to 1.0.
+// Deep scan one job and return the changes to store on it.
+// Throttled responses back off the host and are retried a limited number of times within the run.
+// A job whose extracted fields break a dealbreaker is stored as excluded instead of scored.
+// A repost or syndicated copy of a job that was already analysed reuses that analysis, and a job whose
+// posting hasn't changed since it was scored against the current profile keeps its own.
+async function deepScanJob(agent, job, plan, throttle, { dealbreakers, calibration, profileHash, runCache }) {
+  const host = new URL(job.url).host;
+  const cached = job.contentHash ? await getJobContent(agent.env, job.id) : null;
 
-Respond with ONLY this JSON format (no additional text):
-{
-  "title": "extracted job title",
-  "company": "extracted company name",
-  "location": "extracted location",
-  "description": "extracted job description",
-  "salary": "extracted salary or null",
-  "matchScore": 0.8,
-  "matchReason": "detailed explanation of match"
-}`;
+  for (let attempt = 0; ; attempt++) {
+    await throttle.wait(host);
+    try {
+      const pageContent = await getSourceForJob(job).fetchDetails(job, { cached, validators: cached ? job.pageValidators : null, runCache });
+      throttle.reset(host);
+      if (!pageContent.notModified) {
+        await saveJobContent(agent.env, job.id, pageContent);
+      }
 
-  // Use OpenAI for analysis
-  try {
-    console.log(`  → Analyzing full page with OpenAI...`);
-    const response = await agent.openai.chat.completions.create({
-      model: agent.env.OPENAI_MODEL || 'gpt-4o',
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.1,
-      max_tokens: SCAN_CONFIG.MAX_LLM_TOKENS
-    });
-    console.log(`  → OpenAI analysis complete`);
+      const fingerprint = computeFingerprint(job, pageContent.description);
+      const fetched = {
+        fingerprint,
+        contentHash: pageContent.contentHash,
+        pageValidators: pageContent.validators,
+        postingDetails: pageContent.posting || job.postingDetails || null,
+        lifecycle: updateLifecycle(job.lifecycle, null),
+        ...buildScanSuccessChanges(job)
+      };
 
-    try {
-      // Clean and parse the response
-      let cleanResponse = response.choices[0].message.content
-        .replace(/[\x00-\x1F\x7F-\x9F]/g, '')
-        .replace(/\\n/g, '\n')
-        .replace(/\\t/g, '\t')
-        .trim();
-      
-      // Try to extract JSON from the response - look for complete JSON objects
-      let jsonMatch = cleanResponse.match(/\{[\s\S]*?"matchScore"[\s\S]*?\}/i);
-      if (!jsonMatch) {
-        // Try broader JSON pattern
-        jsonMatch = cleanResponse.match(/\{[\s\S]*\}/i);
+      if (pageContent.contentHash === job.contentHash && job.profileHash === profileHash) {
+        console.log(`  → Posting unchanged since it was last scored, keeping its analysis`);
+        const excluded = checkAnalysisDealbreakers(job, job, dealbreakers, pageContent.description);
+        return excluded
+          ? { ...fetched, ...buildExclusionChanges(excluded, 'deep_scan') }
+          : { ...fetched, scanned: true, scanDate: new Date().toISOString(), scanStatus: 'completed', exclusion: null };
       }
-      if (jsonMatch) {
-        cleanResponse = jsonMatch[0];
-      } else {
-        // If no JSON found, log the response and try to extract key info
-        console.log(`  → No JSON found in response: ${cleanResponse.substring(0, 200)}...`);
-        throw new Error('No JSON structure found in AI response');
+
+      const reused = await findReusableAnalysis(agent, job, fingerprint, profileHash);
+      if (reused) {
+        console.log(`  → Near-duplicate of job ${reused.duplicateOf}, reusing its analysis`);
       }
-      
-      console.log(`  → Extracted JSON: ${cleanResponse.substring(0, 200)}...`);
-      
-      const result = JSON.parse(cleanResponse);
-      
-      const analysisResult = {
-        title: result.title || job.title,
-        company: result.company || job.company,
-        location: result.location || job.location,
-        description: result.description || 'No description extracted',
-        salary: result.salary || null,
-        matchScore: Math.max(0, Math.min(1, result.matchScore || 0)),
-        matchReason: result.matchReason || 'No reason provided'
+      const scanResult = reused
+        || await analyzeJobContent(agent, pageContent, job, plan.profile, plan.scanPrompt || '', plan.scoringWeights, calibration);
+
+      const extracted = {
+        ...fetched,
+        analysisReusedFrom: reused?.duplicateOf || null,
+        analysisInputs: reused
+          ? reused.analysisInputs || null
+          : { ...scanResult.analysisInputs, profileHash, contentSource: pageContent.notModified ? 'cached_page' : 'page' },
+        description: scanResult.description || job.description,
+        requirements: scanResult.requirements || [],
+        seniority: scanResult.seniority || null,
+        employmentType: scanResult.employmentType || null,
+        remotePolicy: scanResult.remotePolicy || null,
+        salaryRange: scanResult.salaryRange || null,
+        salary: scanResult.salary || null
       };
-      
-      console.log(`  → AI analysis result prepared: ${analysisResult.title} at ${analysisResult.company}`);
-      return analysisResult;
-      
-    } catch (parseError) {
-      console.error('Error parsing OpenAI analysis:', parseError);
-      console.log(`  → Falling back to keyword matching due to parse error`);
-      return fallbackJobMatching({ 
-        title: job.title,
-        company: job.company,
-        location: job.location,
-        description: pageContent.fullContent.substring(0, 2000)
-      }, profile, scanPrompt);
-    }
-    
-  } catch (aiError) {
-    console.log(`  → OpenAI analysis failed: ${aiError.message}`);
-    console.log(`  → Using fallback keyword matching...`);
-    return fallbackJobMatching({ 
-      title: job.title,
-      company: job.company,
-      location: job.location,
-      description: pageContent.fullContent.substring(0, 2000)
-    }, profile, scanPrompt);
-  }
-}
 
-// Fallback keyword matching when AI is unavailable
-export function fallbackJobMatching(jobDetails, profile, scanPrompt) {
-  try {
-    console.log(`  → Running fallback keyword matching...`);
-    
-    const jobText = `${jobDetails.title} ${jobDetails.company} ${jobDetails.location} ${jobDetails.description}`.toLowerCase();
-    const profileText = `${profile} ${scanPrompt}`.toLowerCase();
-    
-    // Extract keywords from profile
-    const profileKeywords = profileText.match(/\b\w{3,}\b/g) || [];
-    const uniqueKeywords = [...new Set(profileKeywords)];
-    
-    // Score based on keyword matches
-    let matchCount = 0;
-    let totalKeywords = Math.min(uniqueKeywords.length, 20); // Limit to top 20 keywords
-    
-    const matchedKeywords = [];
-    
-    for (const keyword of uniqueKeywords.slice(0, 20)) {
-      if (jobText.includes(keyword)) {
-        matchCount++;
-        matchedKeywords.push(keyword);
+      const excluded = checkAnalysisDealbreakers(job, scanResult, dealbreakers, pageContent.description);
+      if (excluded) {
+        return { ...extracted, ...buildExclusionChanges(excluded, 'deep_scan') };
       }
-    }
-    
-    // Bonus scoring for important terms
-    const bonusTerms = ['engineer', 'software', 'mechanical', 'new york', 'nyc', 'remote'];
-    let bonusScore = 0;
-    
-    for (const term of bonusTerms) {
-      if (jobText.includes(term) && profileText.includes(term)) {
-        bonusScore += 0.1;
+
+      return {
+        ...extracted,
+        scanned: true,
+        scanDate: new Date().toISOString(),
+        matchScore: scanResult.matchScore || 0,
+        rawMatchScore: scanResult.rawMatchScore ?? null,
+        matchReason: scanResult.matchReason || '',
+        scoreBreakdown: scanResult.scoreBreakdown || null,
+        scoreSource: scanResult.scoreSource,
+        profileHash: reused ? reused.profileHash : profileHash,
+        scanStatus: 'completed',
+        exclusion: null
+      };
+    } catch (jobError) {
+      if (isThrottledResponse(jobError) && attempt < SCAN_CONFIG.HOST_BACKOFF_RETRIES && !agent.backgroundJobs.scan.cancelled) {
+        const delay = throttle.penalize(host, jobError.retryAfter);
+        console.log(`  → ${host} returned ${jobError.status}, backing off for ${Math.round(delay / 1000)}s before retrying`);
+        continue;
       }
+      throw jobError;
     }
-    
-    // Calculate final score
-    const baseScore = totalKeywords > 0 ? matchCount / totalKeywords : 0;
-    const finalScore = Math.min(1.0, baseScore + bonusScore);
-    
-    const reason = `Keyword matching: ${matchCount}/${totalKeywords} keywords matched. ` +
-                  `Matched terms: ${matchedKeywords.slice(0, 5).join(', ')}${matchedKeywords.length > 5 ? '...' : ''}. ` +
-                  `Bonus score: +${bonusScore.toFixed(1)} for important terms.`;
-    
-    console.log(`  → Fallback match score: ${finalScore.toFixed(2)}`);
-    
-    return {
-      matchScore: Math.round(finalScore * 100) / 100, // Round to 2 decimals
-      matchReason: reason
-    };
-    
-  } catch (error) {
-    console.error('Error in fallback matching:', error);
-    return {
-      matchScore: 0.5, // Default neutral score
-      matchReason: 'Fallback matching failed, assigned neutral score'
-    };
   }
 }
 
+// Jobs with the newest posting time first, so the deep scan limit is spent on postings still worth applying
+// to. Jobs without a posting time keep their order after them.
+function orderByFreshness(jobs) {
+  const postedTime = job => Date.parse(job.postedAt || job.postingDetails?.postedAt || '') || 0;
+  return [...jobs].sort((a, b) => postedTime(b) - postedTime(a));
+}
+
 // HTTP-based version of performDeepScan that doesn't need browser management
+// Jobs are shared out to a bounded pool of workers; each result is written to the job store as it lands.
 export async function httpPerformDeepScan(agent) {
   try {
-    // Get jobs that need deep scanning
-    const jobIndex = await agent.env.JOB_STORAGE.get('job_index', 'json');
-    if (!jobIndex || !jobIndex.jobs) {
-      console.log('No jobs found for deep scanning');
-      return;
-    }
-
-    const jobsToScan = jobIndex.jobs.filter(job => !job.scanned);
+    // Get jobs that need deep scanning, skipping failed jobs whose retry isn't due yet
+    // and jobs the user has already said they aren't interested in
+    const jobsToScan = await agent.jobStore.listJobs({
+      scanned: false,
+      retryDueBy: new Date().toISOString(),
+      excludeNotInterested: true
+    });
     console.log(`Found ${jobsToScan.length} jobs to deep scan via HTTP`);
     
     if (jobsToScan.length === 0) {
@@ -283,107 +214,220 @@ export async function httpPerformDeepScan(agent) {
       console.log('No profile found in plan for deep scanning');
       return;
     }
+    const dealbreakers = normalizeDealbreakers(plan.dealbreakers);
+    const profileHash = await saveProfileSnapshot(agent.env, plan);
+
+    // Jobs queued before their company was blocked are excluded without fetching or analysing them
+    const companyLists = await getCompanyLists(agent.env);
+    const jobsToAnalyze = [];
+    for (const job of jobsToScan) {
+      const blocked = checkBlockedCompany(job, companyLists);
+      if (blocked) {
+        await agent.jobStore.updateJob(job.id, { ...buildExclusionChanges(blocked, 'deep_scan'), nextRetryAt: null });
+      } else {
+        jobsToAnalyze.push(job);
+      }
+    }
+    if (jobsToAnalyze.length < jobsToScan.length) {
+      console.log(`Skipped ${jobsToScan.length - jobsToAnalyze.length} jobs from blocked companies`);
+    }
+
+    // Limit deep scan to avoid timeouts (configurable limit), freshest postings first
+    const limitedJobs = orderByFreshness(jobsToAnalyze).slice(0, SCAN_CONFIG.MAX_DEEP_SCAN_JOBS);
+    const concurrency = getDeepScanConcurrency(agent.env);
 
-    // Limit deep scan to avoid timeouts (configurable limit)
-    const limitedJobs = jobsToScan.slice(0, SCAN_CONFIG.MAX_DEEP_SCAN_JOBS);
-    console.log(`HTTP deep scanning ${limitedJobs.length} jobs (no browser needed)...`);
+    // Feedback on rated jobs shapes the prompt and calibrates the scores
+    const calibration = await buildCalibration(agent.jobStore);
+    if (calibration.model) {
+      console.log(`Calibrating scores from ${calibration.model.samples} rated jobs`);
+    }
+    console.log(`HTTP deep scanning ${limitedJobs.length} jobs with ${concurrency} worker(s) (no browser needed)...`);
     
     // Initialize progress tracking
-    agent.backgroundJobs.scan.deepScanProgress = {
+    const progress = {
       total: limitedJobs.length,
       completed: 0,
-      current: null,
-      errors: 0
+      errors: 0,
+      closed: 0,
+      excluded: 0,
+      duplicates: 0,
+      retriesScheduled: 0,
+      concurrency,
+      inFlight: []
     };
+    agent.backgroundJobs.scan.deepScanProgress = progress;
+    await persistScanState(agent);
 
-    // Process jobs sequentially using HTTP requests
-    for (let i = 0; i < limitedJobs.length; i++) {
-      const job = limitedJobs[i];
-      
-      // Check for cancellation before each job
-      if (agent.backgroundJobs.scan.cancelled) {
-        console.log('Deep scan cancelled by user');
-        agent.backgroundJobs.scan.status = 'cancelled';
-        break;
-      }
-      
-      // Update progress tracking
-      agent.backgroundJobs.scan.deepScanProgress.current = {
-        index: i + 1,
-        title: job.title,
-        company: job.company,
-        url: job.url
-      };
-      
-      try {
-        console.log(`HTTP deep scanning job ${i + 1}/${limitedJobs.length}: ${job.title} at ${job.company}`);
-        
-        const scanResult = await httpDeepScanSingleJob(agent, job, plan.profile, plan.scanPrompt || '');
-        
-        // Update job with scan results
-        job.scanned = true;
-        job.scanDate = new Date().toISOString();
-        job.matchScore = scanResult.matchScore || 0;
-        job.matchReason = scanResult.matchReason || '';
-        job.description = scanResult.description || job.description;
-        job.requirements = scanResult.requirements || [];
-        job.salary = scanResult.salary || null;
-        job.scanStatus = 'completed';
-        
-        agent.backgroundJobs.scan.deepScanProgress.completed++;
-        console.log(`✓ HTTP job scan complete. Match score: ${job.matchScore}`);
-        
-      } catch (jobError) {
-        console.error(`✗ Error in HTTP scan for job ${job.id} (${job.title}):`, jobError.message);
-        
-        // Check if error was due to cancellation
-        if (jobError.message.includes('cancelled')) {
-          console.log('HTTP deep scan cancelled during job processing');
-          agent.backgroundJobs.scan.status = 'cancelled';
-          break;
+    const throttle = createHostThrottle();
+    const runCache = new Map();
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < limitedJobs.length) {
+        // Check for cancellation before each job
+        if (agent.backgroundJobs.scan.cancelled) {
+          return;
+        }
+
+        const index = nextIndex++;
+        const job = limitedJobs[index];
+        const current = { index: index + 1, title: job.title, company: job.company, url: job.url };
+        progress.inFlight.push(current);
+
+        let scanChanges;
+        try {
+          console.log(`HTTP deep scanning job ${index + 1}/${limitedJobs.length}: ${job.title} at ${job.company}`);
+          scanChanges = await deepScanJob(agent, job, plan, throttle, { dealbreakers, calibration, profileHash, runCache });
+          progress.completed++;
+          if (scanChanges.scanStatus === 'excluded') {
+            progress.excluded++;
+            console.log(`✓ HTTP job scan complete. Excluded: ${scanChanges.exclusion.reason}`);
+          } else {
+            console.log(`✓ HTTP job scan complete. Match score: ${scanChanges.matchScore}`);
+          }
+        } catch (jobError) {
+          if (jobError instanceof JobClosedError) {
+            // A closed posting isn't worth analysing; it is hidden from the index and digests
+            console.log(`✓ Job ${job.id} is no longer open (${jobError.reason})`);
+            scanChanges = {
+              scanned: true,
+              scanDate: new Date().toISOString(),
+              scanStatus: 'closed',
+              lifecycle: updateLifecycle(job.lifecycle, jobError.reason),
+              nextRetryAt: null
+            };
+            progress.closed++;
+          } else {
+            console.error(`✗ Error in HTTP scan for job ${job.id} (${job.title}):`, jobError.message);
+            scanChanges = buildScanFailureChanges(job, jobError);
+            if (scanChanges.scanStatus === 'retry_pending') {
+              progress.retriesScheduled++;
+              console.log(`  → ${scanChanges.scanError.reason}, retry ${scanChanges.attemptCount} scheduled for ${scanChanges.nextRetryAt}`);
+            } else {
+              console.log(`  → ${scanChanges.scanError.reason}, not retrying`);
+            }
+            progress.errors++;
+            console.log(`  → Continuing with next job...`);
+          }
+        } finally {
+          progress.inFlight = progress.inFlight.filter(entry => entry !== current);
         }
-        
-        // Mark job as scanned but with error details
-        job.scanned = true;
-        job.scanDate = new Date().toISOString();
-        job.matchScore = 0;
-        job.matchReason = 'HTTP scan failed due to error';
-        job.scanStatus = 'error';
-        job.scanError = {
-          type: jobError.name || 'Error',
-          message: jobError.message,
-          timestamp: new Date().toISOString()
-        };
-        
-        // Log specific error types for debugging
-        if (jobError.name === 'AbortError') {
-          console.log(`  → HTTP request timeout (likely slow response)`);
-          job.scanError.reason = 'http_timeout';
-        } else if (jobError.message.includes('HTTP')) {
-          console.log(`  → HTTP error response from server`);
-          job.scanError.reason = 'http_error';
-        } else {
-          job.scanError.reason = 'unknown';
+
+        // Persist each result as it lands so a failed, cancelled or interrupted run keeps its progress.
+        // Each worker only writes its own job, and the job store applies each update atomically.
+        // A failed write counts against the job rather than ending the worker, which would leave the others
+        // running unawaited.
+        try {
+          await agent.jobStore.updateJob(job.id, scanChanges);
+          if (scanChanges.fingerprint) {
+            const cluster = await agent.jobStore.assignCluster(job.id);
+            if (cluster) {
+              progress.duplicates++;
+              console.log(`  → Linked to cluster of ${cluster.length} copies of the same role`);
+            }
+          }
+        } catch (storeError) {
+          console.error(`✗ Could not store the scan result for job ${job.id}:`, storeError.message);
+          // The job was counted by its outcome above; a result that wasn't stored counts as an error instead
+          if (scanChanges.scanStatus === 'closed') {
+            progress.closed--;
+          } else if (!scanChanges.scanError) {
+            progress.completed--;
+            if (scanChanges.scanStatus === 'excluded') progress.excluded--;
+          }
+          if (!scanChanges.scanError) {
+            progress.errors++;
+          }
         }
-        
-        agent.backgroundJobs.scan.deepScanProgress.errors++;
-        console.log(`  → Continuing with next job...`);
+        await persistScanState(agent);
       }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, limitedJobs.length) }, worker));
+    if (progress.completed > 0) {
+      await agent.jobStore.setProfileHash(profileHash);
     }
 
-    // Save updated job index with scan statistics
-    const completedJobs = limitedJobs.filter(j => j.scanStatus === 'completed').length;
-    const errorJobs = limitedJobs.filter(j => j.scanStatus === 'error').length;
-    
-    await agent.env.JOB_STORAGE.put('job_index', JSON.stringify(jobIndex));
+    if (agent.backgroundJobs.scan.cancelled) {
+      console.log('Deep scan cancelled by user');
+    }
     
     console.log(`HTTP deep scan phase completed:`);
-    console.log(`  ✓ Successfully scanned: ${completedJobs} jobs`);
-    console.log(`  ✗ Failed to scan: ${errorJobs} jobs`);
-    console.log(`  📊 Total processing time saved by avoiding browser overhead`);
+    console.log(`  ✓ Successfully scanned: ${progress.completed} jobs`);
+    console.log(`  ✗ Failed to scan: ${progress.errors} jobs (${progress.retriesScheduled} scheduled for retry)`);
+    console.log(`  ⊘ Closed postings: ${progress.closed} jobs`);
+    console.log(`  ⊘ Excluded by dealbreakers: ${progress.excluded} jobs`);
+    console.log(`  ≡ Duplicates of indexed jobs: ${progress.duplicates} jobs`);
     
   } catch (error) {
     console.error('HTTP deep scan failed:', error.message);
     throw error;
   }
 }
+
+// Re-fetch indexed jobs that haven't been checked for a while and record any that have closed.
+// Fetches are conditional, so unchanged pages aren't downloaded again; a posting whose description changed
+// is queued to be deep scanned again. Runs after the deep scan; failures here are logged and never fail the scan.
+export async function httpRecheckJobLifecycles(agent) {
+  try {
+    const checkedBefore = new Date(Date.now() - SCAN_CONFIG.LIFECYCLE_RECHECK_INTERVAL).toISOString();
+    const jobsToCheck = await agent.jobStore.listJobs({
+      scanStatus: 'completed',
+      excludeClosed: true,
+      lifecycleCheckedBefore: checkedBefore,
+      orderBy: 'lifecycleChecked',
+      limit: SCAN_CONFIG.LIFECYCLE_RECHECK_BATCH
+    });
+    if (jobsToCheck.length === 0) {
+      return;
+    }
+
+    console.log(`Rechecking ${jobsToCheck.length} jobs for closed postings...`);
+    const progress = { total: jobsToCheck.length, checked: 0, closed: 0, changed: 0, errors: 0 };
+    agent.backgroundJobs.scan.lifecycleRecheck = progress;
+    const runCache = new Map();
+
+    for (const job of jobsToCheck) {
+      if (agent.backgroundJobs.scan.cancelled) {
+        console.log('Lifecycle recheck cancelled by user');
+        break;
+      }
+
+      try {
+        let page = null;
+        let closedReason = null;
+        try {
+          page = await getSourceForJob(job).fetchDetails(job, { validators: job.pageValidators, runCache });
+        } catch (fetchError) {
+          if (!(fetchError instanceof JobClosedError)) throw fetchError;
+          closedReason = fetchError.reason;
+        }
+
+        const changes = { lifecycle: updateLifecycle(job.lifecycle, closedReason) };
+        if (page && !page.notModified && job.contentHash && page.contentHash !== job.contentHash) {
+          Object.assign(changes, buildRequeueChanges(), { contentChangedAt: new Date().toISOString() });
+          progress.changed++;
+          console.log(`  ↻ ${job.title} at ${job.company} has changed, queued for a new deep scan`);
+        }
+        await agent.jobStore.updateJob(job.id, changes);
+        progress.checked++;
+        if (changes.lifecycle.state === 'closed') {
+          progress.closed++;
+          console.log(`  ⊘ ${job.title} at ${job.company} has closed (${closedReason})`);
+        }
+      } catch (error) {
+        progress.errors++;
+        console.log(`  → Could not recheck ${job.url}: ${error.message}`);
+        // Being throttled means the remaining checks would fail too; pick them up next run
+        if (error instanceof HttpError && (error.status === 429 || error.status === 503)) {
+          break;
+        }
+      }
+      await persistScanState(agent);
+    }
+
+    console.log(`Lifecycle recheck completed: ${progress.checked} checked, ${progress.closed} closed, ${progress.changed} changed, ${progress.errors} errors`);
+  } catch (error) {
+    console.error('Lifecycle recheck failed:', error.message);
+  }
+}
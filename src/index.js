@@ -2,28 +2,52 @@ import { McpAgent } from "agents/mcp";
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { z } from "zod";
 import OpenAI from "openai";
-import { launch } from "@cloudflare/playwright";
-import { getPlanTool, updatePlanTool } from "./plan.js";
-import { getScanTool, getRescanTool } from "./scan.js";
+import { getPlanTool, updatePlanTool, getResolveLocationTool, getProfileHash, saveProfileSnapshot } from "./plan.js";
+import { getScanTool, getRescanTool, getResumeScanTool } from "./scan.js";
 import { getCancelScanTool } from './cancel-scan.js';
-import { generateJobId } from "./scan-helpers.js";
-import { TOOL_DESCRIPTIONS, TOOL_ARGS, TOOL_ERRORS, TOOL_SUCCESS, SCAN_CONFIG } from './constants.js';
+import { getScanHistoryTool } from './scan-history.js';
+import { getLinkedInSessionTool } from './linkedin-session.js';
+import { getCheckSelectorsTool } from './selector-profiles.js';
+import { getRetryFailedJobsTool } from './retry-failed-jobs.js';
+import { getRescoreJobsTool } from './rescore.js';
+import { getJobSourceTool, getReplayAnalysisTool } from './job-source.js';
+import { runScan } from "./scan-helpers.js";
+import { generateJobId, getSourceForUrl } from "./sources/index.js";
+import { getScanState, startScanState } from "./scan-state.js";
+import { TOOL_DESCRIPTIONS, TOOL_ARGS, TOOL_ERRORS, TOOL_SUCCESS, SCAN_CONFIG, REDACTED_TOOL_ARGS } from './constants.js';
 import { httpDeepScanSingleJob } from "./http-deep-scan.js";
+import { getJobStore } from "./job-store.js";
+import { LIFECYCLE_STATES, JobClosedError, updateLifecycle } from "./lifecycle.js";
+import { formatScoreBreakdown } from "./scoring.js";
+import { formatPostedAge } from "./card-metadata.js";
+import { normalizeDealbreakers, checkAnalysisDealbreakers, buildExclusionChanges } from "./dealbreakers.js";
+import { getRateJobTool, getSetJobStatusTool, USER_STATUSES, formatJobFeedback } from "./job-feedback.js";
+import { buildCalibration, getCalibrationReportTool } from "./calibration.js";
+import { getCompanyLists, rankJobs, getBlockCompanyTool, getWatchCompanyTool, getListCompaniesTool } from "./company-lists.js";
+import { getCreateApplicationTool, getAdvanceApplicationTool, getListApplicationsTool } from "./applications.js";
 import { 
   checkSmtpConfiguration, 
   getJobsForDigest, 
   markJobsAsSent, 
   filterJobsForDigest, 
+  collapseJobClusters, 
   sendDigestEmail, 
   autoSendDigest,
   sendScheduledTriggerNotification 
 } from './digest.js';
 
+export { JobStore } from "./job-store.js";
+
 // Define our MCP agent with tools
 
 export class JobSearchMCP extends McpAgent {
   constructor(state, env) {
     super(state, env);
+    this.jobStore = getJobStore(env);
+    // Created here rather than in init() so cron-triggered scans, which bypass MCP initialisation, have a client
+    this.openai = new OpenAI({
+      apiKey: env.OPENAI_API_KEY,
+    });
     this.backgroundJobs = {
       scan: { inProgress: false, status: 'idle', error: null },
     };
@@ -34,18 +58,15 @@ export class JobSearchMCP extends McpAgent {
     version: "1.0.0",
   });
 
-  openai = null;
-
   async init() {
-    this.openai = new OpenAI({
-      apiKey: this.env.OPENAI_API_KEY,
-    });
-
     // Tool logging wrapper
     this.loggedTool = (name, description, args, handler, options) => {
       const wrappedHandler = async (params) => {
         console.log(`🔧 TOOL CALLED: ${name}`);
-        console.log(`📝 Parameters:`, JSON.stringify(params, null, 2));
+        // Secrets such as a pasted session cookie never reach the logs
+        const loggedParams = Object.fromEntries(Object.entries(params || {})
+          .map(([key, value]) => [key, REDACTED_TOOL_ARGS.includes(key) && value !== undefined ? '[redacted]' : value]));
+        console.log(`📝 Parameters:`, JSON.stringify(loggedParams, null, 2));
         const startTime = Date.now();
         
         try {
@@ -70,7 +91,7 @@ export class JobSearchMCP extends McpAgent {
       TOOL_DESCRIPTIONS.STATUS,
       {},
       async () => {
-        const scanStatus = { ...this.backgroundJobs.scan };
+        const scanStatus = await getScanState(this);
         
         // Add computed progress information
         if (scanStatus.deepScanProgress) {
@@ -79,8 +100,9 @@ export class JobSearchMCP extends McpAgent {
             completed: scanStatus.deepScanProgress.completed,
             total: scanStatus.deepScanProgress.total,
             errors: scanStatus.deepScanProgress.errors,
-            percentage: Math.round((scanStatus.deepScanProgress.completed / scanStatus.deepScanProgress.total) * 100),
-            currentJob: scanStatus.deepScanProgress.current
+            percentage: Math.round(((scanStatus.deepScanProgress.completed + scanStatus.deepScanProgress.errors) / scanStatus.deepScanProgress.total) * 100),
+            concurrency: scanStatus.deepScanProgress.concurrency,
+            currentJobs: scanStatus.deepScanProgress.inFlight
           };
         }
         
@@ -91,7 +113,7 @@ export class JobSearchMCP extends McpAgent {
           scanStatus.runtime = {
             startedAt: scanStatus.startTime,
             runningFor: Math.round((currentTime - startTime) / 1000) + ' seconds',
-            status: scanStatus.inProgress ? 'running' : 'completed'
+            status: scanStatus.inProgress ? 'running' : scanStatus.status
           };
         }
         
@@ -111,6 +133,14 @@ export class JobSearchMCP extends McpAgent {
       getPlanTool(this.env),
 
       updatePlanTool(this.env, this.openai),
+
+      getResolveLocationTool(this.env),
+
+      getBlockCompanyTool(this.env),
+
+      getWatchCompanyTool(this.env),
+
+      getListCompaniesTool(this.env),
     ];
     for (const tool of planTools) {
       if (tool.args) {
@@ -138,9 +168,42 @@ export class JobSearchMCP extends McpAgent {
     const rescanTool = getRescanTool(this);
     this.loggedTool(rescanTool.name, rescanTool.description, rescanTool.args, rescanTool.handler, rescanTool.options);
 
+    const resumeScanTool = getResumeScanTool(this);
+    this.loggedTool(resumeScanTool.name, resumeScanTool.description, resumeScanTool.args, resumeScanTool.handler, resumeScanTool.options);
+
     const cancelScanTool = getCancelScanTool(this);
     this.loggedTool(cancelScanTool.name, cancelScanTool.description, cancelScanTool.args, cancelScanTool.handler, cancelScanTool.options);
 
+    const retryFailedJobsTool = getRetryFailedJobsTool(this);
+    this.loggedTool(retryFailedJobsTool.name, retryFailedJobsTool.description, retryFailedJobsTool.args, retryFailedJobsTool.handler, retryFailedJobsTool.options);
+
+    const rescoreJobsTool = getRescoreJobsTool(this);
+    this.loggedTool(rescoreJobsTool.name, rescoreJobsTool.description, rescoreJobsTool.args, rescoreJobsTool.handler, rescoreJobsTool.options);
+
+    const scanHistoryTool = getScanHistoryTool(this);
+    this.loggedTool(scanHistoryTool.name, scanHistoryTool.description, scanHistoryTool.args, scanHistoryTool.handler, scanHistoryTool.options);
+
+    const checkSelectorsTool = getCheckSelectorsTool(this);
+    this.loggedTool(checkSelectorsTool.name, checkSelectorsTool.description, checkSelectorsTool.args, checkSelectorsTool.handler, checkSelectorsTool.options);
+
+    const linkedInSessionTool = getLinkedInSessionTool(this);
+    this.loggedTool(linkedInSessionTool.name, linkedInSessionTool.description, linkedInSessionTool.args, linkedInSessionTool.handler, linkedInSessionTool.options);
+
+    // Job feedback tools
+    for (const tool of [getRateJobTool(this), getSetJobStatusTool(this), getCalibrationReportTool(this)]) {
+      this.loggedTool(tool.name, tool.description, tool.args, tool.handler, tool.options);
+    }
+
+    // Score debugging tools
+    for (const tool of [getJobSourceTool(this), getReplayAnalysisTool(this)]) {
+      this.loggedTool(tool.name, tool.description, tool.args, tool.handler, tool.options);
+    }
+
+    // Application tracker tools
+    for (const tool of [getCreateApplicationTool(this), getAdvanceApplicationTool(this), getListApplicationsTool(this)]) {
+      this.loggedTool(tool.name, tool.description, tool.args, tool.handler, tool.options);
+    }
+
     // Manual deep scan tool for debugging
     this.loggedTool(
       "deep_scan_job",
@@ -164,6 +227,7 @@ export class JobSearchMCP extends McpAgent {
           // Create a mock job object for the URL
           const mockJob = {
             id: generateJobId(url),
+            source: getSourceForUrl(url).name,
             url: url,
             title: 'Manual Deep Scan',
             company: 'Unknown',
@@ -176,7 +240,8 @@ export class JobSearchMCP extends McpAgent {
           
           let scanResult;
           try {
-            scanResult = await httpDeepScanSingleJob(this, mockJob, plan.profile, plan.scanPrompt || '');
+            const calibration = await buildCalibration(this.jobStore);
+            scanResult = await httpDeepScanSingleJob(this, mockJob, plan.profile, plan.scanPrompt || '', plan.scoringWeights, calibration);
             console.log(`CHECKPOINT 1: Deep scan method returned`);
             console.log(`CHECKPOINT 2: About to log result for ${url}`);
             console.log(`Deep scan method returned result for ${url}`);
@@ -185,49 +250,76 @@ export class JobSearchMCP extends McpAgent {
             console.log(`CHECKPOINT 4: Scan result logged successfully`);
           } catch (deepScanError) {
             console.error(`Deep scan failed with error:`, deepScanError);
+            if (deepScanError instanceof JobClosedError) {
+              // Record the closure if the job is indexed
+              const closedJob = await this.jobStore.getJobByUrl(url);
+              if (closedJob) {
+                await this.jobStore.updateJob(closedJob.id, {
+                  scanned: true,
+                  scanDate: new Date().toISOString(),
+                  scanStatus: 'closed',
+                  lifecycle: updateLifecycle(closedJob.lifecycle, deepScanError.reason)
+                });
+              }
+              return {
+                content: [{ type: "text", text: `The posting at ${url} is closed (${deepScanError.reason}).\n\n${closedJob ? '✓ Job index updated' : 'ℹ Job not found in index - results not persisted'}` }],
+                structuredContent: {
+                  url,
+                  closed: true,
+                  closedReason: deepScanError.reason,
+                  success: true,
+                  indexUpdated: Boolean(closedJob)
+                }
+              };
+            }
             throw deepScanError;
           }
+
+          // Dealbreakers apply here too, so the manual scan stores what a scheduled scan would
+          const excluded = checkAnalysisDealbreakers(mockJob, scanResult, normalizeDealbreakers(plan.dealbreakers), scanResult.postingText);
           
           // Update job index with scan results if the job exists in the index
           console.log(`Attempting to update job index for ${url}`);
           
-          let jobIndex = null;
+          let indexUpdated = false;
           try {
-            jobIndex = await this.env.JOB_STORAGE.get('job_index', 'json');
-            console.log(`Retrieved job index, has ${jobIndex?.jobs?.length || 0} jobs`);
-            if (jobIndex && jobIndex.jobs) {
-              console.log(`Job index exists, searching for job with URL: ${url}`);
-              // Find existing job by URL
-              const existingJobIndex = jobIndex.jobs.findIndex(j => j.url === url);
-              console.log(`Job search result: index ${existingJobIndex}`);
+            const existingJob = await this.jobStore.getJobByUrl(url);
+            
+            if (existingJob) {
+              console.log(`Found existing job ${existingJob.id}, updating...`);
+              const profileHash = await saveProfileSnapshot(this.env, plan);
+              // Update existing job with scan results
+              const updatedJob = await this.jobStore.updateJob(existingJob.id, {
+                scanned: true,
+                scanDate: new Date().toISOString(),
+                matchScore: scanResult.matchScore || 0,
+                rawMatchScore: scanResult.rawMatchScore ?? null,
+                matchReason: scanResult.matchReason || '',
+                scoreBreakdown: scanResult.scoreBreakdown || null,
+                description: scanResult.description || existingJob.description,
+                title: scanResult.title || existingJob.title,
+                company: scanResult.company || existingJob.company,
+                location: scanResult.location || existingJob.location,
+                salary: scanResult.salary || existingJob.salary,
+                requirements: scanResult.requirements || existingJob.requirements || [],
+                seniority: scanResult.seniority || existingJob.seniority || null,
+                employmentType: scanResult.employmentType || existingJob.employmentType || null,
+                remotePolicy: scanResult.remotePolicy || existingJob.remotePolicy || null,
+                salaryRange: scanResult.salaryRange || existingJob.salaryRange || null,
+                scoreSource: scanResult.scoreSource,
+                profileHash,
+                analysisInputs: { ...scanResult.analysisInputs, profileHash },
+                contentHash: scanResult.contentHash,
+                postingDetails: scanResult.postingDetails || existingJob.postingDetails || null,
+                scanStatus: 'completed',
+                lifecycle: updateLifecycle(existingJob.lifecycle, null),
+                ...(excluded ? buildExclusionChanges(excluded, 'deep_scan') : { exclusion: null })
+              });
+              indexUpdated = true;
               
-              if (existingJobIndex !== -1) {
-                console.log(`Found existing job at index ${existingJobIndex}, updating...`);
-                // Update existing job with scan results
-                const existingJob = jobIndex.jobs[existingJobIndex];
-                existingJob.scanned = true;
-                existingJob.scanDate = new Date().toISOString();
-                existingJob.matchScore = scanResult.matchScore || 0;
-                existingJob.matchReason = scanResult.matchReason || '';
-                existingJob.description = scanResult.description || existingJob.description;
-                existingJob.title = scanResult.title || existingJob.title;
-                existingJob.company = scanResult.company || existingJob.company;
-                existingJob.location = scanResult.location || existingJob.location;
-                existingJob.salary = scanResult.salary || existingJob.salary;
-                existingJob.scanStatus = 'completed';
-                
-                // Save updated index
-                console.log(`Saving updated job index...`);
-                jobIndex.lastUpdate = new Date().toISOString();
-                await this.env.JOB_STORAGE.put('job_index', JSON.stringify(jobIndex));
-                console.log(`Job index saved successfully`);
-                
-                console.log(`Updated job index with manual deep scan results for: ${existingJob.title}`);
-              } else {
-                console.log(`Job not found in index, scan results not persisted: ${url}`);
-              }
+              console.log(`Updated job index with manual deep scan results for: ${updatedJob.title}`);
             } else {
-              console.log(`No job index found or jobs array missing`);
+              console.log(`Job not found in index, scan results not persisted: ${url}`);
             }
           } catch (indexError) {
             console.error('Error updating job index with manual scan results:', indexError);
@@ -239,13 +331,14 @@ export class JobSearchMCP extends McpAgent {
           const result = {
             content: [{ 
               type: "text", 
-              text: `Deep scan completed for ${url}\n\nMatch Score: ${scanResult.matchScore}\nMatch Reason: ${scanResult.matchReason}\n\nJob Details:\nTitle: ${scanResult.title}\nCompany: ${scanResult.company}\nLocation: ${scanResult.location}\n\nDescription: ${scanResult.description?.substring(0, 500)}...\n\n${jobIndex && jobIndex.jobs.find(j => j.url === url) ? '✓ Job index updated with scan results' : 'ℹ Job not found in index - results not persisted'}` 
+              text: `Deep scan completed for ${url}\n\n${excluded ? `Excluded by dealbreaker: ${excluded.reason}\n` : ''}Match Score: ${scanResult.matchScore}${typeof scanResult.rawMatchScore === 'number' && scanResult.rawMatchScore !== scanResult.matchScore ? `, calibrated from ${scanResult.rawMatchScore}` : ''}${scanResult.scoreBreakdown ? ` (${formatScoreBreakdown(scanResult.scoreBreakdown)})` : ''}\nMatch Reason: ${scanResult.matchReason}\n\nJob Details:\nTitle: ${scanResult.title}\nCompany: ${scanResult.company}\nLocation: ${scanResult.location}\nSeniority: ${scanResult.seniority || 'unknown'}\nEmployment Type: ${scanResult.employmentType || 'unknown'}\nRemote Policy: ${scanResult.remotePolicy || 'unknown'}\nSalary: ${scanResult.salary || 'Not listed'}\nScore Source: ${scanResult.scoreSource}\n\nDescription: ${scanResult.description?.substring(0, 500)}...\n\n${indexUpdated ? '✓ Job index updated with scan results' : 'ℹ Job not found in index - results not persisted'}` 
             }],
             structuredContent: {
               url,
               scanResult,
+              exclusion: excluded,
               success: true,
-              indexUpdated: jobIndex && jobIndex.jobs.find(j => j.url === url) ? true : false
+              indexUpdated
             }
           };
           
@@ -283,29 +376,24 @@ export class JobSearchMCP extends McpAgent {
       "failed_jobs",
       "Get a report of jobs that failed during deep scanning for manual verification",
       {
-        errorType: z.string().optional().describe("Filter by error type: 'page_timeout', 'ai_parsing_error', 'unknown', or leave empty for all")
+        errorType: z.string().optional().describe(TOOL_ARGS.FAILED_JOBS_ERROR_TYPE)
       },
       async ({ errorType }) => {
         try {
-          const jobIndex = await this.env.JOB_STORAGE.get('job_index', 'json');
-          if (!jobIndex || !jobIndex.jobs) {
-            return {
-              content: [{ type: "text", text: "No job index found. Run a scan first." }],
-              isError: true
-            };
-          }
-
-          // Filter failed jobs
-          let failedJobs = jobIndex.jobs.filter(job => job.scanStatus === 'error');
+          // Filter failed jobs, leaving out ones the user isn't interested in
+          let failedJobs = await this.jobStore.listJobs({ scanStatus: 'error', excludeNotInterested: true });
           
           if (errorType) {
             failedJobs = failedJobs.filter(job => job.scanError?.reason === errorType);
           }
 
+          // Jobs still being retried are only counted here; they're not failed yet
+          const { retryPending } = await this.jobStore.getStats();
+
           if (failedJobs.length === 0) {
             const filterText = errorType ? ` with error type '${errorType}'` : '';
             return {
-              content: [{ type: "text", text: `No failed jobs found${filterText}.` }]
+              content: [{ type: "text", text: `No failed jobs found${filterText}. ${retryPending} job(s) waiting for a retry.` }]
             };
           }
 
@@ -318,13 +406,15 @@ export class JobSearchMCP extends McpAgent {
 
           // Create detailed report
           let report = `Failed Jobs Report (${failedJobs.length} total)\n`;
-          report += `Error breakdown: ${JSON.stringify(errorSummary)}\n\n`;
+          report += `Error breakdown: ${JSON.stringify(errorSummary)}\n`;
+          report += `Jobs waiting for a retry: ${retryPending}\n\n`;
           
           failedJobs.forEach((job, index) => {
             report += `${index + 1}. ${job.title} at ${job.company}\n`;
             report += `   URL: ${job.url}\n`;
             report += `   Error: ${job.scanError?.type || 'Unknown'} - ${job.scanError?.message || 'No message'}\n`;
-            report += `   Reason: ${job.scanError?.reason || 'unknown'}\n`;
+            report += `   Reason: ${job.scanError?.reason || 'unknown'}${job.scanError?.status ? ` (HTTP ${job.scanError.status})` : ''}\n`;
+            report += `   Attempts: ${job.attemptCount || 1}\n`;
             report += `   Failed at: ${job.scanError?.timestamp || job.scanDate}\n`;
             report += `   Job ID: ${job.id}\n\n`;
           });
@@ -333,13 +423,15 @@ export class JobSearchMCP extends McpAgent {
           report += "\n--- Manual Verification Instructions ---\n";
           report += "1. Copy any job URL above and paste it in your browser\n";
           report += "2. If the page loads normally, the job is still active (possible scraping issue)\n";
-          report += "3. If you get 'Job not found' or redirect to LinkedIn homepage, the job expired\n";
+          report += "3. Closed postings (404s, redirects to the jobs home page, 'No longer accepting applications') are detected automatically and are not listed here\n";
           report += "4. Use the 'deep_scan_job' tool to test specific URLs that should work\n";
+          report += "5. Use the 'retry_failed_jobs' tool to requeue jobs that failed for a temporary reason\n";
 
           return {
             content: [{ type: "text", text: report }],
             structuredContent: {
               totalFailed: failedJobs.length,
+              retryPending,
               errorSummary,
               failedJobs: failedJobs.map(job => ({
                 id: job.id,
@@ -349,6 +441,8 @@ export class JobSearchMCP extends McpAgent {
                 errorType: job.scanError?.type,
                 errorReason: job.scanError?.reason,
                 errorMessage: job.scanError?.message,
+                httpStatus: job.scanError?.status || null,
+                attempts: job.scanAttempts || [],
                 timestamp: job.scanError?.timestamp
               }))
             }
@@ -377,19 +471,7 @@ export class JobSearchMCP extends McpAgent {
       {},
       async () => {
         try {
-          // Get current job index to see what we're resetting
-          const currentIndex = await this.env.JOB_STORAGE.get('job_index', 'json');
-          const jobCount = currentIndex?.jobs?.length || 0;
-          
-          // Reset the job index to empty state
-          const resetIndex = {
-            jobs: [],
-            lastUpdate: new Date().toISOString(),
-            lastScanDate: null,
-            profileHash: null
-          };
-          
-          await this.env.JOB_STORAGE.put('job_index', JSON.stringify(resetIndex));
+          const { removedJobs: jobCount, resetTime } = await this.jobStore.reset();
           
           console.log(`Job index reset: removed ${jobCount} jobs`);
           
@@ -401,7 +483,7 @@ export class JobSearchMCP extends McpAgent {
             structuredContent: { 
               success: true,
               removedJobs: jobCount,
-              resetTime: resetIndex.lastUpdate
+              resetTime
             },
           };
         } catch (error) {
@@ -431,14 +513,25 @@ export class JobSearchMCP extends McpAgent {
       "Get the current raw job index data for inspection",
       {
         excludeJobDetails: z.boolean().optional().describe("Exclude job details from output (only show summary)"),
-        maxJobs: z.number().optional().describe("Maximum number of jobs to include (default: all)")
+        maxJobs: z.number().optional().describe("Maximum number of jobs to include (default: all)"),
+        scanStatus: z.enum(['completed', 'error', 'retry_pending', 'closed', 'excluded']).optional().describe("Only include jobs with this scan status"),
+        lifecycleState: z.enum(LIFECYCLE_STATES).optional().describe("Only include jobs in this lifecycle state (open, closed or reposted)"),
+        includeClosed: z.boolean().optional().describe("Include postings that have closed (default: false)"),
+        userStatus: z.enum(USER_STATUSES).optional().describe("Only include jobs you have given this status"),
+        includeNotInterested: z.boolean().optional().describe("Include jobs you marked not_interested (default: false)"),
+        minMatchScore: z.number().optional().describe("Only include jobs with at least this match score (0.0-1.0)"),
+        company: z.string().optional().describe("Only include jobs from this company (case-insensitive)"),
+        sortBy: z.enum(['inserted', 'score', 'firstSeen', 'scanDate']).optional().describe("Sort order (default: inserted)")
       },
-      async ({ excludeJobDetails = false, maxJobs }) => {
+      async ({ excludeJobDetails = false, maxJobs, scanStatus, lifecycleState, includeClosed = false, userStatus, includeNotInterested = false, minMatchScore, company, sortBy }) => {
         const includeJobDetails = !excludeJobDetails;
         try {
-          const jobIndex = await this.env.JOB_STORAGE.get('job_index', 'json');
+          // Stale scores are counted against the current plan's profile
+          const plan = await this.env.JOB_STORAGE.get('plan', 'json');
+          const stats = await this.jobStore.getStats(plan ? { profileHash: getProfileHash(plan) } : {});
+          const totalJobs = stats.totalJobs;
           
-          if (!jobIndex) {
+          if (totalJobs === 0 && !stats.lastUpdate) {
             return {
               content: [{ 
                 type: "text", 
@@ -452,34 +545,42 @@ export class JobSearchMCP extends McpAgent {
             };
           }
 
-          const totalJobs = jobIndex.jobs?.length || 0;
-          let jobsToShow = jobIndex.jobs || [];
-          
-          // Limit number of jobs if specified
-          if (maxJobs && maxJobs > 0) {
-            jobsToShow = jobsToShow.slice(0, maxJobs);
-          }
-          
-          // Create summary stats
-          const scannedJobs = jobIndex.jobs?.filter(j => j.scanned) || [];
-          const errorJobs = jobIndex.jobs?.filter(j => j.scanStatus === 'error') || [];
-          const completedJobs = jobIndex.jobs?.filter(j => j.scanStatus === 'completed') || [];
-          
-          const stats = {
-            totalJobs,
-            scannedJobs: scannedJobs.length,
-            completedScans: completedJobs.length,
-            errorScans: errorJobs.length,
-            pendingScans: totalJobs - scannedJobs.length,
-            lastScanDate: jobIndex.lastScanDate,
-            lastUpdate: jobIndex.lastUpdate,
-            profileHash: jobIndex.profileHash
-          };
+          // Apply filters and limit number of jobs if specified
+          const lifecycleEvents = await this.jobStore.getLifecycleEventCounts({
+            since: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString()
+          });
+          const userStatusCounts = await this.jobStore.getUserStatusCounts();
+
+          // Closed postings are hidden unless asked for
+          const showClosed = includeClosed || lifecycleState === 'closed' || scanStatus === 'closed';
+          const jobsToShow = await this.jobStore.listJobs({
+            scanStatus,
+            lifecycleState,
+            excludeClosed: !showClosed,
+            userStatus,
+            excludeNotInterested: !includeNotInterested && userStatus !== 'not_interested',
+            minScore: minMatchScore,
+            company,
+            orderBy: sortBy,
+            limit: maxJobs && maxJobs > 0 ? maxJobs : undefined
+          });
           
           let responseText = `Job Index Summary:\n`;
           responseText += `• Total Jobs: ${stats.totalJobs}\n`;
           responseText += `• Scanned: ${stats.scannedJobs} (${stats.completedScans} completed, ${stats.errorScans} errors)\n`;
           responseText += `• Pending: ${stats.pendingScans}\n`;
+          responseText += `• Excluded by dealbreakers: ${stats.excludedJobs}\n`;
+          responseText += `• Duplicates of other jobs (reposts or syndicated copies): ${stats.duplicateJobs}\n`;
+          if (stats.staleScores > 0) {
+            responseText += `• Scored against an older profile: ${stats.staleScores} (run rescore_jobs)\n`;
+          }
+          responseText += `• Lifecycle: ${stats.openJobs} open, ${stats.closedJobs} closed, ${stats.repostedJobs} reposted${showClosed ? '' : ' (closed hidden)'}\n`;
+          responseText += `• Last 7 days: ${lifecycleEvents.closed || 0} closed, ${lifecycleEvents.reposted || 0} reposted\n`;
+          if (Object.keys(userStatusCounts).length > 0) {
+            const statusText = USER_STATUSES.filter(status => userStatusCounts[status])
+              .map(status => `${userStatusCounts[status]} ${status}`).join(', ');
+            responseText += `• Your statuses: ${statusText}${includeNotInterested || userStatus === 'not_interested' ? '' : ' (not_interested hidden)'}\n`;
+          }
           responseText += `• Last Scan: ${stats.lastScanDate || 'Never'}\n`;
           responseText += `• Last Update: ${stats.lastUpdate || 'Never'}\n\n`;
           
@@ -491,16 +592,44 @@ export class JobSearchMCP extends McpAgent {
           if (includeJobDetails && jobsToShow.length > 0) {
             jobsToShow.forEach((job, i) => {
               responseText += `${i + 1}. ${job.title} at ${job.company}\n`;
+              responseText += `   ID: ${job.id}\n`;
               responseText += `   URL: ${job.url}\n`;
               responseText += `   Location: ${job.location || 'Unknown'}\n`;
               responseText += `   Scanned: ${job.scanned ? 'Yes' : 'No'}`;
               if (job.scanned) {
-                responseText += ` (${job.scanStatus || 'unknown'}, score: ${job.matchScore || 0})`;
+                responseText += ` (${job.scanStatus || 'unknown'}, score: ${job.matchScore || 0}${job.scoreSource ? ` from ${job.scoreSource}` : ''})`;
               }
               responseText += `\n`;
+              const card = [
+                formatPostedAge(job.postedAt),
+                job.cardDetails?.easyApply && 'Easy Apply',
+                job.cardDetails?.promoted && 'promoted',
+                job.cardDetails?.activelyRecruiting && 'actively recruiting',
+                job.cardDetails?.applicantText,
+                job.cardDetails?.salaryText
+              ].filter(Boolean);
+              if (card.length > 0) {
+                responseText += `   Card: ${card.join(', ')}\n`;
+              }
+              if (job.scoreBreakdown) {
+                responseText += `   Breakdown: ${formatScoreBreakdown(job.scoreBreakdown)}\n`;
+              }
+              if (job.exclusion) {
+                responseText += `   Excluded (${job.exclusion.stage}): ${job.exclusion.reason}\n`;
+              }
+              if (job.clusterId && job.clusterId !== job.id) {
+                responseText += `   Duplicate of: ${job.clusterId}${job.analysisReusedFrom ? ' (analysis reused)' : ''}\n`;
+              }
+              if (job.lifecycle && job.lifecycle.state !== 'open') {
+                const since = job.lifecycle.state === 'closed' ? job.lifecycle.closedAt : job.lifecycle.repostedAt;
+                responseText += `   Lifecycle: ${job.lifecycle.state} since ${since}${job.lifecycle.closedReason && job.lifecycle.state === 'closed' ? ` (${job.lifecycle.closedReason})` : ''}\n`;
+              }
               if (job.scanError) {
                 responseText += `   Error: ${job.scanError.message}\n`;
               }
+              if (job.userStatus || job.userRating) {
+                responseText += `   Yours: ${formatJobFeedback(job)}\n`;
+              }
               responseText += `\n`;
             });
           }
@@ -512,16 +641,21 @@ export class JobSearchMCP extends McpAgent {
             }],
             structuredContent: {
               exists: true,
-              stats,
+              stats: { ...stats, lifecycleEventsLast7Days: lifecycleEvents, userStatusCounts },
               jobs: includeJobDetails ? jobsToShow : jobsToShow.map(j => ({
                 id: j.id,
                 title: j.title,
                 company: j.company,
                 scanned: j.scanned,
                 scanStatus: j.scanStatus,
-                matchScore: j.matchScore
-              })),
-              rawIndex: jobIndex
+                lifecycleState: j.lifecycle?.state || 'open',
+                matchScore: j.matchScore,
+                scoreBreakdown: j.scoreBreakdown || null,
+                scoreSource: j.scoreSource,
+                exclusion: j.exclusion || null,
+                userRating: j.userRating?.rating || null,
+                userStatus: j.userStatus?.status || null
+              }))
             }
           };
         } catch (error) {
@@ -643,8 +777,8 @@ export class JobSearchMCP extends McpAgent {
             // Normal mode: get real job data
           
             // Get job index
-            const jobIndex = await this.env.JOB_STORAGE.get('job_index', 'json');
-            if (!jobIndex || !jobIndex.jobs || jobIndex.jobs.length === 0) {
+            const allJobs = await this.jobStore.listJobs();
+            if (allJobs.length === 0) {
               return {
                 content: [{ 
                   type: "text", 
@@ -657,11 +791,13 @@ export class JobSearchMCP extends McpAgent {
               };
             }
             
-            // Filter jobs based on criteria
-            jobsToSend = filterJobsForDigest(jobIndex.jobs, { onlyNew, minMatchScore });
+            // Filter jobs based on criteria, showing each cluster of duplicates once
+            jobsToSend = await collapseJobClusters(this.jobStore, filterJobsForDigest(allJobs, { onlyNew, minMatchScore }), { onlyNew });
           }
           
-          if (jobsToSend.length === 0) {
+          const followUps = test ? [] : await this.jobStore.listApplications({ followUpDueBy: new Date().toISOString() });
+          
+          if (jobsToSend.length === 0 && followUps.length === 0) {
             const message = onlyNew ? 'No new job matches to send in digest email' : 'No job matches meet the specified criteria';
             return {
               content: [{ 
@@ -671,26 +807,26 @@ export class JobSearchMCP extends McpAgent {
               structuredContent: { 
                 success: false, 
                 error: 'No jobs to send',
-                totalJobs: jobIndex.jobs.length,
                 filteredJobs: 0
               }
             };
           }
           
-          // Sort by match score descending
-          jobsToSend.sort((a, b) => (b.matchScore || 0) - (a.matchScore || 0));
+          // Sort by match score descending, watched companies boosted
+          jobsToSend = rankJobs(jobsToSend, await getCompanyLists(this.env));
           
           // Send email using external digest module
           const emailResult = await sendDigestEmail(toEmail, jobsToSend, this.env, {
             subject: subject || (test ? 'Test Digest Email - Sample Job Matches' : undefined),
             onlyNew: test ? false : onlyNew, // Don't apply onlyNew filter in test mode
-            source: test ? 'test' : 'manual'
+            source: test ? 'test' : 'manual',
+            followUps
           });
           
           if (emailResult.success) {
             // Mark jobs as sent if onlyNew is true and not in test mode
             if (onlyNew && !test) {
-              await markJobsAsSent(this.env);
+              await markJobsAsSent(this.jobStore);
             }
             
             const testModeText = test ? ' (TEST MODE - mock data)' : (onlyNew ? ' (new)' : '');
@@ -698,12 +834,13 @@ export class JobSearchMCP extends McpAgent {
             return {
               content: [{ 
                 type: "text", 
-                text: `Successfully sent digest email to ${toEmail} with ${jobsToSend.length} job matches${testModeText}${test ? '\n\nThis was a test email with sample job data to verify your email configuration.' : ''}` 
+                text: `Successfully sent digest email to ${toEmail} with ${jobsToSend.length} job matches${testModeText}${followUps.length ? ` and ${followUps.length} follow-ups due` : ''}${test ? '\n\nThis was a test email with sample job data to verify your email configuration.' : ''}` 
               }],
               structuredContent: { 
                 success: true,
                 email: toEmail,
                 jobsSent: jobsToSend.length,
+                followUpsDue: followUps.length,
                 onlyNew: test ? false : onlyNew,
                 minMatchScore,
                 testMode: test
@@ -755,332 +892,65 @@ export class JobSearchMCP extends McpAgent {
 
 
 
-  // Deep scan a single job
-  async _deepScanSingleJob(page, job, profile, scanPrompt) {
-    if (!job.url) {
-      throw new Error('Job URL is required for deep scanning');
-    }
-
-    console.log(`  → Navigating to job URL: ${job.url}`);
-    const startTime = Date.now();
-    
-    try {
-      // Try with longer timeout and wait for JavaScript to settle
-      await page.goto(job.url, { waitUntil: 'domcontentloaded', timeout: 20000 });
-      
-      // Wait for LinkedIn's dynamic content to load
-      await page.waitForTimeout(3000);
-      
-      const loadTime = Date.now() - startTime;
-      console.log(`  → Page loaded in ${loadTime}ms`);
-    } catch (navError) {
-      const loadTime = Date.now() - startTime;
-      console.log(`  → Page failed to load after ${loadTime}ms`);
-      
-      // Try one more time with networkidle strategy
-      try {
-        console.log(`  → Retrying with networkidle strategy...`);
-        await page.goto(job.url, { waitUntil: 'networkidle', timeout: 15000 });
-        const retryTime = Date.now() - startTime;
-        console.log(`  → Page loaded on retry in ${retryTime}ms`);
-      } catch (retryError) {
-        const finalTime = Date.now() - startTime;
-        console.log(`  → Final attempt failed after ${finalTime}ms`);
-        
-        // Log DOM snapshot for debugging
-        try {
-          const currentUrl = page.url();
-          const pageTitle = await page.title().catch(() => 'Unable to get title');
-          const bodyText = await page.evaluate(() => {
-            return document.body ? document.body.innerText.substring(0, 500) : 'No body content';
-          }).catch(() => 'Unable to get body text');
-          
-          console.log(`  → DOM Snapshot for failed job ${job.id}:`);
-          console.log(`     Current URL: ${currentUrl}`);
-          console.log(`     Page Title: ${pageTitle}`);
-          console.log(`     Body Text (first 500 chars): ${bodyText}`);
-          
-          // Check for common LinkedIn error indicators
-          const hasLoginForm = await page.$('form[data-id="sign-in-form"]').catch(() => null);
-          const hasErrorMessage = await page.$('.error-message, .not-found').catch(() => null);
-          const hasJobContent = await page.$('.jobs-unified-top-card, .job-details').catch(() => null);
-          
-          console.log(`     Has Login Form: ${!!hasLoginForm}`);
-          console.log(`     Has Error Message: ${!!hasErrorMessage}`);
-          console.log(`     Has Job Content: ${!!hasJobContent}`);
-          
-        } catch (snapshotError) {
-          console.log(`  → Failed to capture DOM snapshot: ${snapshotError.message}`);
-        }
-        
-        throw navError; // Throw original error
-      }
+  // Cron-triggered scans arrive here as a plain POST from the scheduled handler below.
+  // Everything else is MCP transport traffic handled by McpAgent.
+  async fetch(request) {
+    const url = new URL(request.url);
+    if (request.method === 'POST' && url.pathname === '/scheduled-scan') {
+      return this._handleScheduledScan(request);
     }
-
-    // Extract full page content for LLM analysis
-    console.log(`  → Extracting full page content...`);
-    const pageContent = await page.evaluate(() => {
-      // Get the page title
-      const title = document.title;
-      
-      // Get all visible text content, cleaned up
-      const bodyText = document.body ? document.body.innerText : '';
-      
-      // Get page URL
-      const url = window.location.href;
-      
-      return {
-        title,
-        url,
-        fullContent: bodyText
-      };
-    });
-
-    console.log(`  → Extracted ${pageContent.fullContent.length} characters of content`);
-
-    // Send full page content to LLM for extraction and matching
-    const analysisResult = await this._analyzeJobPageWithLLM(pageContent, job, profile, scanPrompt);
-    
-    console.log(`  → Deep scan completed for ${job.url}, match score: ${analysisResult.matchScore}`);
-    return analysisResult;
+    return super.fetch(request);
   }
 
-  // Analyze full job page content with LLM
-  async _analyzeJobPageWithLLM(pageContent, job, profile, scanPrompt) {
-    const prompt = `You are a job analysis system. Analyze the LinkedIn job page content and respond with ONLY a JSON object, no other text.
-
-Candidate Profile:
-${profile}
-
-Additional Criteria:
-${scanPrompt || 'None'}
-
-Job Page Content:
-${pageContent.fullContent.substring(0, 8000)}
-
-Extract job details and provide a match score from 0.0 to 1.0.
-
-Respond with ONLY this JSON format (no additional text):
-{
-  "title": "extracted job title",
-  "company": "extracted company name",
-  "location": "extracted location",
-  "description": "extracted job description",
-  "salary": "extracted salary or null",
-  "matchScore": 0.8,
-  "matchReason": "detailed explanation of match"
-}`;
-
-    // Use OpenAI for analysis
+  async _handleScheduledScan(request) {
+    const jsonHeaders = { 'Content-Type': 'application/json' };
     try {
-      console.log(`  → Analyzing full page with OpenAI...`);
-      const response = await this.openai.chat.completions.create({
-        model: this.env.OPENAI_MODEL || 'gpt-4o',
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.1,
-        max_tokens: SCAN_CONFIG.MAX_LLM_TOKENS
-      });
-      console.log(`  → OpenAI analysis complete`);
-
-      try {
-        // Clean and parse the response
-        let cleanResponse = response.choices[0].message.content
-          .replace(/[\x00-\x1F\x7F-\x9F]/g, '')
-          .replace(/\\n/g, '\n')
-          .replace(/\\t/g, '\t')
-          .trim();
-        
-        // Try to extract JSON from the response - look for complete JSON objects
-        let jsonMatch = cleanResponse.match(/\{[\s\S]*?"matchScore"[\s\S]*?\}/i);
-        if (!jsonMatch) {
-          // Try broader JSON pattern
-          jsonMatch = cleanResponse.match(/\{[\s\S]*\}/i);
-        }
-        if (jsonMatch) {
-          cleanResponse = jsonMatch[0];
-        } else {
-          // If no JSON found, log the response and try to extract key info
-          console.log(`  → No JSON found in response: ${cleanResponse.substring(0, 200)}...`);
-          throw new Error('No JSON structure found in AI response');
-        }
-        
-        console.log(`  → Extracted JSON: ${cleanResponse.substring(0, 200)}...`);
-        
-        const result = JSON.parse(cleanResponse);
-        
-        const analysisResult = {
-          title: result.title || job.title,
-          company: result.company || job.company,
-          location: result.location || job.location,
-          description: result.description || 'No description extracted',
-          salary: result.salary || null,
-          matchScore: Math.max(0, Math.min(1, result.matchScore || 0)),
-          matchReason: result.matchReason || 'No reason provided'
-        };
-        
-        console.log(`  → AI analysis result prepared: ${analysisResult.title} at ${analysisResult.company}`);
-        return analysisResult;
-        
-      } catch (parseError) {
-        console.error('Error parsing AI analysis:', parseError);
-        console.log(`  → Falling back to keyword matching due to parse error`);
-        return this._fallbackJobMatching({ 
-          title: job.title,
-          company: job.company,
-          location: job.location,
-          description: pageContent.fullContent.substring(0, 2000)
-        }, profile, scanPrompt);
-      }
-      
-    } catch (aiError) {
-      console.log(`  → AI analysis failed: ${aiError.message}`);
-      console.log(`  → Using fallback keyword matching...`);
-      return this._fallbackJobMatching({ 
-        title: job.title,
-        company: job.company,
-        location: job.location,
-        description: pageContent.fullContent.substring(0, 2000)
-      }, profile, scanPrompt);
-    }
-  }
-
-  // Match job to profile using AI with fallback
-  async _matchJobToProfile(jobDetails, profile, scanPrompt) {
-    try {
-      const prompt = `
-Analyze this job posting and determine how well it matches the candidate profile.
-
-Candidate Profile:
-${profile}
-
-Additional Criteria:
-${scanPrompt || 'None'}
-
-Job Details:
-Title: ${jobDetails.title}
-Company: ${jobDetails.company}
-Location: ${jobDetails.location}
-Description: ${jobDetails.description}
-
-Provide a match score from 0.0 to 1.0 and a brief explanation.
-Respond in JSON format: {"matchScore": 0.8, "matchReason": "explanation"}`;
-
-      // Use OpenAI for analysis
-      let response;
-      try {
-        console.log(`  → Attempting AI match with OpenAI...`);
-        response = await this.openai.chat.completions.create({
-          model: this.env.OPENAI_MODEL || 'gpt-4o',
-          messages: [{ role: 'user', content: prompt }],
-          temperature: 0.1,
-          max_tokens: 500
+      const body = await request.json();
+      if (body.action !== 'scheduled_scan') {
+        return new Response(JSON.stringify({ status: 'error', error: 'Unknown action' }), {
+          status: 400,
+          headers: jsonHeaders
         });
-        console.log(`  → OpenAI response received`);
-      } catch (aiError) {
-        console.log(`  → OpenAI failed: ${aiError.message}`);
-        
-        // Fallback to simple keyword matching
-        console.log(`  → Using fallback keyword matching...`);
-        return this._fallbackJobMatching(jobDetails, profile, scanPrompt);
       }
 
-      try {
-        // Clean the response by removing control characters and fixing common issues
-        let cleanResponse = response.choices[0].message.content
-          .replace(/[\x00-\x1F\x7F-\x9F]/g, '') // Remove control characters
-          .replace(/\\n/g, '\n') // Fix escaped newlines
-          .replace(/\\t/g, '\t') // Fix escaped tabs
-          .trim();
-        
-        // Try to extract JSON from the response if it's wrapped in other text
-        const jsonMatch = cleanResponse.match(/\{[^}]*"matchScore"[^}]*\}/i);
-        if (jsonMatch) {
-          cleanResponse = jsonMatch[0];
-        }
-        
-        console.log('Cleaned AI response:', cleanResponse);
-        const result = JSON.parse(cleanResponse);
-        
-        return {
-          matchScore: Math.max(0, Math.min(1, result.matchScore || 0)),
-          matchReason: result.matchReason || 'No reason provided'
-        };
-      } catch (parseError) {
-        console.error('Error parsing AI response:', parseError);
-        console.error('Raw AI response:', response.response);
-        
-        // Try to extract a numeric score from the response as fallback
-        const scoreMatch = response.response.match(/(?:score|rating)[:\s]*([0-9.]+)/i);
-        const fallbackScore = scoreMatch ? parseFloat(scoreMatch[1]) : 0;
-        
-        return { 
-          matchScore: Math.max(0, Math.min(1, fallbackScore)), 
-          matchReason: 'Could not parse structured response, extracted fallback score' 
-        };
-      }
-    } catch (error) {
-      console.error('Error in AI matching:', error);
-      console.log(`  → Falling back to keyword matching due to error`);
-      return this._fallbackJobMatching(jobDetails, profile, scanPrompt);
-    }
-  }
-
-  // Fallback keyword matching when AI is unavailable
-  _fallbackJobMatching(jobDetails, profile, scanPrompt) {
-    try {
-      console.log(`  → Running fallback keyword matching...`);
-      
-      const jobText = `${jobDetails.title} ${jobDetails.company} ${jobDetails.location} ${jobDetails.description}`.toLowerCase();
-      const profileText = `${profile} ${scanPrompt}`.toLowerCase();
-      
-      // Extract keywords from profile
-      const profileKeywords = profileText.match(/\b\w{3,}\b/g) || [];
-      const uniqueKeywords = [...new Set(profileKeywords)];
-      
-      // Score based on keyword matches
-      let matchCount = 0;
-      let totalKeywords = Math.min(uniqueKeywords.length, 20); // Limit to top 20 keywords
-      
-      const matchedKeywords = [];
-      
-      for (const keyword of uniqueKeywords.slice(0, 20)) {
-        if (jobText.includes(keyword)) {
-          matchCount++;
-          matchedKeywords.push(keyword);
-        }
-      }
-      
-      // Bonus scoring for important terms
-      const bonusTerms = ['engineer', 'software', 'mechanical', 'new york', 'nyc', 'remote'];
-      let bonusScore = 0;
+      console.log('Processing scheduled scan request:', {
+        scheduledTime: body.scheduledTime,
+        cron: body.cron
+      });
       
-      for (const term of bonusTerms) {
-        if (jobText.includes(term) && profileText.includes(term)) {
-          bonusScore += 0.1;
-        }
+      // Claim the scan, unless one is already in progress
+      if (!await startScanState(this, { trigger: 'cron' })) {
+        console.log('Scheduled scan skipped: scan already in progress');
+        return new Response(JSON.stringify({ 
+          status: 'skipped', 
+          reason: 'scan already in progress' 
+        }), {
+          status: 200,
+          headers: jsonHeaders
+        });
       }
       
-      // Calculate final score
-      const baseScore = totalKeywords > 0 ? matchCount / totalKeywords : 0;
-      const finalScore = Math.min(1.0, baseScore + bonusScore);
-      
-      const reason = `Keyword matching: ${matchCount}/${totalKeywords} keywords matched. ` +
-                    `Matched terms: ${matchedKeywords.slice(0, 5).join(', ')}${matchedKeywords.length > 5 ? '...' : ''}. ` +
-                    `Bonus score: +${bonusScore.toFixed(1)} for important terms.`;
-      
-      console.log(`  → Fallback match score: ${finalScore.toFixed(2)}`);
-      
-      return {
-        matchScore: Math.round(finalScore * 100) / 100, // Round to 2 decimals
-        matchReason: reason
-      };
+      // Start the scan (no URL means use plan URLs, sendDigest = true for scheduled scans)
+      // and use waitUntil to ensure the scan completes
+      this.ctx.waitUntil(runScan(this, null, { sendDigest: true }));
       
+      console.log('Scheduled scan initiated successfully');
+      return new Response(JSON.stringify({ 
+        status: 'started', 
+        message: 'Scheduled scan initiated successfully' 
+      }), {
+        status: 200,
+        headers: jsonHeaders
+      });
     } catch (error) {
-      console.error('Error in fallback matching:', error);
-      return {
-        matchScore: 0.5, // Default neutral score
-        matchReason: 'Fallback matching failed, assigned neutral score'
-      };
+      console.error('Error processing scheduled scan request:', error);
+      return new Response(JSON.stringify({ 
+        status: 'error', 
+        error: error.message 
+      }), {
+        status: 500,
+        headers: jsonHeaders
+      });
     }
   }
 
@@ -1258,58 +1128,6 @@ export default {
 			});
 		}
 		
-		// Handle scheduled scan requests (from cron trigger)
-		if (request.method === 'POST' && url.pathname === '/scheduled-scan') {
-			try {
-				const body = await request.json();
-				if (body.action === 'scheduled_scan') {
-					console.log('Processing scheduled scan request:', {
-						scheduledTime: body.scheduledTime,
-						cron: body.cron
-					});
-					
-					// Check if a scan is already in progress
-					if (this.backgroundJobs.scan.inProgress) {
-						console.log('Scheduled scan skipped: scan already in progress');
-						return new Response(JSON.stringify({ 
-							status: 'skipped', 
-							reason: 'scan already in progress' 
-						}), {
-							status: 200,
-							headers: { 'Content-Type': 'application/json', ...corsHeaders }
-						});
-					}
-					
-					// Import runScan function
-					const { runScan } = await import('./scan-helpers.js');
-					
-					// Start the scan (no URL means use plan URLs, sendDigest = true for scheduled scans)
-					const scanPromise = runScan(this, null, { sendDigest: true });
-					
-					// Use waitUntil to ensure the scan completes
-					ctx.waitUntil(scanPromise);
-					
-					console.log('Scheduled scan initiated successfully');
-					return new Response(JSON.stringify({ 
-						status: 'started', 
-						message: 'Scheduled scan initiated successfully' 
-					}), {
-						status: 200,
-						headers: { 'Content-Type': 'application/json', ...corsHeaders }
-					});
-				}
-			} catch (error) {
-				console.error('Error processing scheduled scan request:', error);
-				return new Response(JSON.stringify({ 
-					status: 'error', 
-					error: error.message 
-				}), {
-					status: 500,
-					headers: { 'Content-Type': 'application/json', ...corsHeaders }
-				});
-			}
-		}
-
 		// Add a simple health check endpoint (no auth required)
 		if (url.pathname === "/health") {
 			// Even for health check, validate that required env vars are present
@@ -0,0 +1,205 @@
+import { z } from "zod";
+import { zodResponseFormat } from "openai/helpers/zod";
+import { SCAN_CONFIG, LINKEDIN_FILTERS, SCORING_DIMENSIONS } from './constants.js';
+import { normalizeScoringWeights, buildScoreBreakdown, computeMatchScore } from './scoring.js';
+import { formatFewShotExamples, applyCalibration } from './calibration.js';
+
+const DimensionScoreSchema = z.object({
+  score: z.number().nullable().describe('0.0 to 1.0, or null if the posting gives nothing to judge this by'),
+  reason: z.string().describe('One sentence explaining the score')
+});
+
+// Structured result the LLM must return for a job page. OpenAI's strict JSON schema mode
+// requires every field, so values that may be missing are nullable rather than optional.
+export const JobAnalysisSchema = z.object({
+  title: z.string(),
+  company: z.string(),
+  location: z.string(),
+  description: z.string().describe('Summary of the role and its responsibilities, at most 150 words'),
+  requirements: z.array(z.string()).describe('Key skills, experience and qualifications asked for'),
+  seniority: z.enum([...Object.keys(LINKEDIN_FILTERS.experienceLevel.values), 'unknown']),
+  employmentType: z.enum([...Object.keys(LINKEDIN_FILTERS.jobType.values), 'unknown']),
+  remotePolicy: z.enum([...Object.keys(LINKEDIN_FILTERS.workplaceType.values), 'unknown']),
+  salaryRange: z.object({
+    min: z.number().nullable(),
+    max: z.number().nullable(),
+    currency: z.string().nullable().describe('ISO 4217 code, e.g. USD'),
+    period: z.enum(['hour', 'day', 'week', 'month', 'year']).nullable(),
+    text: z.string().describe('Salary as written in the posting')
+  }).nullable().describe('null when the posting gives no salary'),
+  dimensionScores: z.object(Object.fromEntries(
+    Object.entries(SCORING_DIMENSIONS).map(([name, definition]) => [name, DimensionScoreSchema.describe(definition.description)])
+  )),
+  matchReason: z.string().describe('Overall explanation of the match')
+});
+
+// The user prompt sent to the LLM for a job page. Exported so a past analysis can be replayed and inspected.
+export function buildAnalysisPrompt(pageContent, profile, scanPrompt, calibration = null) {
+  const exampleText = formatFewShotExamples(calibration?.examples);
+  const dimensionLines = Object.entries(SCORING_DIMENSIONS)
+    .map(([name, definition]) => `- ${name}: ${definition.description}`)
+    .join('\n');
+
+  return `Analyze this LinkedIn job page for the candidate below.
+
+Candidate Profile:
+${profile}
+
+Additional Criteria:
+${scanPrompt || 'None'}
+${exampleText ? `\n${exampleText}\n` : ''}
+Job Page Content:
+${pageContent.fullContent.substring(0, SCAN_CONFIG.MAX_ANALYSIS_CONTENT)}
+
+Extract the job details. Use 'unknown' when the posting doesn't say.
+
+Score the match on each of these dimensions from 0.0 to 1.0:
+${dimensionLines}`;
+}
+
+// What went into an analysis besides the page and the plan: the model, the rated jobs given as examples
+// and the calibration applied to the score
+function describeAnalysisInputs(model, calibration) {
+  return {
+    model,
+    exampleJobIds: {
+      liked: (calibration?.examples?.liked || []).map(example => example.id),
+      disliked: (calibration?.examples?.disliked || []).map(example => example.id)
+    },
+    calibration: calibration?.model || null,
+    analyzedAt: new Date().toISOString()
+  };
+}
+
+// Analyze full job page content with LLM
+// The model scores each dimension separately; rawMatchScore is their weighted average using the plan's weights.
+// With a `calibration` (see calibration.js) the user's rated jobs are given as examples and matchScore is the
+// calibrated raw score; otherwise matchScore is the raw score.
+// Returns the extracted fields plus scoreSource 'llm', or the keyword fallback with scoreSource 'fallback',
+// and the `analysisInputs` needed to replay the analysis
+export async function analyzeJobPageWithLLM(agent, pageContent, job, profile, scanPrompt, scoringWeights, calibration = null) {
+  const model = agent.env.OPENAI_MODEL || 'gpt-4o';
+  const prompt = buildAnalysisPrompt(pageContent, profile, scanPrompt, calibration);
+  const analysisInputs = describeAnalysisInputs(model, calibration);
+
+  try {
+    console.log(`  → Analyzing full page with OpenAI...`);
+    const completion = await agent.openai.chat.completions.parse({
+      model,
+      messages: [
+        { role: 'system', content: 'You are a job analysis system that extracts job details and scores them against a candidate profile.' },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0.1,
+      max_tokens: SCAN_CONFIG.MAX_LLM_TOKENS,
+      response_format: zodResponseFormat(JobAnalysisSchema, 'job_analysis')
+    });
+    console.log(`  → OpenAI analysis complete`);
+
+    const message = completion.choices[0].message;
+    if (message.refusal) {
+      throw new Error(`Model refused to analyze the job: ${message.refusal}`);
+    }
+    const result = message.parsed;
+    const scoreBreakdown = buildScoreBreakdown(result.dimensionScores, normalizeScoringWeights(scoringWeights));
+    const rawMatchScore = computeMatchScore(scoreBreakdown) ?? 0;
+
+    const analysisResult = {
+      title: result.title || job.title,
+      company: result.company || job.company,
+      location: result.location || job.location,
+      description: result.description || 'No description extracted',
+      requirements: result.requirements,
+      seniority: result.seniority,
+      employmentType: result.employmentType,
+      remotePolicy: result.remotePolicy,
+      salaryRange: result.salaryRange,
+      salary: result.salaryRange?.text || null,
+      matchScore: applyCalibration(calibration?.model, rawMatchScore),
+      rawMatchScore,
+      scoreBreakdown,
+      matchReason: result.matchReason || 'No reason provided',
+      scoreSource: 'llm',
+      analysisInputs
+    };
+
+    console.log(`  → AI analysis result prepared: ${analysisResult.title} at ${analysisResult.company}`);
+    return analysisResult;
+
+  } catch (aiError) {
+    console.log(`  → OpenAI analysis failed: ${aiError.message}`);
+    console.log(`  → Using fallback keyword matching...`);
+    return {
+      ...fallbackJobMatching({ 
+        title: job.title,
+        company: job.company,
+        location: job.location,
+        description: pageContent.fullContent.substring(0, 2000)
+      }, profile, scanPrompt),
+      rawMatchScore: null,
+      scoreBreakdown: null,
+      scoreSource: 'fallback',
+      fallbackReason: aiError.message,
+      analysisInputs
+    };
+  }
+}
+
+// Fallback keyword matching when AI is unavailable
+export function fallbackJobMatching(jobDetails, profile, scanPrompt) {
+  try {
+    console.log(`  → Running fallback keyword matching...`);
+    
+    const jobText = `${jobDetails.title} ${jobDetails.company} ${jobDetails.location} ${jobDetails.description}`.toLowerCase();
+    const profileText = `${profile} ${scanPrompt}`.toLowerCase();
+    
+    // Extract keywords from profile
+    const profileKeywords = profileText.match(/\b\w{3,}\b/g) || [];
+    const uniqueKeywords = [...new Set(profileKeywords)];
+    
+    // Score based on keyword matches
+    let matchCount = 0;
+    let totalKeywords = Math.min(uniqueKeywords.length, 20); // Limit to top 20 keywords
+    
+    const matchedKeywords = [];
+    
+    for (const keyword of uniqueKeywords.slice(0, 20)) {
+      if (jobText.includes(keyword)) {
+        matchCount++;
+        matchedKeywords.push(keyword);
+      }
+    }
+    
+    // Bonus scoring for important terms
+    const bonusTerms = ['engineer', 'software', 'mechanical', 'new york', 'nyc', 'remote'];
+    let bonusScore = 0;
+    
+    for (const term of bonusTerms) {
+      if (jobText.includes(term) && profileText.includes(term)) {
+        bonusScore += 0.1;
+      }
+    }
+    
+    // Calculate final score
+    const baseScore = totalKeywords > 0 ? matchCount / totalKeywords : 0;
+    const finalScore = Math.min(1.0, baseScore + bonusScore);
+    
+    const reason = `Keyword matching: ${matchCount}/${totalKeywords} keywords matched. ` +
+                  `Matched terms: ${matchedKeywords.slice(0, 5).join(', ')}${matchedKeywords.length > 5 ? '...' : ''}. ` +
+                  `Bonus score: +${bonusScore.toFixed(1)} for important terms.`;
+    
+    console.log(`  → Fallback match score: ${finalScore.toFixed(2)}`);
+    
+    return {
+      matchScore: Math.round(finalScore * 100) / 100, // Round to 2 decimals
+      matchReason: reason
+    };
+    
+  } catch (error) {
+    console.error('Error in fallback matching:', error);
+    return {
+      matchScore: 0.5, // Default neutral score
+      matchReason: 'Fallback matching failed, assigned neutral score'
+    };
+  }
+}
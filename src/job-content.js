@@ -0,0 +1,71 @@
+import { CONTENT_CACHE } from './constants.js';
+import { hashText } from './hash.js';
+
+// Cleaned text of fetched job pages, cached in KV under `job_content:<jobId>` for CONTENT_CACHE.TTL.
+// Lets jobs be re-scored without fetching their pages again, tells whether a posting changed, and shows
+// what the LLM saw when a score looks wrong. With CACHE_RAW_HTML=true the raw HTML is kept too, under
+// `job_html:<jobId>`.
+
+function contentKey(jobId) {
+  return `job_content:${jobId}`;
+}
+
+function htmlKey(jobId) {
+  return `job_html:${jobId}`;
+}
+
+export function isRawHtmlCacheEnabled(env) {
+  return env.CACHE_RAW_HTML === 'true';
+}
+
+// Hash of the posting's description text, used to tell whether it changed between fetches
+export function hashPageContent(pageContent) {
+  return hashText(pageContent.description || pageContent.fullContent || '');
+}
+
+export async function saveJobContent(env, jobId, pageContent) {
+  const entry = {
+    url: pageContent.url,
+    title: pageContent.title,
+    fullContent: pageContent.fullContent,
+    description: pageContent.description,
+    extraction: pageContent.extraction,
+    posting: pageContent.posting,
+    contentHash: pageContent.contentHash,
+    fetchedAt: new Date().toISOString()
+  };
+  await env.JOB_STORAGE.put(contentKey(jobId), JSON.stringify(entry), { expirationTtl: CONTENT_CACHE.TTL });
+  if (pageContent.html && isRawHtmlCacheEnabled(env)) {
+    await env.JOB_STORAGE.put(htmlKey(jobId), pageContent.html, { expirationTtl: CONTENT_CACHE.TTL });
+  }
+  return entry;
+}
+
+// The cached page content for a job, or null if it was never cached or has expired
+export async function getJobContent(env, jobId) {
+  return env.JOB_STORAGE.get(contentKey(jobId), 'json');
+}
+
+// The raw HTML of a job's page, or null if it wasn't kept or has expired
+export async function getJobHtml(env, jobId) {
+  return env.JOB_STORAGE.get(htmlKey(jobId));
+}
+
+// Page content rebuilt from the fields extracted at deep scan, for jobs whose page is no longer cached
+export function buildContentFromJob(job) {
+  const lines = [
+    `${job.title} at ${job.company}`,
+    job.location && `Location: ${job.location}`,
+    job.salary && `Salary: ${job.salary}`,
+    job.remotePolicy && `Workplace: ${job.remotePolicy}`,
+    job.employmentType && `Employment type: ${job.employmentType}`,
+    job.seniority && `Seniority: ${job.seniority}`,
+    job.description,
+    job.requirements?.length && `Requirements:\n${job.requirements.map(requirement => `- ${requirement}`).join('\n')}`
+  ];
+  return {
+    title: job.title || '',
+    url: job.url,
+    fullContent: lines.filter(Boolean).join('\n')
+  };
+}
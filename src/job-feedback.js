@@ -0,0 +1,108 @@
+import { z } from "zod";
+
+import { TOOL_DESCRIPTIONS, TOOL_ARGS } from './constants.js';
+import { generateJobId } from './sources/index.js';
+
+// The user's own verdicts on jobs: a thumbs up/down rating and where the job stands in their pipeline.
+// Jobs marked not_interested never resurface in the job index, digests or the failed jobs report.
+
+export const USER_RATINGS = ['up', 'down'];
+
+export const USER_STATUSES = ['interested', 'not_interested', 'applied', 'interviewing', 'rejected', 'offer'];
+
+// Find an indexed job by ID or posting URL
+export async function findJob(jobStore, jobId) {
+  const job = await jobStore.getJob(jobId);
+  if (job || !/^https?:\/\//.test(jobId)) {
+    return job;
+  }
+  return (await jobStore.getJobByUrl(jobId.split('?')[0])) || jobStore.getJob(generateJobId(jobId));
+}
+
+// One line summarising the user's rating and status, or '' if there is neither
+export function formatJobFeedback(job) {
+  const parts = [];
+  if (job.userStatus) {
+    parts.push(`status ${job.userStatus.status}${job.userStatus.note ? ` (${job.userStatus.note})` : ''}`);
+  }
+  if (job.userRating) {
+    parts.push(`rated ${job.userRating.rating === 'up' ? '👍' : '👎'}${job.userRating.note ? ` (${job.userRating.note})` : ''}`);
+  }
+  return parts.join(', ');
+}
+
+async function recordFeedback(agent, jobId, feedback) {
+  const job = await findJob(agent.jobStore, jobId);
+  if (!job) {
+    return {
+      content: [{ type: "text", text: `No job found for "${jobId}". Use get_job_index to look up job IDs.` }],
+      isError: true
+    };
+  }
+
+  const updated = await agent.jobStore.recordJobFeedback(job.id, feedback);
+  return {
+    content: [{ type: "text", text: `${updated.title} at ${updated.company}: ${formatJobFeedback(updated)}` }],
+    structuredContent: {
+      jobId: updated.id,
+      userRating: updated.userRating || null,
+      userStatus: updated.userStatus || null
+    }
+  };
+}
+
+export function getRateJobTool(agent) {
+  return {
+    name: "rate_job",
+    description: TOOL_DESCRIPTIONS.RATE_JOB,
+    args: {
+      jobId: z.string().describe(TOOL_ARGS.JOB_ID),
+      rating: z.enum(USER_RATINGS).describe(TOOL_ARGS.JOB_RATING),
+      note: z.string().optional().describe(TOOL_ARGS.JOB_NOTE)
+    },
+    handler: async ({ jobId, rating, note }) => {
+      try {
+        return await recordFeedback(agent, jobId, { rating, note: note || null });
+      } catch (error) {
+        console.error('Error rating job:', error);
+        return {
+          content: [{ type: "text", text: `Error rating job: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    options: {
+      title: "Rate Job",
+      readOnlyHint: false,
+      openWorldHint: false
+    }
+  };
+}
+
+export function getSetJobStatusTool(agent) {
+  return {
+    name: "set_job_status",
+    description: TOOL_DESCRIPTIONS.SET_JOB_STATUS,
+    args: {
+      jobId: z.string().describe(TOOL_ARGS.JOB_ID),
+      status: z.enum(USER_STATUSES).describe(TOOL_ARGS.JOB_STATUS),
+      note: z.string().optional().describe(TOOL_ARGS.JOB_NOTE)
+    },
+    handler: async ({ jobId, status, note }) => {
+      try {
+        return await recordFeedback(agent, jobId, { status, note: note || null });
+      } catch (error) {
+        console.error('Error setting job status:', error);
+        return {
+          content: [{ type: "text", text: `Error setting job status: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    options: {
+      title: "Set Job Status",
+      readOnlyHint: false,
+      openWorldHint: false
+    }
+  };
+}
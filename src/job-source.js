@@ -0,0 +1,238 @@
+import { z } from "zod";
+
+import { TOOL_DESCRIPTIONS, TOOL_ARGS, TOOL_ERRORS, SCAN_CONFIG, CONTENT_CACHE } from './constants.js';
+import { findJob } from './job-feedback.js';
+import { getJobContent, getJobHtml, buildContentFromJob, isRawHtmlCacheEnabled } from './job-content.js';
+import { analyzeJobPageWithLLM, buildAnalysisPrompt } from './job-analysis.js';
+import { buildCalibration } from './calibration.js';
+import { getProfileSnapshot } from './plan.js';
+import { formatScoreBreakdown } from './scoring.js';
+
+// Debugging tools for job scores: show the page text the LLM was given for a job, and re-run the analysis
+// on it to see whether a surprising score comes from the page, the profile or the model.
+
+const CONTENT_SOURCE_LABELS = {
+  page: 'the fetched page',
+  cached_page: 'the cached page text',
+  stored_fields: 'the stored job fields'
+};
+
+function jobNotFound(jobId) {
+  return {
+    content: [{ type: "text", text: `No job found for "${jobId}". Use get_job_index to look up job IDs.` }],
+    isError: true
+  };
+}
+
+function formatScore(score) {
+  return typeof score === 'number' ? score.toFixed(2) : 'n/a';
+}
+
+// One line describing what the job's last analysis was given
+function formatAnalysisInputs(inputs) {
+  const examples = inputs.exampleJobIds || { liked: [], disliked: [] };
+  const parts = [
+    inputs.model,
+    `profile ${inputs.profileHash || 'unknown'}`,
+    `${examples.liked.length} liked / ${examples.disliked.length} disliked examples`,
+    inputs.calibration ? 'calibrated' : 'uncalibrated',
+    inputs.contentSource && `from ${CONTENT_SOURCE_LABELS[inputs.contentSource] || inputs.contentSource}`
+  ];
+  return `${parts.filter(Boolean).join(', ')} at ${inputs.analyzedAt}`;
+}
+
+// The calibration a job was scored with: its example jobs as they are now, and the fitted model it used
+async function loadStoredCalibration(jobStore, inputs) {
+  const loadJobs = async ids => (await Promise.all((ids || []).map(id => jobStore.getJob(id)))).filter(Boolean);
+  return {
+    examples: {
+      liked: await loadJobs(inputs?.exampleJobIds?.liked),
+      disliked: await loadJobs(inputs?.exampleJobIds?.disliked)
+    },
+    model: inputs?.calibration || null
+  };
+}
+
+export function getJobSourceTool(agent) {
+  return {
+    name: "get_job_source",
+    description: TOOL_DESCRIPTIONS.GET_JOB_SOURCE,
+    args: {
+      jobId: z.string().describe(TOOL_ARGS.JOB_ID),
+      includeHtml: z.boolean().optional().describe(TOOL_ARGS.JOB_SOURCE_INCLUDE_HTML)
+    },
+    handler: async ({ jobId, includeHtml = false }) => {
+      try {
+        const job = await findJob(agent.jobStore, jobId);
+        if (!job) {
+          return jobNotFound(jobId);
+        }
+
+        const cached = await getJobContent(agent.env, job.id);
+        let text = `Page source for ${job.title} at ${job.company} [${job.id}]\n${job.url}\n`;
+        if (job.analysisInputs) {
+          text += `Last analysis: ${formatAnalysisInputs(job.analysisInputs)}\n`;
+        }
+        if (job.analysisReusedFrom) {
+          text += `Analysis reused from duplicate job ${job.analysisReusedFrom}\n`;
+        }
+
+        if (cached) {
+          const expiresAt = new Date(Date.parse(cached.fetchedAt) + CONTENT_CACHE.TTL * 1000).toISOString();
+          text += `Fetched: ${cached.fetchedAt} (cached until ${expiresAt}), content hash ${cached.contentHash}\n`;
+          if (cached.extraction) {
+            text += `Extraction: ${cached.extraction === 'structured' ? 'structured posting' : 'full page text (the posting sections were not found)'}\n`;
+          }
+          text += `The analysis prompt includes the first ${Math.min(SCAN_CONFIG.MAX_ANALYSIS_CONTENT, cached.fullContent.length)} of ${cached.fullContent.length} characters of the page text.\n`;
+          // A structured page text already contains the description
+          if (cached.description && cached.extraction !== 'structured' && cached.description !== cached.fullContent) {
+            text += `\nDescription:\n${cached.description}\n`;
+          }
+          text += `\nPage text:\n${cached.fullContent}\n`;
+        } else {
+          text += `\nThe page is no longer cached (pages are kept for ${CONTENT_CACHE.TTL / 86400} days after they're fetched). Fields stored on the job:\n${buildContentFromJob(job).fullContent}\n`;
+        }
+
+        let html = null;
+        if (includeHtml) {
+          html = await getJobHtml(agent.env, job.id);
+          if (html) {
+            text += `\nRaw HTML (${html.length} characters):\n${html}\n`;
+          } else {
+            text += isRawHtmlCacheEnabled(agent.env)
+              ? `\nNo raw HTML is stored for this job; it was fetched before raw HTML was kept, or has expired.\n`
+              : `\nRaw HTML isn't kept. Set CACHE_RAW_HTML=true to store it for pages fetched from now on.\n`;
+          }
+        }
+
+        return {
+          content: [{ type: "text", text }],
+          structuredContent: {
+            jobId: job.id,
+            cached: Boolean(cached),
+            content: cached,
+            html,
+            analysisInputs: job.analysisInputs || null
+          }
+        };
+      } catch (error) {
+        console.error('Error getting job source:', error);
+        return {
+          content: [{ type: "text", text: `Error getting job source: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    options: {
+      title: "Get Job Source",
+      readOnlyHint: true,
+      openWorldHint: false
+    }
+  };
+}
+
+export function getReplayAnalysisTool(agent) {
+  return {
+    name: "replay_analysis",
+    description: TOOL_DESCRIPTIONS.REPLAY_ANALYSIS,
+    args: {
+      jobId: z.string().describe(TOOL_ARGS.JOB_ID),
+      inputs: z.enum(['current', 'original']).optional().describe(TOOL_ARGS.REPLAY_INPUTS),
+      showPrompt: z.boolean().optional().describe(TOOL_ARGS.REPLAY_SHOW_PROMPT)
+    },
+    handler: async ({ jobId, inputs = 'current', showPrompt = false }) => {
+      try {
+        const job = await findJob(agent.jobStore, jobId);
+        if (!job) {
+          return jobNotFound(jobId);
+        }
+
+        let profile, scanPrompt, scoringWeights, calibration;
+        if (inputs === 'original') {
+          const profileHash = job.analysisInputs?.profileHash || job.profileHash;
+          const snapshot = await getProfileSnapshot(agent.env, profileHash);
+          if (!snapshot) {
+            return {
+              content: [{ type: "text", text: `The profile ${job.title} at ${job.company} was scored against is no longer stored. Replay it with inputs 'current' instead.` }],
+              isError: true
+            };
+          }
+          ({ profile, scanPrompt, scoringWeights } = snapshot);
+          calibration = await loadStoredCalibration(agent.jobStore, job.analysisInputs);
+        } else {
+          const plan = await agent.env.JOB_STORAGE.get('plan', 'json');
+          if (!plan || !plan.profile) {
+            return {
+              content: [{ type: "text", text: TOOL_ERRORS.DEEP_SCAN_NO_PLAN }],
+              isError: true
+            };
+          }
+          ({ profile, scanPrompt = '', scoringWeights } = plan);
+          calibration = await buildCalibration(agent.jobStore);
+        }
+
+        const cached = await getJobContent(agent.env, job.id);
+        const pageContent = cached || buildContentFromJob(job);
+        const contentSource = cached ? 'cached_page' : 'stored_fields';
+        const result = await analyzeJobPageWithLLM(agent, pageContent, job, profile, scanPrompt, scoringWeights, calibration);
+
+        let text = `Replayed the analysis of ${job.title} at ${job.company} [${job.id}] on ${CONTENT_SOURCE_LABELS[contentSource]}, `;
+        text += `with the ${inputs === 'original' ? 'profile and examples it was scored with' : 'current plan and feedback'}. Nothing was saved.\n`;
+        if (inputs === 'original' && !job.analysisInputs) {
+          text += `The job was scored before analysis inputs were recorded, so no rated examples or calibration were used.\n`;
+        }
+        if (result.scoreSource === 'fallback') {
+          text += `The LLM call failed (${result.fallbackReason}); the replay used keyword matching.\n`;
+        }
+        text += `\nStored: ${formatScore(job.matchScore)} (raw ${formatScore(job.rawMatchScore)})`;
+        text += `\nReplay: ${formatScore(result.matchScore)} (raw ${formatScore(result.rawMatchScore)})\n`;
+        if (job.scoreBreakdown || result.scoreBreakdown) {
+          text += `\nStored breakdown: ${formatScoreBreakdown(job.scoreBreakdown) || 'n/a'}`;
+          text += `\nReplay breakdown: ${formatScoreBreakdown(result.scoreBreakdown) || 'n/a'}\n`;
+        }
+        text += `\nStored reason: ${job.matchReason || 'n/a'}\nReplay reason: ${result.matchReason}\n`;
+
+        const prompt = showPrompt ? buildAnalysisPrompt(pageContent, profile, scanPrompt, calibration) : null;
+        if (prompt) {
+          text += `\nPrompt:\n${prompt}\n`;
+        }
+
+        return {
+          content: [{ type: "text", text }],
+          structuredContent: {
+            jobId: job.id,
+            inputs,
+            contentSource,
+            stored: {
+              matchScore: job.matchScore ?? null,
+              rawMatchScore: job.rawMatchScore ?? null,
+              scoreBreakdown: job.scoreBreakdown || null,
+              matchReason: job.matchReason || null,
+              analysisInputs: job.analysisInputs || null
+            },
+            replay: {
+              matchScore: result.matchScore,
+              rawMatchScore: result.rawMatchScore,
+              scoreBreakdown: result.scoreBreakdown,
+              matchReason: result.matchReason,
+              scoreSource: result.scoreSource,
+              analysisInputs: result.analysisInputs
+            },
+            prompt
+          }
+        };
+      } catch (error) {
+        console.error('Error replaying analysis:', error);
+        return {
+          content: [{ type: "text", text: `Error replaying analysis: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    options: {
+      title: "Replay Analysis",
+      readOnlyHint: true,
+      openWorldHint: true
+    }
+  };
+}
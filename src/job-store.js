@@ -0,0 +1,712 @@
+import { DurableObject } from "cloudflare:workers";
+import { SCAN_CONFIG } from './constants.js';
+import { createLifecycle, updateLifecycle } from './lifecycle.js';
+import { findNearDuplicates } from './fingerprint.js';
+import { isScanInterrupted } from './scan-state.js';
+
+// Schema migrations, applied once each in order. Append new entries rather than editing old ones.
+const MIGRATIONS = [
+  [
+    `CREATE TABLE jobs (
+      id TEXT PRIMARY KEY,
+      url TEXT,
+      title TEXT,
+      company TEXT,
+      location TEXT,
+      scanned INTEGER NOT NULL DEFAULT 0,
+      scan_status TEXT,
+      match_score REAL,
+      sent_in_digest INTEGER NOT NULL DEFAULT 0,
+      first_seen_at TEXT,
+      scan_date TEXT,
+      updated_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    )`,
+    `CREATE INDEX idx_jobs_url ON jobs (url)`,
+    `CREATE INDEX idx_jobs_status ON jobs (scanned, scan_status)`,
+    `CREATE INDEX idx_jobs_score ON jobs (match_score)`,
+    `CREATE INDEX idx_jobs_company ON jobs (company COLLATE NOCASE)`,
+    `CREATE INDEX idx_jobs_first_seen ON jobs (first_seen_at)`,
+    `CREATE INDEX idx_jobs_scan_date ON jobs (scan_date)`
+  ],
+  [
+    `CREATE TABLE scan_runs (
+      run_id TEXT PRIMARY KEY,
+      trigger TEXT,
+      status TEXT,
+      started_at TEXT,
+      ended_at TEXT,
+      data TEXT NOT NULL
+    )`,
+    `CREATE INDEX idx_scan_runs_started ON scan_runs (started_at)`
+  ],
+  [
+    `ALTER TABLE jobs ADD COLUMN next_retry_at TEXT`,
+    `CREATE INDEX idx_jobs_next_retry ON jobs (scanned, next_retry_at)`
+  ],
+  [
+    `ALTER TABLE jobs ADD COLUMN lifecycle_state TEXT`,
+    `ALTER TABLE jobs ADD COLUMN lifecycle_checked_at TEXT`,
+    `CREATE INDEX idx_jobs_lifecycle ON jobs (lifecycle_state, lifecycle_checked_at)`,
+    `CREATE TABLE job_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      from_state TEXT,
+      to_state TEXT,
+      reason TEXT,
+      occurred_at TEXT NOT NULL
+    )`,
+    `CREATE INDEX idx_job_events_event ON job_events (event, occurred_at)`
+  ],
+  [
+    `ALTER TABLE jobs ADD COLUMN user_status TEXT`,
+    `CREATE INDEX idx_jobs_user_status ON jobs (user_status)`
+  ],
+  [
+    `ALTER TABLE jobs ADD COLUMN user_rating TEXT`,
+    `CREATE INDEX idx_jobs_user_rating ON jobs (user_rating)`
+  ],
+  [
+    `CREATE TABLE applications (
+      id TEXT PRIMARY KEY,
+      job_id TEXT,
+      stage TEXT NOT NULL,
+      applied_at TEXT,
+      follow_up_at TEXT,
+      updated_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    )`,
+    `CREATE UNIQUE INDEX idx_applications_job ON applications (job_id)`,
+    `CREATE INDEX idx_applications_follow_up ON applications (stage, follow_up_at)`
+  ],
+  [
+    `ALTER TABLE jobs ADD COLUMN fingerprint TEXT`,
+    `ALTER TABLE jobs ADD COLUMN cluster_id TEXT`,
+    `CREATE INDEX idx_jobs_fingerprint ON jobs (fingerprint)`,
+    `CREATE INDEX idx_jobs_cluster ON jobs (cluster_id)`
+  ],
+  [
+    `ALTER TABLE jobs ADD COLUMN profile_hash TEXT`,
+    `CREATE INDEX idx_jobs_profile_hash ON jobs (scan_status, profile_hash)`
+  ]
+];
+
+// Sort orders accepted by listJobs
+const ORDER_BY = {
+  inserted: 'rowid ASC',
+  score: 'match_score DESC, rowid ASC',
+  firstSeen: 'first_seen_at DESC, rowid DESC',
+  scanDate: 'scan_date DESC, rowid DESC',
+  lifecycleChecked: 'COALESCE(lifecycle_checked_at, scan_date, first_seen_at) ASC, rowid ASC'
+};
+
+// Get the job store stub. All callers share one instance so every MCP session and the cron see the same index.
+export function getJobStore(env) {
+  return env.JOB_STORE.get(env.JOB_STORE.idFromName('default'));
+}
+
+// Durable Object holding the job index as one SQLite row per job.
+// The full job is kept as JSON in `data`; the other columns mirror the fields we filter and sort on.
+// SQLite calls are synchronous, so each RPC method below runs as one atomic read-modify-write.
+export class JobStore extends DurableObject {
+  constructor(ctx, env) {
+    super(ctx, env);
+    this.sql = ctx.storage.sql;
+    ctx.blockConcurrencyWhile(async () => {
+      this._applyMigrations();
+      await this._migrateLegacyIndex();
+      await this._migrateScanState();
+    });
+  }
+
+  _applyMigrations() {
+    this.sql.exec(`CREATE TABLE IF NOT EXISTS store_meta (key TEXT PRIMARY KEY, value TEXT)`);
+    const version = this._getMeta('schema_version') || 0;
+    MIGRATIONS.slice(version).forEach((statements, offset) => {
+      this.ctx.storage.transactionSync(() => {
+        statements.forEach(statement => this.sql.exec(statement));
+        this._setMeta('schema_version', version + offset + 1);
+      });
+    });
+  }
+
+  // One-time import of the legacy `job_index` KV blob. The blob is kept under `job_index_legacy` as a backup.
+  async _migrateLegacyIndex() {
+    if (this._getMeta('legacy_migrated_at')) return;
+
+    const legacyIndex = await this.env.JOB_STORAGE.get('job_index', 'json');
+    const legacyJobs = legacyIndex?.jobs || [];
+    this.ctx.storage.transactionSync(() => {
+      legacyJobs.filter(job => job.id).forEach(job => this._writeJob(job, { onlyIfNew: true }));
+      this._setMeta('lastUpdate', legacyIndex?.lastUpdate || null);
+      this._setMeta('lastScanDate', legacyIndex?.lastScanDate || null);
+      this._setMeta('profileHash', legacyIndex?.profileHash || null);
+      this._setMeta('legacy_migrated_at', new Date().toISOString());
+    });
+
+    if (legacyIndex) {
+      await this.env.JOB_STORAGE.put('job_index_legacy', JSON.stringify(legacyIndex));
+      await this.env.JOB_STORAGE.delete('job_index');
+      console.log(`Migrated ${legacyJobs.length} jobs from the legacy KV job index`);
+    }
+  }
+
+  // The scan state used to be kept through the key-value storage API. It now lives in store_meta, so it can be
+  // checked and claimed inside one transaction.
+  async _migrateScanState() {
+    const legacyState = await this.ctx.storage.get('scan_state');
+    if (!legacyState) return;
+    if (!this._getMeta('scan_state')) {
+      this._setMeta('scan_state', legacyState);
+    }
+    await this.ctx.storage.delete('scan_state');
+  }
+
+  _getMeta(key) {
+    const row = this.sql.exec(`SELECT value FROM store_meta WHERE key = ?`, key).toArray()[0];
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  _setMeta(key, value) {
+    this.sql.exec(
+      `INSERT INTO store_meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+      key, JSON.stringify(value)
+    );
+  }
+
+  // Insert or update a job row. Returns false when onlyIfNew is set and the job already exists.
+  _writeJob(job, { onlyIfNew = false } = {}) {
+    const now = new Date().toISOString();
+    const conflictClause = onlyIfNew
+      ? 'DO NOTHING'
+      : `DO UPDATE SET url = excluded.url, title = excluded.title, company = excluded.company,
+           location = excluded.location, scanned = excluded.scanned, scan_status = excluded.scan_status,
+           match_score = excluded.match_score, sent_in_digest = excluded.sent_in_digest,
+           first_seen_at = excluded.first_seen_at, scan_date = excluded.scan_date,
+           next_retry_at = excluded.next_retry_at, lifecycle_state = excluded.lifecycle_state,
+           lifecycle_checked_at = excluded.lifecycle_checked_at, user_status = excluded.user_status,
+           user_rating = excluded.user_rating, fingerprint = excluded.fingerprint, cluster_id = excluded.cluster_id,
+           profile_hash = excluded.profile_hash, updated_at = excluded.updated_at, data = excluded.data`;
+    const cursor = this.sql.exec(
+      `INSERT INTO jobs (id, url, title, company, location, scanned, scan_status, match_score,
+         sent_in_digest, first_seen_at, scan_date, next_retry_at, lifecycle_state, lifecycle_checked_at, user_status,
+         user_rating, fingerprint, cluster_id, profile_hash, updated_at, data)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(id) ${conflictClause}`,
+      job.id,
+      job.url || null,
+      job.title || null,
+      job.company || null,
+      job.location || null,
+      job.scanned ? 1 : 0,
+      job.scanStatus || null,
+      typeof job.matchScore === 'number' ? job.matchScore : null,
+      job.sentInDigest ? 1 : 0,
+      job.firstSeenAt || null,
+      job.scanDate || null,
+      job.nextRetryAt || null,
+      job.lifecycle?.state || null,
+      job.lifecycle?.checkedAt || null,
+      job.userStatus?.status || null,
+      job.userRating?.rating || null,
+      job.fingerprint?.key || null,
+      job.clusterId || null,
+      job.profileHash || null,
+      now,
+      JSON.stringify(job)
+    );
+    return cursor.rowsWritten > 0;
+  }
+
+  _readJobs(query, ...params) {
+    return this.sql.exec(query, ...params).toArray().map(row => JSON.parse(row.data));
+  }
+
+  _touch() {
+    this._setMeta('lastUpdate', new Date().toISOString());
+  }
+
+  _recordJobEvent(jobId, event, fromState, toState, reason, occurredAt = new Date().toISOString()) {
+    this.sql.exec(
+      `INSERT INTO job_events (job_id, event, from_state, to_state, reason, occurred_at) VALUES (?, ?, ?, ?, ?, ?)`,
+      jobId, event, fromState, toState, reason, occurredAt
+    );
+  }
+
+  // Record a lifecycle transition (e.g. open -> closed) for pipeline stats
+  _recordLifecycleChange(before, after) {
+    const fromState = before.lifecycle?.state || 'open';
+    const toState = after.lifecycle?.state || 'open';
+    if (fromState === toState) return;
+    this._recordJobEvent(after.id, 'lifecycle', fromState, toState, toState === 'closed' ? after.lifecycle.closedReason : null);
+  }
+
+  // Add jobs that are not already indexed. Returns the jobs that were added.
+  insertNewJobs(jobs) {
+    const now = new Date().toISOString();
+    const inserted = [];
+    this.ctx.storage.transactionSync(() => {
+      for (const job of jobs) {
+        if (!job.id) continue;
+        const newJob = { ...job, firstSeenAt: job.firstSeenAt || now, lifecycle: job.lifecycle || createLifecycle(now) };
+        if (this._writeJob(newJob, { onlyIfNew: true })) {
+          inserted.push(newJob);
+        }
+      }
+      if (inserted.length > 0) this._touch();
+    });
+    return inserted;
+  }
+
+  // Note jobs that showed up in search results again. Closed ones become reposted. Returns the reposted jobs.
+  markJobsSeen(ids) {
+    const reposted = [];
+    this.ctx.storage.transactionSync(() => {
+      for (const id of ids) {
+        const existing = this.getJob(id);
+        if (existing?.lifecycle?.state !== 'closed') continue;
+        const updated = { ...existing, lifecycle: updateLifecycle(existing.lifecycle, null) };
+        this._writeJob(updated);
+        this._recordLifecycleChange(existing, updated);
+        reposted.push(updated);
+      }
+      if (reposted.length > 0) this._touch();
+    });
+    return reposted;
+  }
+
+  getJob(id) {
+    return this._readJobs(`SELECT data FROM jobs WHERE id = ?`, id)[0] || null;
+  }
+
+  getJobByUrl(url) {
+    return this._readJobs(`SELECT data FROM jobs WHERE url = ? LIMIT 1`, url)[0] || null;
+  }
+
+  // List jobs matching the given filters
+  listJobs(filters = {}) {
+    const {
+      scanned, scanStatus, minScore, company, sentInDigest, firstSeenAfter, retryDueBy,
+      lifecycleState, excludeClosed, lifecycleCheckedBefore, userStatus, excludeNotInterested,
+      hasFeedback, clusterId, staleForProfile, orderBy = 'inserted', limit
+    } = filters;
+    const where = [];
+    const params = [];
+
+    if (scanned !== undefined) {
+      where.push('scanned = ?');
+      params.push(scanned ? 1 : 0);
+    }
+    if (scanStatus) {
+      where.push('scan_status = ?');
+      params.push(scanStatus);
+    }
+    if (minScore !== undefined) {
+      where.push('match_score >= ?');
+      params.push(minScore);
+    }
+    if (company) {
+      where.push('company = ? COLLATE NOCASE');
+      params.push(company);
+    }
+    if (sentInDigest !== undefined) {
+      where.push('sent_in_digest = ?');
+      params.push(sentInDigest ? 1 : 0);
+    }
+    if (firstSeenAfter) {
+      where.push('first_seen_at >= ?');
+      params.push(firstSeenAfter);
+    }
+    // Excludes jobs waiting on a retry scheduled after the given time
+    if (retryDueBy) {
+      where.push('(next_retry_at IS NULL OR next_retry_at <= ?)');
+      params.push(retryDueBy);
+    }
+    // Jobs indexed before lifecycle tracking have no state and count as open
+    if (lifecycleState) {
+      where.push(`COALESCE(lifecycle_state, 'open') = ?`);
+      params.push(lifecycleState);
+    }
+    if (excludeClosed) {
+      where.push(`COALESCE(lifecycle_state, 'open') != 'closed'`);
+    }
+    if (lifecycleCheckedBefore) {
+      where.push('COALESCE(lifecycle_checked_at, scan_date, first_seen_at) < ?');
+      params.push(lifecycleCheckedBefore);
+    }
+    if (userStatus) {
+      where.push('user_status = ?');
+      params.push(userStatus);
+    }
+    if (excludeNotInterested) {
+      where.push(`COALESCE(user_status, '') != 'not_interested'`);
+    }
+    // Jobs the user has rated or given a status
+    if (hasFeedback) {
+      where.push('(user_rating IS NOT NULL OR user_status IS NOT NULL)');
+    }
+    if (clusterId) {
+      where.push('cluster_id = ?');
+      params.push(clusterId);
+    }
+    // Jobs whose score was made against a different profile hash, or before scores recorded one
+    if (staleForProfile) {
+      where.push('(profile_hash IS NULL OR profile_hash != ?)');
+      params.push(staleForProfile);
+    }
+
+    let query = `SELECT data FROM jobs`;
+    if (where.length > 0) query += ` WHERE ${where.join(' AND ')}`;
+    query += ` ORDER BY ${ORDER_BY[orderBy] || ORDER_BY.inserted}`;
+    if (limit && limit > 0) {
+      query += ` LIMIT ?`;
+      params.push(limit);
+    }
+
+    return this._readJobs(query, ...params);
+  }
+
+  // Replace a job's stored record
+  saveJob(job) {
+    this.ctx.storage.transactionSync(() => {
+      this._writeJob(job);
+      this._touch();
+    });
+    return job;
+  }
+
+  // Shallow-merge changes into a stored job. Returns the updated job, or null if it isn't indexed.
+  updateJob(id, changes) {
+    let updated = null;
+    this.ctx.storage.transactionSync(() => {
+      const existing = this.getJob(id);
+      if (!existing) return;
+      updated = { ...existing, ...changes };
+      this._writeJob(updated);
+      this._recordLifecycleChange(existing, updated);
+      this._touch();
+    });
+    return updated;
+  }
+
+  // Indexed near-duplicates of a fingerprint (see fingerprint.js), earliest first seen first
+  findDuplicateJobs(fingerprint, excludeId = null) {
+    if (!fingerprint?.key) return [];
+    const candidates = this._readJobs(`SELECT data FROM jobs WHERE fingerprint = ? AND id != ?`, fingerprint.key, excludeId || '');
+    return findNearDuplicates(fingerprint, candidates);
+  }
+
+  // Link a job to the cluster of its earliest near-duplicate, whose first member is the canonical job.
+  // Returns the cluster's members, or null if the job has no duplicates.
+  assignCluster(id) {
+    let members = null;
+    this.ctx.storage.transactionSync(() => {
+      const job = this.getJob(id);
+      if (!job) return;
+      const [original] = this.findDuplicateJobs(job.fingerprint, id);
+      if (!original) return;
+
+      const clusterId = original.clusterId || original.id;
+      if (!original.clusterId) {
+        this._writeJob({ ...original, clusterId });
+      }
+      if (job.clusterId !== clusterId) {
+        this._writeJob({ ...job, clusterId });
+        this._recordJobEvent(id, 'cluster', job.clusterId || null, clusterId, `near-duplicate of ${original.id}`);
+        this._touch();
+      }
+      members = this.listJobs({ clusterId, orderBy: 'inserted' });
+    });
+    return members;
+  }
+
+  // Members of the given clusters, grouped by cluster ID
+  getClusterMembers(clusterIds) {
+    const members = {};
+    for (const clusterId of new Set(clusterIds)) {
+      members[clusterId] = this.listJobs({ clusterId });
+    }
+    return members;
+  }
+
+  // Record the user's verdict on a job: a thumbs up/down `rating` and/or a pipeline `status`, each with an
+  // optional note. Every change is appended to the job's feedback history and logged as a job event.
+  // Returns the updated job, or null if it isn't indexed.
+  recordJobFeedback(id, { rating, status, note = null }) {
+    let updated = null;
+    this.ctx.storage.transactionSync(() => {
+      const existing = this.getJob(id);
+      if (!existing) return;
+      const at = new Date().toISOString();
+      const changes = { feedbackHistory: [...(existing.feedbackHistory || [])] };
+
+      if (rating) {
+        changes.userRating = { rating, note, at };
+        changes.feedbackHistory.push({ type: 'rating', value: rating, note, at });
+        this._recordJobEvent(id, 'user_rating', existing.userRating?.rating || null, rating, note, at);
+      }
+      if (status) {
+        changes.userStatus = { status, note, at };
+        changes.feedbackHistory.push({ type: 'status', value: status, note, at });
+        this._recordJobEvent(id, 'user_status', existing.userStatus?.status || null, status, note, at);
+      }
+
+      updated = { ...existing, ...changes };
+      this._writeJob(updated);
+      this._touch();
+    });
+    return updated;
+  }
+
+  // Count jobs by the user's pipeline status
+  getUserStatusCounts() {
+    const rows = this.sql.exec(
+      `SELECT user_status, COUNT(*) AS count FROM jobs WHERE user_status IS NOT NULL GROUP BY user_status`
+    ).toArray();
+    return Object.fromEntries(rows.map(row => [row.user_status, row.count]));
+  }
+
+  // Mark all completed, unsent jobs as sent in digest. Returns the number of jobs marked.
+  markJobsAsSent() {
+    const sentAt = new Date().toISOString();
+    let markedCount = 0;
+    this.ctx.storage.transactionSync(() => {
+      const unsentJobs = this._readJobs(
+        `SELECT data FROM jobs WHERE scanned = 1 AND scan_status = 'completed' AND sent_in_digest = 0`
+      );
+      for (const job of unsentJobs) {
+        this._writeJob({ ...job, sentInDigest: true, digestSentDate: sentAt });
+        markedCount++;
+      }
+      if (markedCount > 0) this._touch();
+    });
+    return markedCount;
+  }
+
+  // Counts by scan status and lifecycle state. Scores made against a profile other than `profileHash`
+  // (default: the one the latest scores were made with) are counted as stale.
+  getStats({ profileHash = this._getMeta('profileHash') } = {}) {
+    const counts = this.sql.exec(
+      `SELECT COUNT(*) AS totalJobs,
+         COALESCE(SUM(scanned), 0) AS scannedJobs,
+         COALESCE(SUM(scan_status = 'completed'), 0) AS completedScans,
+         COALESCE(SUM(scan_status = 'error'), 0) AS errorScans,
+         COALESCE(SUM(scan_status = 'retry_pending'), 0) AS retryPending,
+         COALESCE(SUM(scan_status = 'excluded'), 0) AS excludedJobs,
+         COALESCE(SUM(COALESCE(lifecycle_state, 'open') = 'open'), 0) AS openJobs,
+         COALESCE(SUM(lifecycle_state = 'closed'), 0) AS closedJobs,
+         COALESCE(SUM(lifecycle_state = 'reposted'), 0) AS repostedJobs,
+         COALESCE(SUM(cluster_id IS NOT NULL AND cluster_id != id), 0) AS duplicateJobs,
+         COALESCE(SUM(scan_status = 'completed' AND (profile_hash IS NULL OR profile_hash != ?)), 0) AS staleScores
+       FROM jobs`,
+      profileHash || ''
+    ).one();
+    return {
+      ...counts,
+      pendingScans: counts.totalJobs - counts.scannedJobs,
+      lastScanDate: this._getMeta('lastScanDate'),
+      lastUpdate: this._getMeta('lastUpdate'),
+      profileHash: this._getMeta('profileHash')
+    };
+  }
+
+  // Record the profile hash (see plan.js) the latest scores were made with
+  setProfileHash(profileHash) {
+    this._setMeta('profileHash', profileHash);
+  }
+
+  // Count lifecycle transitions by resulting state, optionally since a given time
+  getLifecycleEventCounts({ since } = {}) {
+    let query = `SELECT to_state, COUNT(*) AS count FROM job_events WHERE event = 'lifecycle'`;
+    const params = [];
+    if (since) {
+      query += ` AND occurred_at >= ?`;
+      params.push(since);
+    }
+    query += ` GROUP BY to_state`;
+    return Object.fromEntries(this.sql.exec(query, ...params).toArray().map(row => [row.to_state, row.count]));
+  }
+
+  setLastScanDate(date) {
+    this._setMeta('lastScanDate', date);
+  }
+
+  // Remove every job. The event log is kept, so application pipelines keep their history and past
+  // lifecycle, feedback and cluster events stay on record. Returns the number removed.
+  reset() {
+    const resetTime = new Date().toISOString();
+    let removedJobs = 0;
+    this.ctx.storage.transactionSync(() => {
+      removedJobs = this.sql.exec(`SELECT COUNT(*) AS count FROM jobs`).one().count;
+      this.sql.exec(`DELETE FROM jobs`);
+      this._setMeta('lastUpdate', resetTime);
+      this._setMeta('lastScanDate', null);
+      this._setMeta('profileHash', null);
+    });
+    return { removedJobs, resetTime };
+  }
+
+  // Insert or replace an application (see applications.js). A stage change is logged as a job event.
+  // Applications outlive reset(): they keep their own copy of the job's title, company and URL.
+  saveApplication(application) {
+    this.ctx.storage.transactionSync(() => {
+      const existing = this.getApplication(application.id);
+      this.sql.exec(
+        `INSERT INTO applications (id, job_id, stage, applied_at, follow_up_at, updated_at, data)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(id) DO UPDATE SET job_id = excluded.job_id, stage = excluded.stage,
+           applied_at = excluded.applied_at, follow_up_at = excluded.follow_up_at,
+           updated_at = excluded.updated_at, data = excluded.data`,
+        application.id,
+        application.jobId || null,
+        application.stage,
+        application.appliedAt || null,
+        application.followUpAt || null,
+        new Date().toISOString(),
+        JSON.stringify(application)
+      );
+      if (existing?.stage !== application.stage) {
+        const latest = application.stageHistory?.[application.stageHistory.length - 1];
+        this._recordJobEvent(application.jobId, 'application', existing?.stage || null, application.stage, latest?.note || null);
+      }
+    });
+    return application;
+  }
+
+  getApplication(id) {
+    return this._readJobs(`SELECT data FROM applications WHERE id = ?`, id)[0] || null;
+  }
+
+  getApplicationForJob(jobId) {
+    return this._readJobs(`SELECT data FROM applications WHERE job_id = ?`, jobId)[0] || null;
+  }
+
+  // List applications, most recently updated first. With followUpDueBy, only those with a follow-up due
+  // by then, soonest first. Closed applications are left out unless asked for or filtered on.
+  listApplications({ stage, includeClosed = false, followUpDueBy, limit } = {}) {
+    const where = [];
+    const params = [];
+    if (stage) {
+      where.push('stage = ?');
+      params.push(stage);
+    } else if (!includeClosed) {
+      where.push(`stage != 'closed'`);
+    }
+    if (followUpDueBy) {
+      where.push('follow_up_at IS NOT NULL AND follow_up_at <= ?');
+      params.push(followUpDueBy);
+    }
+
+    let query = `SELECT data FROM applications`;
+    if (where.length > 0) query += ` WHERE ${where.join(' AND ')}`;
+    query += followUpDueBy ? ` ORDER BY follow_up_at ASC` : ` ORDER BY updated_at DESC`;
+    if (limit && limit > 0) {
+      query += ` LIMIT ?`;
+      params.push(limit);
+    }
+    return this._readJobs(query, ...params);
+  }
+
+  // Record a scan run in the history. The full scan state is kept as JSON, like jobs.
+  _writeScanRun(state) {
+    if (!state.runId) return;
+    this.sql.exec(
+      `INSERT INTO scan_runs (run_id, trigger, status, started_at, ended_at, data)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(run_id) DO UPDATE SET trigger = excluded.trigger, status = excluded.status,
+         started_at = excluded.started_at, ended_at = excluded.ended_at, data = excluded.data`,
+      state.runId,
+      state.trigger || null,
+      state.status || null,
+      state.startTime || null,
+      state.endTime || null,
+      JSON.stringify(state)
+    );
+    // Only prune once a run has finished, so the running one is never dropped
+    if (!state.inProgress) {
+      this.sql.exec(
+        `DELETE FROM scan_runs WHERE run_id NOT IN
+           (SELECT run_id FROM scan_runs ORDER BY started_at DESC LIMIT ?)`,
+        SCAN_CONFIG.SCAN_HISTORY_RETENTION
+      );
+    }
+  }
+
+  // Most recent scan runs first
+  listScanRuns({ trigger, limit } = {}) {
+    let query = `SELECT data FROM scan_runs`;
+    const params = [];
+    if (trigger) {
+      query += ` WHERE trigger = ?`;
+      params.push(trigger);
+    }
+    query += ` ORDER BY started_at DESC`;
+    if (limit && limit > 0) {
+      query += ` LIMIT ?`;
+      params.push(limit);
+    }
+    return this._readJobs(query, ...params);
+  }
+
+  getScanRun(runId) {
+    return this._readJobs(`SELECT data FROM scan_runs WHERE run_id = ?`, runId)[0] || null;
+  }
+
+  // The run that started before the given one, for comparisons
+  getPreviousScanRun(runId) {
+    return this._readJobs(
+      `SELECT data FROM scan_runs
+       WHERE started_at < (SELECT started_at FROM scan_runs WHERE run_id = ?)
+       ORDER BY started_at DESC LIMIT 1`,
+      runId
+    )[0] || null;
+  }
+
+  // Background scan state (see scan-state.js). Every save also updates the run's scan history entry.
+  getScanState() {
+    return this._getMeta('scan_state');
+  }
+
+  // Start a scan run unless one is already running. The check and the save happen in one transaction, so when
+  // two sessions (or a session and the cron) start a scan at once, only one wins. Returns { claimed, state },
+  // where state is the new run's when claimed and the running one's otherwise.
+  claimScan(state) {
+    return this.ctx.storage.transactionSync(() => {
+      const current = this._getMeta('scan_state');
+      if (current?.inProgress && !isScanInterrupted(current)) {
+        return { claimed: false, state: current };
+      }
+      this._setMeta('scan_state', state);
+      this._writeScanRun(state);
+      return { claimed: true, state };
+    });
+  }
+
+  // Save the running scan's state without losing a cancellation requested in the meantime
+  saveScanState(state) {
+    return this.ctx.storage.transactionSync(() => {
+      const current = this._getMeta('scan_state');
+      const saved = { ...state };
+      if (current?.runId === state.runId && current.cancelled && !state.cancelled) {
+        saved.cancelled = true;
+        if (state.inProgress) saved.status = 'cancelling';
+      }
+      this._setMeta('scan_state', saved);
+      this._writeScanRun(saved);
+      return saved;
+    });
+  }
+
+  // Flag a scan run for cancellation. Returns the updated state, or null if that run is no longer current.
+  requestScanCancellation(runId) {
+    return this.ctx.storage.transactionSync(() => {
+      const current = this._getMeta('scan_state');
+      if (!current || current.runId !== runId) return null;
+      const saved = { ...current, cancelled: true, status: 'cancelling' };
+      this._setMeta('scan_state', saved);
+      this._writeScanRun(saved);
+      return saved;
+    });
+  }
+}
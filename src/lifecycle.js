@@ -0,0 +1,64 @@
+// Job lifecycle tracking: whether a posting is still open, has closed, or reappeared after closing.
+
+export const LIFECYCLE_STATES = ['open', 'closed', 'reposted'];
+
+const CLOSED_TEXT_PATTERN = /no longer accepting applications/i;
+
+// Error thrown by a deep scan when the posting turns out to be closed
+export class JobClosedError extends Error {
+  constructor(reason) {
+    super(`Job posting is closed (${reason})`);
+    this.name = 'JobClosedError';
+    this.reason = reason;
+  }
+}
+
+// Work out whether a fetched job page shows a closed posting. Returns the reason, or null if it looks open.
+// LinkedIn answers 404/410 for removed postings, redirects some to the jobs home page,
+// and keeps others up with a "No longer accepting applications" notice.
+export function detectClosedPosting({ status, requestedUrl, finalUrl, text }) {
+  if (status === 404 || status === 410) {
+    return 'not_found';
+  }
+  if (finalUrl && requestedUrl && finalUrl !== requestedUrl) {
+    const requestedPath = new URL(requestedUrl).pathname;
+    const finalPath = new URL(finalUrl).pathname;
+    if (requestedPath.includes('/jobs/view/') && !finalPath.includes('/jobs/view/')) {
+      return 'redirected';
+    }
+  }
+  if (text && CLOSED_TEXT_PATTERN.test(text)) {
+    return 'no_longer_accepting';
+  }
+  return null;
+}
+
+// Lifecycle for a newly indexed job
+export function createLifecycle(now = new Date().toISOString()) {
+  return {
+    state: 'open',
+    openedAt: now,
+    closedAt: null,
+    closedReason: null,
+    repostedAt: null,
+    checkedAt: null
+  };
+}
+
+// The lifecycle after a check. `closedReason` is null when the posting was found open.
+// A closed job that is found open again, or shows up in search results again, becomes reposted.
+export function updateLifecycle(lifecycle, closedReason, now = new Date().toISOString()) {
+  const current = lifecycle || createLifecycle(now);
+
+  if (closedReason) {
+    if (current.state === 'closed') {
+      return { ...current, checkedAt: now };
+    }
+    return { ...current, state: 'closed', closedAt: now, closedReason, checkedAt: now };
+  }
+
+  if (current.state === 'closed') {
+    return { ...current, state: 'reposted', repostedAt: now, checkedAt: now };
+  }
+  return { ...current, checkedAt: now };
+}
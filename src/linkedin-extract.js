@@ -0,0 +1,197 @@
+import * as cheerio from 'cheerio';
+
+// Structured extraction of LinkedIn's public (guest) job pages. The embedded JSON-LD `JobPosting` and the
+// page's top card and criteria sections give the posting without the navigation, sign-in prompts and
+// "similar jobs" that fill the rest of the page. Selectors are tried in order, so an older or newer layout
+// still matches; when neither source yields a description the caller falls back to the full page text.
+
+const POSTING_SELECTORS = {
+  title: ['.top-card-layout__title', '.topcard__title', 'h1'],
+  company: ['.topcard__org-name-link', '.top-card-layout__second-subline .topcard__flavor:first-child', '.topcard__flavor'],
+  location: ['.topcard__flavor--bullet', '.top-card-layout__second-subline .topcard__flavor:nth-child(2)'],
+  description: ['.show-more-less-html__markup', '.description__text'],
+  postedText: ['.posted-time-ago__text', '.posted-time-ago__text--new'],
+  applicantText: ['.num-applicants__caption', '.num-applicants__figure']
+};
+
+const CRITERIA_ITEM = '.description__job-criteria-item';
+const CRITERIA_LABEL = '.description__job-criteria-subheader';
+const CRITERIA_VALUE = '.description__job-criteria-text';
+
+// Criteria headings on the page and the field each is stored as
+const CRITERIA_FIELDS = {
+  'seniority level': 'seniority',
+  'employment type': 'employmentType',
+  'job function': 'jobFunction',
+  'industries': 'industries'
+};
+
+const BLOCK_ELEMENTS = 'p, li, div, ul, ol, h1, h2, h3, h4, h5, h6';
+
+function collapseWhitespace(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Text of an element with its paragraphs, line breaks and list items kept on their own lines
+function blockText($, element) {
+  const copy = $(element).clone();
+  copy.find('br').replaceWith('\n');
+  copy.find('li').each((_, item) => {
+    $(item).prepend('- ');
+  });
+  copy.find(BLOCK_ELEMENTS).after('\n');
+  return copy.text()
+    .split('\n')
+    .map(collapseWhitespace)
+    .filter(Boolean)
+    .join('\n');
+}
+
+// The first selector that matches a non-empty element, and that element
+function selectFirst($, selectors) {
+  for (const selector of selectors) {
+    const element = $(selector).filter((_, candidate) => collapseWhitespace($(candidate).text()) !== '').first();
+    if (element.length) {
+      return { selector, element };
+    }
+  }
+  return null;
+}
+
+// The JobPosting object from the page's JSON-LD scripts, or null if there isn't one
+function findJsonLdPosting($) {
+  const scripts = $('script[type="application/ld+json"]').toArray();
+  for (const script of scripts) {
+    let data;
+    try {
+      data = JSON.parse($(script).text());
+    } catch {
+      continue;
+    }
+    const candidates = [data, ...(Array.isArray(data) ? data : []), ...(data?.['@graph'] || [])];
+    const posting = candidates.find(candidate => candidate?.['@type'] === 'JobPosting');
+    if (posting) return posting;
+  }
+  return null;
+}
+
+// Plain text of an HTML description, keeping its paragraphs and list items on their own lines.
+// Job boards' JSON (including LinkedIn's JSON-LD) sometimes holds entity-encoded HTML, which is decoded first.
+export function htmlToText(description) {
+  if (!description) return '';
+  const markup = /&lt;\w/.test(description) ? cheerio.load(description).text() : description;
+  const $ = cheerio.load(`<div id="description">${markup}</div>`);
+  return blockText($, '#description');
+}
+
+function jsonLdLocation(posting) {
+  const location = Array.isArray(posting.jobLocation) ? posting.jobLocation[0] : posting.jobLocation;
+  const address = location?.address;
+  if (!address) return null;
+  if (typeof address === 'string') return address;
+  const country = typeof address.addressCountry === 'object' ? address.addressCountry?.name : address.addressCountry;
+  return [address.addressLocality, address.addressRegion, country].filter(Boolean).join(', ') || null;
+}
+
+// "FULL_TIME" → "Full time"
+function humanizeEnum(value) {
+  const text = (Array.isArray(value) ? value.join(', ') : value || '').replace(/_/g, ' ').toLowerCase();
+  return text ? text[0].toUpperCase() + text.slice(1) : null;
+}
+
+function toIsoDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+export function parseApplicantCount(text) {
+  const match = (text || '').replace(/,/g, '').match(/\d+/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+// Extract the posting from a parsed LinkedIn job page. Must run before scripts are stripped from the page.
+// Returns null when neither the JSON-LD nor the selectors yield a description.
+// `matched` lists the fields found by selector with the selector that found them, for spotting layout changes.
+export function extractLinkedInPosting($) {
+  const jsonLd = findJsonLdPosting($);
+  const matched = {};
+  const selectText = field => {
+    const found = selectFirst($, POSTING_SELECTORS[field]);
+    if (!found) return null;
+    matched[field] = found.selector;
+    return found;
+  };
+
+  const descriptionElement = selectText('description');
+  const descriptionText = descriptionElement
+    ? blockText($, descriptionElement.element)
+    : htmlToText(jsonLd?.description);
+  if (!descriptionText) {
+    return null;
+  }
+
+  const criteria = {};
+  $(CRITERIA_ITEM).each((_, item) => {
+    const label = collapseWhitespace($(item).find(CRITERIA_LABEL).text()).toLowerCase();
+    const value = collapseWhitespace($(item).find(CRITERIA_VALUE).text());
+    if (CRITERIA_FIELDS[label] && value) {
+      criteria[CRITERIA_FIELDS[label]] = value;
+    }
+  });
+  if (Object.keys(criteria).length > 0) {
+    matched.criteria = CRITERIA_ITEM;
+  }
+  criteria.employmentType = criteria.employmentType || humanizeEnum(jsonLd?.employmentType);
+  criteria.industries = criteria.industries || humanizeEnum(jsonLd?.industry);
+
+  const text = field => {
+    const found = selectText(field);
+    return found ? collapseWhitespace(found.element.text()) : null;
+  };
+  const applicantText = text('applicantText');
+
+  return {
+    title: text('title') || jsonLd?.title || null,
+    company: text('company') || jsonLd?.hiringOrganization?.name || null,
+    location: text('location') || (jsonLd ? jsonLdLocation(jsonLd) : null),
+    // The plain collapsed text, as description hashes and fingerprints have always been computed
+    description: collapseWhitespace(descriptionElement ? descriptionElement.element.text() : descriptionText),
+    descriptionText,
+    criteria: Object.fromEntries(Object.entries(criteria).filter(([, value]) => value)),
+    applicantText,
+    applicantCount: parseApplicantCount(applicantText),
+    postedText: text('postedText'),
+    postedAt: toIsoDate(jsonLd?.datePosted),
+    validThrough: toIsoDate(jsonLd?.validThrough),
+    source: { jsonLd: Boolean(jsonLd), matched }
+  };
+}
+
+// The posting as text for the analysis prompt: the top card and criteria, then the description
+export function formatPostingText(posting) {
+  const criteriaLabels = { seniority: 'Seniority level', employmentType: 'Employment type', jobFunction: 'Job function', industries: 'Industries' };
+  const posted = [posting.postedText, posting.postedAt && `on ${posting.postedAt.split('T')[0]}`].filter(Boolean).join(' ');
+  const lines = [
+    posting.title && `Title: ${posting.title}`,
+    posting.company && `Company: ${posting.company}`,
+    posting.location && `Location: ${posting.location}`,
+    posted && `Posted: ${posted}`,
+    posting.applicantText && `Applicants: ${posting.applicantText}`,
+    posting.salaryText && `Salary: ${posting.salaryText}`,
+    ...Object.entries(criteriaLabels).map(([field, label]) => posting.criteria[field] && `${label}: ${posting.criteria[field]}`)
+  ];
+  return `${lines.filter(Boolean).join('\n')}\n\nDescription:\n${posting.descriptionText}`;
+}
+
+// The posting fields worth keeping on the job record
+export function summarizePosting(posting) {
+  if (!posting) return null;
+  return {
+    criteria: posting.criteria,
+    applicantCount: posting.applicantCount,
+    applicantText: posting.applicantText,
+    postedAt: posting.postedAt,
+    postedText: posting.postedText,
+    validThrough: posting.validThrough
+  };
+}
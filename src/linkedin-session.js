@@ -0,0 +1,203 @@
+import { z } from "zod";
+import fetch from 'node-fetch';
+
+import { TOOL_DESCRIPTIONS, TOOL_ARGS, LINKEDIN_SESSION } from './constants.js';
+
+// The logged-in LinkedIn browser session, kept between scans so a scan can reuse it instead of logging in
+// again. Its cookies are stored in KV under `linkedin_session`, encrypted with AES-GCM under a key derived from
+// the LINKEDIN_SESSION_KEY secret; without the secret, sessions aren't kept. A session's `source` is 'login' when
+// it was saved after a scan logged in, or 'pasted' when the user gave its cookie with the linkedin_session tool.
+
+const SESSION_KEY = 'linkedin_session';
+
+export function isSessionStorageEnabled(env) {
+  return Boolean(env.LINKEDIN_SESSION_KEY);
+}
+
+async function importKey(env) {
+  const secret = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(env.LINKEDIN_SESSION_KEY));
+  return crypto.subtle.importKey('raw', secret, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// Only LinkedIn's cookies, and none that have expired. Playwright gives session cookies an expiry of -1.
+function liveLinkedInCookies(cookies) {
+  const now = Date.now() / 1000;
+  return (cookies || []).filter(cookie =>
+    /(^|\.)linkedin\.com$/.test(cookie.domain || '') && (!cookie.expires || cookie.expires < 0 || cookie.expires > now)
+  );
+}
+
+// Store the session's cookies, replacing any stored session. Returns false when sessions can't be kept.
+export async function saveLinkedInSession(env, cookies, source) {
+  if (!isSessionStorageEnabled(env)) {
+    return false;
+  }
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(liveLinkedInCookies(cookies)));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await importKey(env), plaintext);
+  const entry = {
+    iv: toBase64(iv),
+    cookies: toBase64(ciphertext),
+    source,
+    savedAt: new Date().toISOString()
+  };
+  await env.JOB_STORAGE.put(SESSION_KEY, JSON.stringify(entry), { expirationTtl: LINKEDIN_SESSION.TTL });
+  return true;
+}
+
+// The stored session as { cookies, source, savedAt }, or null if there is none, it has expired, or it can't be
+// decrypted (e.g. because LINKEDIN_SESSION_KEY changed)
+export async function loadLinkedInSession(env) {
+  if (!isSessionStorageEnabled(env)) {
+    return null;
+  }
+  const entry = await env.JOB_STORAGE.get(SESSION_KEY, 'json');
+  if (!entry) {
+    return null;
+  }
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(entry.iv) }, await importKey(env), fromBase64(entry.cookies));
+    const cookies = liveLinkedInCookies(JSON.parse(new TextDecoder().decode(plaintext)));
+    if (!cookies.some(cookie => cookie.name === 'li_at')) {
+      return null;
+    }
+    return { cookies, source: entry.source, savedAt: entry.savedAt };
+  } catch (error) {
+    console.log(`Could not decrypt the stored LinkedIn session: ${error.message}`);
+    return null;
+  }
+}
+
+export async function clearLinkedInSession(env) {
+  await env.JOB_STORAGE.delete(SESSION_KEY);
+}
+
+// Whether a page the browser landed on means the session isn't logged in
+export function isLoggedOutUrl(url) {
+  return /linkedin\.com\/(login|uas\/login|authwall|checkpoint|signup)/.test(url || '');
+}
+
+// Cookies from a value pasted from the user's browser: either the bare `li_at` value, or `name=value` pairs
+// separated by semicolons as in a Cookie header
+export function parsePastedCookies(text) {
+  const pairs = text.includes('=')
+    ? text.split(';').map(pair => pair.trim()).filter(Boolean).map(pair => {
+      const separator = pair.indexOf('=');
+      return [pair.slice(0, separator).trim(), pair.slice(separator + 1).trim()];
+    })
+    : [['li_at', text.trim()]];
+  return pairs
+    .filter(([name, value]) => name && value)
+    .map(([name, value]) => ({
+      name,
+      value,
+      domain: name === 'li_at' ? '.www.linkedin.com' : '.linkedin.com',
+      path: '/',
+      expires: -1,
+      httpOnly: true,
+      secure: true,
+      sameSite: 'None'
+    }));
+}
+
+// Check a session over plain HTTP: the feed answers logged-out requests with a redirect to the login page or
+// authwall. Returns true or false, or null when LinkedIn's answer doesn't tell.
+async function checkSessionCookies(cookies) {
+  const response = await fetch('https://www.linkedin.com/feed/', {
+    headers: {
+      'Cookie': cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; '),
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept': 'text/html'
+    },
+    redirect: 'manual',
+    signal: AbortSignal.timeout(30000)
+  });
+  if (response.status === 200) return true;
+  if (response.status >= 300 && response.status < 400) {
+    return !isLoggedOutUrl(response.headers.get('location'));
+  }
+  return null;
+}
+
+export function getLinkedInSessionTool(agent) {
+  return {
+    name: "linkedin_session",
+    description: TOOL_DESCRIPTIONS.LINKEDIN_SESSION,
+    args: {
+      cookie: z.string().min(1).optional().describe(TOOL_ARGS.LINKEDIN_SESSION_COOKIE),
+      clear: z.boolean().optional().describe(TOOL_ARGS.LINKEDIN_SESSION_CLEAR)
+    },
+    handler: async ({ cookie, clear = false }) => {
+      try {
+        if (!isSessionStorageEnabled(agent.env)) {
+          return {
+            content: [{ type: "text", text: "LinkedIn sessions aren't kept because LINKEDIN_SESSION_KEY isn't set. Set it with `wrangler secret put LINKEDIN_SESSION_KEY` to keep sessions between scans." }],
+            isError: true
+          };
+        }
+
+        if (clear) {
+          await clearLinkedInSession(agent.env);
+          return {
+            content: [{ type: "text", text: "Stored LinkedIn session removed. The next scan logs in with the configured credentials." }],
+            structuredContent: { stored: false }
+          };
+        }
+
+        if (cookie) {
+          const cookies = parsePastedCookies(cookie);
+          if (!cookies.some(entry => entry.name === 'li_at')) {
+            return {
+              content: [{ type: "text", text: "No li_at cookie found. Paste the value of the li_at cookie from your browser's developer tools while logged in to LinkedIn." }],
+              isError: true
+            };
+          }
+          const valid = await checkSessionCookies(cookies).catch(error => {
+            console.log(`Could not check the pasted LinkedIn session: ${error.message}`);
+            return null;
+          });
+          if (valid === false) {
+            return {
+              content: [{ type: "text", text: "LinkedIn doesn't accept this cookie as logged in; it may have expired or been copied incompletely. Nothing was stored." }],
+              isError: true
+            };
+          }
+          await saveLinkedInSession(agent.env, cookies, 'pasted');
+          const checked = valid ? 'LinkedIn accepted it' : "LinkedIn's answer didn't confirm it, so it will be checked at the start of the next scan";
+          return {
+            content: [{ type: "text", text: `LinkedIn session stored (${checked}). The next scan reuses it instead of logging in.` }],
+            structuredContent: { stored: true, source: 'pasted', verified: valid === true }
+          };
+        }
+
+        const session = await loadLinkedInSession(agent.env);
+        const text = session
+          ? `A LinkedIn session is stored (${session.source === 'pasted' ? 'pasted from a browser' : 'saved after logging in'}, ${session.savedAt}). Scans check it before logging in.`
+          : "No LinkedIn session is stored. The next scan logs in with the configured credentials, or paste the li_at cookie from your browser with the cookie argument.";
+        return {
+          content: [{ type: "text", text }],
+          structuredContent: { stored: Boolean(session), source: session?.source || null, savedAt: session?.savedAt || null }
+        };
+      } catch (error) {
+        console.error('Error managing LinkedIn session:', error);
+        return {
+          content: [{ type: "text", text: `Error managing LinkedIn session: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    options: {
+      title: "LinkedIn Session",
+      readOnlyHint: false,
+      openWorldHint: true
+    }
+  };
+}
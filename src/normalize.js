@@ -0,0 +1,49 @@
+// Text normalisation shared by deterministic matching (dealbreakers, company lists)
+
+// Legal suffixes ignored when comparing company names, so "Acme Pty Ltd" matches "Acme"
+const COMPANY_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'pty', 'plc', 'corp', 'corporation',
+  'co', 'company', 'gmbh', 'ag', 'sa', 'bv', 'nv', 'group', 'holdings'
+]);
+
+// Lowercase, strip accents and punctuation, collapse whitespace
+export function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9+#]+/g, ' ')
+    .trim();
+}
+
+// Normalise a company name for comparison
+export function normalizeCompanyName(name) {
+  const words = normalizeText(name).split(' ').filter(Boolean);
+  while (words.length > 1 && COMPANY_SUFFIXES.has(words[words.length - 1])) {
+    words.pop();
+  }
+  return words.join(' ');
+}
+
+// Whether the text contains the keyword as whole words, ignoring case and punctuation
+export function containsKeyword(text, keyword) {
+  const normalizedKeyword = normalizeText(keyword);
+  if (!normalizedKeyword) return false;
+  return ` ${normalizeText(text)} `.includes(` ${normalizedKeyword} `);
+}
+
+// Clean a list of user-supplied strings: trimmed, non-empty, without duplicates
+export function normalizeStringList(values) {
+  if (!Array.isArray(values)) return [];
+  const seen = new Set();
+  const result = [];
+  for (const value of values) {
+    if (typeof value !== 'string' || !value.trim()) continue;
+    const key = normalizeText(value);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    result.push(value.trim());
+  }
+  return result;
+}
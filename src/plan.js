@@ -1,42 +1,121 @@
 import { z } from "zod";
-import { TOOL_DESCRIPTIONS, TOOL_ARGS } from './constants.js';
+import { TOOL_DESCRIPTIONS, TOOL_ARGS, LINKEDIN_FILTERS, SCORING_DIMENSIONS, CONTENT_CACHE } from './constants.js';
+import { resolveGeoId, setGeoIdOverride, resolvePlanLocations } from './geo.js';
+import { normalizeScoringWeights } from './scoring.js';
+import { normalizeDealbreakers, describeDealbreakers } from './dealbreakers.js';
+import { normalizeBoardSources } from './sources/index.js';
+import { LINKEDIN_SEARCH_MODES } from './sources/linkedin.js';
+import { hashText } from './hash.js';
 
-// Utility: Generate LinkedIn search URLs from search terms and locations
-function generateSearchUrls(searchTerms, locations) {
+// Utility: Coerce LLM-provided filter values into the typed shape described by LINKEDIN_FILTERS
+// Unknown filters and values are dropped rather than passed through to LinkedIn
+export function normalizeSearchFilters(rawFilters) {
+  const filters = {};
+  if (!rawFilters || typeof rawFilters !== 'object') {
+    return filters;
+  }
+
+  for (const [name, definition] of Object.entries(LINKEDIN_FILTERS)) {
+    const rawValue = rawFilters[name];
+    if (rawValue === undefined || rawValue === null) continue;
+
+    if (definition.boolean) {
+      if (rawValue === true || rawValue === 'true') {
+        filters[name] = true;
+      }
+      continue;
+    }
+
+    const rawList = (Array.isArray(rawValue) ? rawValue : [rawValue])
+      .map(value => String(value).trim())
+      .filter(Boolean);
+    const values = definition.values
+      ? rawList.map(value => value.toLowerCase().replace(/[\s-]+/g, '_')).filter(value => value in definition.values)
+      : rawList;
+    const uniqueValues = [...new Set(values)];
+    if (uniqueValues.length === 0) continue;
+
+    filters[name] = definition.multiple ? uniqueValues : uniqueValues[0];
+  }
+
+  return filters;
+}
+
+// Utility: Normalise a plan search entry (a query string or { term, filters }) merged with the plan defaults
+function normalizeSearch(search, defaultFilters) {
+  const term = typeof search === 'string' ? search : search?.term;
+  const searchFilters = typeof search === 'string' ? {} : normalizeSearchFilters(search?.filters);
+  return {
+    term,
+    filters: { ...normalizeSearchFilters(defaultFilters), ...searchFilters }
+  };
+}
+
+// Utility: Encode typed filters as LinkedIn URL parameters
+function encodeSearchFilters(filters) {
+  let params = '';
+  for (const [name, value] of Object.entries(filters)) {
+    const definition = LINKEDIN_FILTERS[name];
+    if (definition.boolean) {
+      params += `&${definition.param}=true`;
+    } else {
+      const list = Array.isArray(value) ? value : [value];
+      const encoded = definition.values ? list.map(v => definition.values[v]) : list;
+      params += `&${definition.param}=${encodeURIComponent(encoded.join(','))}`;
+    }
+  }
+  return params;
+}
+
+// Utility: Generate LinkedIn search URLs from search terms, locations and filters
+export function generateSearchUrls(searchTerms, locations, defaultFilters = {}) {
   const baseUrl = 'https://www.linkedin.com/jobs/search/';
   const urls = [];
+  const searches = searchTerms
+    .map(search => normalizeSearch(search, defaultFilters))
+    .filter(search => search.term);
 
   if (!locations || locations.length === 0) {
-    searchTerms.forEach(term => {
+    searches.forEach(({ term, filters }) => {
       urls.push({
         term,
         location: 'Any',
-        url: `${baseUrl}?keywords=${encodeURIComponent(term)}&sortBy=DD`
+        filters,
+        url: `${baseUrl}?keywords=${encodeURIComponent(term)}${encodeSearchFilters(filters)}&sortBy=DD`
       });
     });
     return urls;
   }
 
-  searchTerms.forEach(term => {
+  searches.forEach(({ term, filters }) => {
     locations.forEach(loc => {
       let url = `${baseUrl}?keywords=${encodeURIComponent(term)}`;
+      let locationFilters = filters;
       if (loc.name && loc.name !== 'Remote') {
         url += `&location=${encodeURIComponent(loc.name)}`;
+        if (loc.geoId) {
+          url += `&geoId=${loc.geoId}`;
+        }
         if (loc.type === 'city' && loc.distance) {
           url += `&distance=${loc.distance}`;
         }
       } else if (loc.name === 'Remote') {
+        // Remote locations always search remote-only, whatever the workplace filter says
+        locationFilters = { ...filters, workplaceType: ['remote'] };
         const countryLocation = locations.find(l => l.type === 'country');
         if (countryLocation && countryLocation.name) {
-          url += `&f_WT=2&location=${encodeURIComponent(countryLocation.name)}`;
-        } else {
-          url += '&f_WT=2';
+          url += `&location=${encodeURIComponent(countryLocation.name)}`;
+          if (countryLocation.geoId) {
+            url += `&geoId=${countryLocation.geoId}`;
+          }
         }
       }
+      url += encodeSearchFilters(locationFilters);
       url += '&sortBy=DD';
       urls.push({
         term,
         location: loc.name,
+        filters: locationFilters,
         url
       });
     });
@@ -45,6 +124,50 @@ function generateSearchUrls(searchTerms, locations) {
   return urls;
 }
 
+// Field descriptions shared by the create and update plan prompts
+function describePlanFields() {
+  const filterLines = Object.entries(LINKEDIN_FILTERS).map(([name, definition]) => {
+    let valueText;
+    if (definition.boolean) {
+      valueText = 'boolean';
+    } else if (definition.values) {
+      const options = Object.keys(definition.values).map(v => `\"${v}\"`).join(', ');
+      valueText = definition.multiple ? `array of ${options}` : `one of ${options}`;
+    } else {
+      valueText = 'array of strings';
+    }
+    return `  - \"${name}\": ${definition.description} (${valueText})`;
+  });
+  const jobTypes = Object.keys(LINKEDIN_FILTERS.jobType.values).map(v => `\"${v}\"`).join(', ');
+  const workplaceTypes = Object.keys(LINKEDIN_FILTERS.workplaceType.values).map(v => `\"${v}\"`).join(', ');
+  const weightLines = Object.entries(SCORING_DIMENSIONS).map(([name, definition]) =>
+    `  - \"${name}\": ${definition.description} (default ${definition.weight})`
+  );
+
+  return `- \"profile\": A concise summary of the job seeker's profile
+- \"searchTerms\": Array of searches. Each item is either a complete search query string, or an object {\"term\": \"search query\", \"filters\": {...}} when that search needs filters that differ from the plan defaults
+- \"locations\": Array of location objects, each with:
+  - \"name\": Location name (city, state, country)
+  - \"geoId\": LinkedIn geographic ID if known (optional)
+  - \"type\": \"city\", \"country\", or \"remote\"
+  - \"distance\": Search radius in miles (for city searches, optional)
+- \"filters\": Default LinkedIn search filters applied to every search. Only include filters the user asked for:
+${filterLines.join('\n')}
+- \"scanPrompt\": Instructions for evaluating job matches
+- \"scoringWeights\": Relative weight of each match dimension in the overall score. Only change weights the user asked to emphasise or ignore (0 ignores a dimension):
+${weightLines.join('\n')}
+- \"dealbreakers\": Hard constraints. Jobs that break one are excluded without being scored. Only include constraints the user stated as must-haves or never-evers:
+  - \"excludedCompanies\": Company names to never show (array of strings)
+  - \"excludedTitleKeywords\": Words or phrases that rule out a job title, e.g. \"Senior\" or \"Sales\" (array of strings)
+  - \"excludedEmploymentTypes\": Employment types to exclude (array of ${jobTypes})
+  - \"requiredWorkplaceTypes\": Acceptable workplace types; empty means any (array of ${workplaceTypes})
+  - \"minSalary\": Minimum acceptable salary {\"amount\": number, \"currency\": \"AUD\", \"period\": \"hour\" | \"day\" | \"week\" | \"month\" | \"year\"}, or null
+  - \"requiresVisaSponsorship\": true if the user needs visa sponsorship (boolean)
+  - \"visaNotes\": Any detail about the user's work rights (string)
+- \"linkedinSearchMode\": \"login\" to search LinkedIn with the configured account, or \"guest\" to search logged out. Keep the current value unless the user asks to change it
+- \"sources\": Company job boards to scan alongside the LinkedIn searches. Only include boards the user named. Array of {\"type\": \"greenhouse\" | \"lever\" | \"ashby\", \"board\": board name or careers page URL, \"company\": company name}`;
+}
+
 // Utility: Generate plan feedback from AI response
 async function generatePlanFeedback(plan, openai, env) {
   // This function expects the same logic as _generatePlanFeedback in index.js
@@ -76,6 +199,33 @@ async function generatePlanFeedback(plan, openai, env) {
   return feedback;
 }
 
+// Hash of the plan fields that shape a job's match score. Each score records the hash it was made with,
+// so scores made against an older profile can be found and re-scored.
+export function getProfileHash(plan) {
+  return hashText(JSON.stringify({
+    profile: plan?.profile || '',
+    scanPrompt: plan?.scanPrompt || '',
+    scoringWeights: normalizeScoringWeights(plan?.scoringWeights)
+  }));
+}
+
+// Keep the plan fields behind a profile hash, so an analysis made with them can be replayed after the plan changes
+export async function saveProfileSnapshot(env, plan) {
+  const profileHash = getProfileHash(plan);
+  const snapshot = {
+    profile: plan.profile || '',
+    scanPrompt: plan.scanPrompt || '',
+    scoringWeights: normalizeScoringWeights(plan.scoringWeights)
+  };
+  await env.JOB_STORAGE.put(`profile_snapshot:${profileHash}`, JSON.stringify(snapshot), { expirationTtl: CONTENT_CACHE.TTL });
+  return profileHash;
+}
+
+// The plan fields behind a profile hash, or null if they weren't kept or have expired
+export async function getProfileSnapshot(env, profileHash) {
+  return profileHash ? env.JOB_STORAGE.get(`profile_snapshot:${profileHash}`, 'json') : null;
+}
+
 export function getPlanTool(env) {
   return {
     name: "get_plan",
@@ -89,7 +239,12 @@ export function getPlanTool(env) {
             profile: '', 
             searchTerms: [], 
             locations: [],
+            filters: {},
             scanPrompt: '',
+            scoringWeights: normalizeScoringWeights(),
+            dealbreakers: normalizeDealbreakers(),
+            sources: [],
+            linkedinSearchMode: 'login',
             searchUrls: []
           },
         };
@@ -125,11 +280,11 @@ export function updatePlanTool(env, openai) {
       
       if (!currentPlan || Object.keys(currentPlan).length === 0) {
         // Creating a new plan
-        prompt = `Convert the following description into a JSON job search plan with these fields:\n- \"profile\": A concise summary of the job seeker's profile\n- \"searchTerms\": Array of search terms/keywords (each item should be a complete search query)\n- \"locations\": Array of location objects, each with:\n  - \"name\": Location name (city, state, country)\n  - \"geoId\": LinkedIn geographic ID if known (optional)\n  - \"type\": \"city\", \"country\", or \"remote\"\n  - \"distance\": Search radius in miles (for city searches, optional)\n- \"scanPrompt\": Instructions for evaluating job matches\n\nDescription:\n${description}\n\nRespond with ONLY the JSON object. No additional text.`;
+        prompt = `Convert the following description into a JSON job search plan with these fields:\n${describePlanFields()}\n\nDescription:\n${description}\n\nRespond with ONLY the JSON object. No additional text.`;
         systemMessage = 'You create structured job search plans.';
       } else {
         // Updating existing plan
-        prompt = `Update the following job search plan based on this change request: \"${description}\"\n\nCurrent plan:\n${JSON.stringify(currentPlan, null, 2)}\n\nProvide a complete updated JSON plan with these fields:\n- \"profile\": A concise summary of the job seeker's profile\n- \"searchTerms\": Array of search terms/keywords (each item should be a complete search query)\n- \"locations\": Array of location objects, each with:\n  - \"name\": Location name (city, state, country)\n  - \"geoId\": LinkedIn geographic ID if known (optional)\n  - \"type\": \"city\", \"country\", or \"remote\"\n  - \"distance\": Search radius in miles (for city searches, optional)\n- \"scanPrompt\": Instructions for evaluating job matches\n\nIncorporate the requested changes while preserving relevant existing information.\nRespond with ONLY the JSON object. No additional text.`;
+        prompt = `Update the following job search plan based on this change request: \"${description}\"\n\nCurrent plan:\n${JSON.stringify(currentPlan, null, 2)}\n\nProvide a complete updated JSON plan with these fields:\n${describePlanFields()}\n\nIncorporate the requested changes while preserving relevant existing information.\nRespond with ONLY the JSON object. No additional text.`;
         systemMessage = 'You update structured job search plans based on user requests.';
       }
       
@@ -156,15 +311,28 @@ export function updatePlanTool(env, openai) {
       plan.profile = plan.profile || description;
       plan.searchTerms = plan.searchTerms || [];
       plan.locations = plan.locations || [];
+      plan.filters = normalizeSearchFilters(plan.filters);
       plan.scanPrompt = plan.scanPrompt || description;
+      plan.scoringWeights = normalizeScoringWeights(plan.scoringWeights);
+      plan.dealbreakers = normalizeDealbreakers(plan.dealbreakers);
+      plan.sources = normalizeBoardSources(plan.sources);
+      plan.linkedinSearchMode = LINKEDIN_SEARCH_MODES.includes(plan.linkedinSearchMode) ? plan.linkedinSearchMode : 'login';
+      plan.locations = await resolvePlanLocations(env, plan.locations);
       
-      plan.searchUrls = generateSearchUrls(plan.searchTerms, plan.locations);
+      plan.searchUrls = generateSearchUrls(plan.searchTerms, plan.locations, plan.filters);
       plan.feedback = await generatePlanFeedback(plan, openai, env);
       
       await env.JOB_STORAGE.put("plan", JSON.stringify(plan));
       
       const isNewPlan = !currentPlan || Object.keys(currentPlan).length === 0;
-      const responseText = isNewPlan ? JSON.stringify(plan, null, 2) : "Plan updated.";
+      // Dealbreakers silently drop jobs, so echo the ones now in force
+      const dealbreakerText = describeDealbreakers(plan.dealbreakers);
+      // Existing scores were made against the old profile until they are re-scored
+      const profileChanged = !isNewPlan && getProfileHash(plan) !== getProfileHash(currentPlan);
+      const responseText = isNewPlan
+        ? JSON.stringify(plan, null, 2)
+        : `Plan updated.${dealbreakerText ? `\n\nDealbreakers:\n${dealbreakerText}` : ''}` +
+          (profileChanged ? `\n\nThe profile, scan prompt or scoring weights changed. Jobs already scored keep their old scores until you run rescore_jobs.` : '');
       
       return {
         content: [{ type: "text", text: responseText }],
@@ -178,3 +346,68 @@ export function updatePlanTool(env, openai) {
     }
   };
 }
+
+export function getResolveLocationTool(env) {
+  return {
+    name: "resolve_location",
+    description: TOOL_DESCRIPTIONS.RESOLVE_LOCATION,
+    args: {
+      name: z.string().describe(TOOL_ARGS.LOCATION_NAME),
+      geoId: z.string().regex(/^\d+$/).optional().describe(TOOL_ARGS.LOCATION_GEO_ID),
+      refresh: z.boolean().optional().describe(TOOL_ARGS.LOCATION_REFRESH)
+    },
+    handler: async ({ name, geoId, refresh = false }) => {
+      try {
+        const plan = await env.JOB_STORAGE.get("plan", "json");
+        const planLocation = plan?.locations?.find(loc => loc.name?.toLowerCase() === name.toLowerCase());
+
+        const resolved = geoId
+          ? await setGeoIdOverride(env, name, geoId)
+          : await resolveGeoId(env, name, { type: planLocation?.type, refresh });
+
+        if (!resolved) {
+          return {
+            content: [{ type: "text", text: `No LinkedIn geoId found for "${name}". Provide one with the geoId argument to set it manually.` }],
+            structuredContent: { name, resolved: null },
+            isError: true
+          };
+        }
+
+        // Apply the geoId to the matching plan location and regenerate its search URLs
+        let planUpdated = false;
+        if (planLocation && planLocation.geoId !== resolved.geoId) {
+          planLocation.geoId = resolved.geoId;
+          plan.searchUrls = generateSearchUrls(plan.searchTerms || [], plan.locations, plan.filters);
+          await env.JOB_STORAGE.put("plan", JSON.stringify(plan));
+          planUpdated = true;
+        }
+
+        let text = `Location "${name}" → geoId ${resolved.geoId}`;
+        if (resolved.displayName) text += ` (${resolved.displayName})`;
+        text += `\nSource: ${resolved.source}`;
+        if (resolved.alternatives?.length > 0) {
+          text += `\n\nOther matches:\n${resolved.alternatives.map(c => `- ${c.displayName}: ${c.geoId}`).join('\n')}`;
+        }
+        if (planUpdated) {
+          text += `\n\nPlan location updated and search URLs regenerated.`;
+        }
+
+        return {
+          content: [{ type: "text", text }],
+          structuredContent: { name, resolved, planUpdated }
+        };
+      } catch (error) {
+        console.error('Error resolving location:', error);
+        return {
+          content: [{ type: "text", text: `Error resolving location: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    options: {
+      title: "Resolve Location GeoId",
+      readOnlyHint: false,
+      openWorldHint: true
+    }
+  };
+}
@@ -0,0 +1,163 @@
+import { z } from "zod";
+
+import { TOOL_DESCRIPTIONS, TOOL_ARGS, TOOL_ERRORS, RESCORE } from './constants.js';
+import { saveProfileSnapshot } from './plan.js';
+import { analyzeJobPageWithLLM } from './job-analysis.js';
+import { buildCalibration } from './calibration.js';
+import { normalizeDealbreakers, checkAnalysisDealbreakers, buildExclusionChanges } from './dealbreakers.js';
+import { getJobContent, buildContentFromJob } from './job-content.js';
+
+// Re-score jobs against the current profile without fetching their pages again. The LLM analysis is re-run on
+// the cached page text, or on the fields extracted at deep scan when the page is no longer cached.
+
+// When a forced pass over the index began, and the jobs whose LLM call failed during it. Each forced call
+// re-scores jobs not re-scored since then, so repeated calls work through the index instead of picking the same
+// best matches again. Failed jobs are skipped for the rest of the pass; the pass ends once no others are left.
+const FORCE_PASS_KEY = 'rescore_force_pass';
+
+// Re-score one job. Returns the changes to store, or null if the LLM failed and the old score should stand.
+async function rescoreJob(agent, job, plan, { profileHash, dealbreakers, calibration }) {
+  const cached = await getJobContent(agent.env, job.id);
+  const pageContent = cached || buildContentFromJob(job);
+  const result = await analyzeJobPageWithLLM(agent, pageContent, job, plan.profile, plan.scanPrompt || '', plan.scoringWeights, calibration);
+  if (result.scoreSource === 'fallback' && job.scoreSource !== 'fallback') {
+    return null;
+  }
+
+  const rescoredFrom = cached ? 'cached_page' : 'stored_fields';
+  const changes = {
+    matchScore: result.matchScore || 0,
+    rawMatchScore: result.rawMatchScore ?? null,
+    matchReason: result.matchReason || '',
+    scoreBreakdown: result.scoreBreakdown || null,
+    scoreSource: result.scoreSource,
+    profileHash,
+    previousMatchScore: job.matchScore,
+    rescoredAt: new Date().toISOString(),
+    rescoredFrom,
+    analysisInputs: { ...result.analysisInputs, profileHash, contentSource: rescoredFrom }
+  };
+
+  // The plan's dealbreakers may have changed along with the profile. The posting text is only there while the
+  // page is cached; otherwise the stored description stands in for it.
+  const excluded = checkAnalysisDealbreakers(job, job, dealbreakers, pageContent.description);
+  return excluded ? { ...changes, ...buildExclusionChanges(excluded, 'rescore') } : changes;
+}
+
+export function getRescoreJobsTool(agent) {
+  return {
+    name: "rescore_jobs",
+    description: TOOL_DESCRIPTIONS.RESCORE_JOBS,
+    args: {
+      limit: z.number().int().min(1).max(RESCORE.MAX_BATCH).optional().describe(TOOL_ARGS.RESCORE_LIMIT),
+      force: z.boolean().optional().describe(TOOL_ARGS.RESCORE_FORCE)
+    },
+    handler: async ({ limit = RESCORE.DEFAULT_BATCH, force = false }) => {
+      try {
+        const plan = await agent.env.JOB_STORAGE.get('plan', 'json');
+        if (!plan || !plan.profile) {
+          return {
+            content: [{ type: "text", text: TOOL_ERRORS.DEEP_SCAN_NO_PLAN }],
+            isError: true
+          };
+        }
+
+        const profileHash = await saveProfileSnapshot(agent.env, plan);
+        const forcePass = force
+          ? await agent.env.JOB_STORAGE.get(FORCE_PASS_KEY, 'json') || { startedAt: new Date().toISOString(), failedIds: [] }
+          : null;
+        // Best matches first, so a partial run fixes the scores that matter most
+        const candidates = await agent.jobStore.listJobs({
+          scanStatus: 'completed',
+          excludeClosed: true,
+          excludeNotInterested: true,
+          staleForProfile: force ? undefined : profileHash,
+          orderBy: 'score'
+        });
+        const jobsToRescore = forcePass
+          ? candidates.filter(job => (!job.rescoredAt || job.rescoredAt < forcePass.startedAt) && !forcePass.failedIds.includes(job.id))
+          : candidates;
+        if (jobsToRescore.length === 0) {
+          if (forcePass) {
+            await agent.env.JOB_STORAGE.delete(FORCE_PASS_KEY);
+          }
+          return {
+            content: [{ type: "text", text: "All jobs are already scored against the current profile." }],
+            structuredContent: { rescored: 0, remaining: 0, profileHash }
+          };
+        }
+
+        const batch = jobsToRescore.slice(0, limit);
+        const options = {
+          profileHash,
+          dealbreakers: normalizeDealbreakers(plan.dealbreakers),
+          calibration: await buildCalibration(agent.jobStore)
+        };
+        const rescored = [];
+        const failed = [];
+        for (const job of batch) {
+          const changes = await rescoreJob(agent, job, plan, options);
+          if (!changes) {
+            failed.push(job);
+            continue;
+          }
+          rescored.push(await agent.jobStore.updateJob(job.id, changes));
+        }
+        if (rescored.length > 0) {
+          await agent.jobStore.setProfileHash(profileHash);
+        }
+
+        const fromCache = rescored.filter(job => job.rescoredFrom === 'cached_page').length;
+        const remaining = jobsToRescore.length - batch.length;
+        if (forcePass && remaining > 0) {
+          forcePass.failedIds.push(...failed.map(job => job.id));
+          await agent.env.JOB_STORAGE.put(FORCE_PASS_KEY, JSON.stringify(forcePass));
+        } else if (forcePass) {
+          await agent.env.JOB_STORAGE.delete(FORCE_PASS_KEY);
+        }
+        let text = `Re-scored ${rescored.length} job(s) against the current profile (${fromCache} from cached page text, ${rescored.length - fromCache} from stored descriptions).`;
+        if (failed.length > 0) {
+          text += ` ${failed.length} kept their old score because the LLM call failed${force ? '; they are skipped for the rest of this forced pass' : ''}.`;
+        }
+        const excluded = rescored.filter(job => job.scanStatus === 'excluded');
+        if (excluded.length > 0) {
+          text += ` ${excluded.length} now break a dealbreaker and were excluded.`;
+        }
+        if (remaining > 0) {
+          text += ` ${remaining} more to go; run rescore_jobs again${force ? ' with force' : ''}.`;
+        }
+
+        const changes = rescored
+          .filter(job => typeof job.previousMatchScore === 'number' && typeof job.matchScore === 'number')
+          .sort((a, b) => Math.abs(b.matchScore - b.previousMatchScore) - Math.abs(a.matchScore - a.previousMatchScore))
+          .slice(0, 5);
+        if (changes.length > 0) {
+          text += `\n\nBiggest changes:\n${changes.map(job => `• ${job.title} at ${job.company} [${job.id}]: ${job.previousMatchScore} → ${job.matchScore}`).join('\n')}`;
+        }
+
+        return {
+          content: [{ type: "text", text }],
+          structuredContent: {
+            rescored: rescored.length,
+            failed: failed.length,
+            excluded: excluded.length,
+            remaining,
+            profileHash,
+            jobs: rescored.map(job => ({ id: job.id, previousMatchScore: job.previousMatchScore, matchScore: job.matchScore, rescoredFrom: job.rescoredFrom }))
+          }
+        };
+      } catch (error) {
+        console.error('Error re-scoring jobs:', error);
+        return {
+          content: [{ type: "text", text: `Error re-scoring jobs: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    options: {
+      title: "Re-score Jobs",
+      readOnlyHint: false,
+      openWorldHint: false
+    }
+  };
+}
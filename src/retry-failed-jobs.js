@@ -0,0 +1,56 @@
+import { z } from "zod";
+
+import { TOOL_DESCRIPTIONS, TOOL_ARGS } from './constants.js';
+import { buildRequeueChanges } from './retry-policy.js';
+
+export function getRetryFailedJobsTool(agent) {
+  return {
+    name: "retry_failed_jobs",
+    description: TOOL_DESCRIPTIONS.RETRY_FAILED_JOBS,
+    args: {
+      errorType: z.string().optional().describe(TOOL_ARGS.FAILED_JOBS_ERROR_TYPE)
+    },
+    handler: async ({ errorType }) => {
+      try {
+        let failedJobs = await agent.jobStore.listJobs({ scanStatus: 'error', excludeNotInterested: true });
+
+        // Expired postings won't come back, so they are only requeued when asked for explicitly
+        failedJobs = errorType
+          ? failedJobs.filter(job => job.scanError?.reason === errorType)
+          : failedJobs.filter(job => job.scanError?.reason !== 'expired');
+
+        if (failedJobs.length === 0) {
+          const filterText = errorType ? ` with error type '${errorType}'` : '';
+          return {
+            content: [{ type: "text", text: `No failed jobs found${filterText}.` }],
+            structuredContent: { requeued: 0 }
+          };
+        }
+
+        for (const job of failedJobs) {
+          await agent.jobStore.updateJob(job.id, buildRequeueChanges());
+        }
+        console.log(`Requeued ${failedJobs.length} failed jobs for deep scanning`);
+
+        return {
+          content: [{ type: "text", text: `Requeued ${failedJobs.length} failed job(s) for deep scanning. They will be scanned in the next scan run ('scan', 'rescan' or the scheduled scan).` }],
+          structuredContent: {
+            requeued: failedJobs.length,
+            jobIds: failedJobs.map(job => job.id)
+          }
+        };
+      } catch (error) {
+        console.error('Error requeueing failed jobs:', error);
+        return {
+          content: [{ type: "text", text: `Error requeueing failed jobs: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    options: {
+      title: "Retry Failed Jobs",
+      readOnlyHint: false,
+      openWorldHint: false
+    }
+  };
+}
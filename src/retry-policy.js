@@ -0,0 +1,125 @@
+import { RETRY_POLICY } from './constants.js';
+
+// Error thrown for a non-2xx response while fetching a job page
+export class HttpError extends Error {
+  constructor(status, statusText, { retryAfter = null } = {}) {
+    super(`HTTP ${status}: ${statusText}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Error thrown when a job page was fetched but no usable content could be extracted from it
+export class ParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ParseError';
+  }
+}
+
+// Error reasons recorded on failed jobs, also accepted by the failed_jobs and retry_failed_jobs filters
+export const SCAN_ERROR_REASONS = ['http_timeout', 'http_error', 'network_error', 'parse_error', 'expired', 'unknown'];
+
+// HTTP statuses worth trying again later
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Classify a deep scan error. `transient` errors are retried on later runs, up to `maxAttempts` attempts in all
+// when the error gives its own cap.
+export function classifyScanError(error) {
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+    return { reason: 'http_timeout', transient: true };
+  }
+  if (error instanceof HttpError) {
+    // A removed posting answers 404/410
+    if (error.status === 404 || error.status === 410) {
+      return { reason: 'expired', status: error.status, transient: false };
+    }
+    return { reason: 'http_error', status: error.status, transient: TRANSIENT_STATUSES.includes(error.status) };
+  }
+  if (error instanceof ParseError) {
+    return { reason: 'parse_error', transient: true, maxAttempts: RETRY_POLICY.MAX_PARSE_ATTEMPTS };
+  }
+  // node-fetch reports DNS failures, resets and the like as FetchError
+  if (error.name === 'FetchError') {
+    return { reason: 'network_error', transient: true };
+  }
+  return { reason: 'unknown', transient: false };
+}
+
+// Delay before the given retry attempt (1-based), doubling each time up to the max
+export function getRetryDelay(attempt) {
+  return Math.min(RETRY_POLICY.BASE_DELAY * 2 ** (attempt - 1), RETRY_POLICY.MAX_DELAY);
+}
+
+// Append an attempt to a job's history, keeping only the most recent entries
+function recordAttempt(job, attempt) {
+  return [...(job.scanAttempts || []), attempt].slice(-RETRY_POLICY.MAX_HISTORY);
+}
+
+// Changes stored on a job after a successful deep scan
+export function buildScanSuccessChanges(job) {
+  const now = new Date().toISOString();
+  return {
+    scanAttempts: recordAttempt(job, { at: now, outcome: 'completed' }),
+    attemptCount: 0,
+    nextRetryAt: null,
+    scanError: null
+  };
+}
+
+// Changes stored on a job after a failed deep scan. Transient failures are requeued with backoff
+// until the job has used up its attempts; anything else is recorded as a permanent error.
+export function buildScanFailureChanges(job, error) {
+  const now = new Date();
+  const { reason, status, transient, maxAttempts = RETRY_POLICY.MAX_ATTEMPTS } = classifyScanError(error);
+  const attemptCount = (job.attemptCount || 0) + 1;
+  const scanError = {
+    type: error.name || 'Error',
+    message: error.message,
+    reason,
+    status: status || null,
+    timestamp: now.toISOString()
+  };
+  const scanAttempts = recordAttempt(job, {
+    at: scanError.timestamp,
+    outcome: 'error',
+    reason,
+    status: scanError.status,
+    message: error.message
+  });
+
+  if (transient && attemptCount < maxAttempts) {
+    const nextRetryAt = new Date(now.getTime() + getRetryDelay(attemptCount)).toISOString();
+    return {
+      scanned: false,
+      scanStatus: 'retry_pending',
+      scanError,
+      scanAttempts,
+      attemptCount,
+      nextRetryAt
+    };
+  }
+
+  return {
+    scanned: true,
+    scanDate: scanError.timestamp,
+    matchScore: 0,
+    matchReason: 'HTTP scan failed due to error',
+    scanStatus: 'error',
+    scanError,
+    scanAttempts,
+    attemptCount,
+    nextRetryAt: null
+  };
+}
+
+// Changes that put a failed job back in the deep scan queue with a fresh attempt budget
+export function buildRequeueChanges() {
+  return {
+    scanned: false,
+    scanStatus: 'retry_pending',
+    attemptCount: 0,
+    nextRetryAt: null
+  };
+}
@@ -1,198 +1,303 @@
-import { launch } from "@cloudflare/playwright";
-import { autoSendDigest, sendScanFailureNotification } from './digest.js';
-import { httpPerformDeepScan } from './http-deep-scan.js';
+import { autoSendDigest, sendScanFailureNotification, sendWatchedCompanyAlert } from './digest.js';
+import { httpPerformDeepScan, httpRecheckJobLifecycles } from './http-deep-scan.js';
 import { SCAN_CONFIG } from './constants.js';
+import { persistScanState } from './scan-state.js';
+import { buildRequeueChanges } from './retry-policy.js';
+import { normalizeDealbreakers, checkCardDealbreakers, buildExclusionChanges } from './dealbreakers.js';
+import { getCompanyLists, checkBlockedCompany, isCompanyWatched } from './company-lists.js';
+import { getSourceForUrl, buildSearchRequests } from './sources/index.js';
+import { fingerprintKey } from './fingerprint.js';
 
-// Generate a unique job ID from URL
-export function generateJobId(jobUrl) {
-  if (!jobUrl) return null;
-  // Extract job ID from LinkedIn URL (e.g., /view/123456/)
-  const match = jobUrl.match(/\/view\/(\d+)\//); 
-  return match ? match[1] : jobUrl.split('/').pop().split('?')[0];
-}
-
-// Store jobs for later deep scanning
-export async function storeJobsForDeepScan(env, jobs) {
+// Store jobs for later deep scanning. Returns the jobs that were not already indexed.
+export async function storeJobsForDeepScan(jobStore, jobs) {
   try {
-    // Get existing job index
-    const existingJobs = await env.JOB_STORAGE.get('job_index', 'json') || { jobs: [] };
-    
-    // Add new jobs, avoiding duplicates
-    const existingIds = new Set(existingJobs.jobs.map(j => j.id));
-    const newJobs = jobs.filter(job => job.id && !existingIds.has(job.id));
-    
+    const newJobs = await jobStore.insertNewJobs(jobs);
     if (newJobs.length > 0) {
-      existingJobs.jobs.push(...newJobs);
-      existingJobs.lastUpdate = new Date().toISOString();
-      
-      await env.JOB_STORAGE.put('job_index', JSON.stringify(existingJobs));
       console.log(`Stored ${newJobs.length} new jobs for deep scanning`);
     }
+    return newJobs;
   } catch (error) {
     console.error('Error storing jobs for deep scan:', error);
+    return [];
   }
 }
 
-// Main scan function
-export async function runScan(agent, url, options = {}) {
-  const { sendDigest = true } = options;
-  let browser = null;
-  
+// Search phase: collect postings from each search request through its source (see sources/index.js).
+// A source's search session (for LinkedIn, a logged-in browser or the guest listing) is started on its first request.
+// Postings from blocked companies or that break a plan dealbreaker are stored as excluded so they are never deep scanned.
+async function runSearchPhase(agent, urlsToProcess, { plan, dealbreakers, companyLists }) {
+  const sessions = new Map();
+
   try {
-    let urlsToProcess = [];
-    console.log('--- runScan invoked ---');
-    if (url) {
-      urlsToProcess.push({ url }); // Match the structure of plan.searchUrls
-    } else {
-      const plan = await agent.env.JOB_STORAGE.get('plan', 'json');
-      if (!plan || !plan.searchUrls || plan.searchUrls.length === 0) {
-        throw new Error('No URL provided and no searches found in the current plan.');
+    for (const scanUrl of urlsToProcess) {
+      if (agent.backgroundJobs.scan.cancelled) {
+        console.log('Search phase cancelled by user');
+        break;
       }
-      urlsToProcess = plan.searchUrls;
-      console.log('URLs to scan:', urlsToProcess.map(u => u.url));
-      console.log(`Loaded plan with ${plan.searchUrls.length} search URLs`);
-    }
 
-    agent.backgroundJobs.scan.status = 'running';
-    agent.backgroundJobs.scan.urlsToScan = urlsToProcess.map(u => u.url);
-
-    // Create browser instance for authenticated LinkedIn search (still needed for search results)
-    // Note: Deep scan phase now uses HTTP requests instead of browser
-    console.log('Launching browser for authenticated LinkedIn search phase...');
-    browser = await launch(agent.env.BROWSER);
-    const page = await browser.newPage();
-
-    // Block unnecessary resources to improve performance and reduce bandwidth
-    await page.route('**/*', (route) => {
-      const resourceType = route.request().resourceType();
-      const url = route.request().url();
-      
-      // Block images, stylesheets, fonts, and media files
-      if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
-        route.abort();
+      const source = getSourceForUrl(scanUrl.url);
+      if (!sessions.has(source.name)) {
+        sessions.set(source.name, await source.startSearch(agent, plan));
       }
-      // Block common tracking and analytics scripts
-      else if (url.includes('google-analytics') || url.includes('googletagmanager') || 
-               url.includes('facebook.com') || url.includes('doubleclick') ||
-               url.includes('ads') || url.includes('analytics')) {
-        route.abort();
-      }
-      else {
-        route.continue();
-      }
-    });
-    console.log('Resource blocking configured for improved performance');
-
-    // Login once at the beginning of the scan.
-    console.log('Navigating to LinkedIn login page...');
-    await page.goto('https://www.linkedin.com/login', { waitUntil: 'domcontentloaded' });
-
-    console.log('Entering login credentials...');
-    await page.type('#username', agent.env.LINKEDIN_EMAIL);
-    await page.type('#password', agent.env.LINKEDIN_PASSWORD);
-
-    console.log('Submitting login form...');
-    await page.click('button[type="submit"]');
-
-    console.log('Waiting for login to complete...');
-    await page.waitForNavigation({ waitUntil: 'networkidle' }).catch(e => console.log('Navigation timeout after login, continuing...'));
-
-    // Check for security verification right after login attempt
-    const postLoginUrl = page.url();
-    if (postLoginUrl.includes('checkpoint') || postLoginUrl.includes('security-verification')) {
-      console.log(`LinkedIn security check detected at ${postLoginUrl}. The scraper may fail.`);
-      agent.backgroundJobs.scan.error = 'LinkedIn security check detected. Manual login in a browser may be required.';
-      // It's probably not useful to continue if we hit a checkpoint.
-      throw new Error(agent.backgroundJobs.scan.error);
-    }
+      const session = sessions.get(source.name);
 
-    for (const scanUrl of urlsToProcess) {
-      console.log(`Navigating to job search URL: ${scanUrl.url}`);
-      await page.goto(scanUrl.url, { waitUntil: 'domcontentloaded' });
+      // A resumed scan continues after the last page visited for this URL
+      const pagesAlreadyVisited = agent.backgroundJobs.scan.pagesVisited[scanUrl.url] || 0;
+      agent.backgroundJobs.scan.pagesVisited[scanUrl.url] = pagesAlreadyVisited;
+      // Per-URL results for the scan history; a run that stops producing jobs here usually means broken selectors
+      const urlStats = { pages: 0, jobsFound: 0, newJobs: 0, duplicateJobs: 0, excludedJobs: 0, selectorSet: null, error: null };
+      agent.backgroundJobs.scan.urlStats[scanUrl.url] = urlStats;
 
-      const pageTitle = await page.title();
-      const pageUrl = page.url();
-      console.log(`Landed on page: "${pageTitle}" at URL: ${pageUrl}`);
+      const maxPages = session.maxPages || SCAN_CONFIG.MAX_SEARCH_PAGES;
+      for (let pageIndex = pagesAlreadyVisited; pageIndex < maxPages; pageIndex++) {
+        if (agent.backgroundJobs.scan.cancelled) {
+          break;
+        }
 
-      try {
-        // 1. Wait for the header to ensure the page is ready.
-        await page.waitForSelector('.jobs-search-results-list__header', { timeout: SCAN_CONFIG.PAGE_TIMEOUT });
-
-        // 2. Use the user-provided selector for job cards.
-        const jobSelector = '.job-card-list';
-        const jobs = await page.$$eval(jobSelector, (els) => {
-          // 3. Use the new data extraction logic based on the user's HTML.
-          return els.map(el => {
-            const titleEl = el.querySelector('a.job-card-list__title--link');
-            const companyEl = el.querySelector('.artdeco-entity-lockup__subtitle span');
-            // The location is in the first list item of the metadata.
-            const locationEl = el.querySelector('.job-card-container__metadata-wrapper li');
-
-            return {
-              title: titleEl?.innerText.trim() || null,
-              company: companyEl?.innerText.trim() || null,
-              location: locationEl?.innerText.trim().replace(/\n/g, ' ').replace(/\s+/g, ' ').trim() || null,
-              url: titleEl?.href ? titleEl.href.split('?')[0] : null,
-            };
-          });
-        });
+        const result = await session.listPage(scanUrl, pageIndex);
+        if (!result) {
+          // An empty page past the last result also has no job list, so only report it on the first page
+          if (pageIndex === 0) {
+            agent.backgroundJobs.scan.error = `Failed to find job list on page. The layout may have changed; run check_selectors to test the selectors against the saved page.`;
+            urlStats.error = 'job_list_not_found';
+          } else {
+            console.log(`No job list on page ${pageIndex + 1}, assuming end of results`);
+          }
+          break;
+        }
+        const jobs = result.postings;
+        if (result.error) {
+          urlStats.error = result.error;
+        }
+        // The selector set that read the page, for spotting layout changes before they break a search
+        urlStats.selectorSet = urlStats.selectorSet || result.selectorSet || null;
 
-        console.log(`Found ${jobs.length} jobs on this page.`);
+        agent.backgroundJobs.scan.pagesVisited[scanUrl.url]++;
+        console.log(`Found ${jobs.length} jobs on page ${pageIndex + 1}.`);
         agent.backgroundJobs.scan.totalJobsFound += jobs.length;
+        urlStats.pages++;
+        urlStats.jobsFound += jobs.length;
+
+        if (jobs.length === 0) {
+          await persistScanState(agent);
+          break;
+        }
 
-        // Store jobs for deep scanning
-        if (jobs.length > 0) {
-          const jobsWithId = jobs.map(job => ({
+        const jobsWithId = jobs.map(job => {
+          const cardJob = {
             ...job,
-            id: generateJobId(job.url),
             searchUrl: scanUrl.url,
             scanned: false,
             scanDate: null,
-            matchScore: null
-          }));
-          
-          // Store jobs in KV for later deep scan
-          await storeJobsForDeepScan(agent.env, jobsWithId);
+            matchScore: null,
+            watchedCompany: isCompanyWatched(companyLists, job.company)
+          };
+          const excluded = checkBlockedCompany(cardJob, companyLists) || checkCardDealbreakers(cardJob, dealbreakers);
+          return excluded ? { ...cardJob, ...buildExclusionChanges(excluded, 'search') } : cardJob;
+        });
+
+        // Store jobs in the job index for later deep scan
+        const newJobs = await storeJobsForDeepScan(agent.jobStore, jobsWithId);
+        const excludedCount = newJobs.filter(job => job.scanStatus === 'excluded').length;
+        if (excludedCount > 0) {
+          console.log(`Excluded ${excludedCount} new jobs on page ${pageIndex + 1} by blocked companies or dealbreakers`);
+        }
+        urlStats.newJobs += newJobs.length;
+        urlStats.excludedJobs += excludedCount;
+        urlStats.duplicateJobs += jobsWithId.length - newJobs.length;
+
+        // Closed jobs that are back in the results have been reposted
+        const newJobIds = new Set(newJobs.map(job => job.id));
+        const seenJobIds = jobsWithId.filter(job => job.id && !newJobIds.has(job.id)).map(job => job.id);
+        if (seenJobIds.length > 0) {
+          const repostedJobs = await agent.jobStore.markJobsSeen(seenJobIds);
+          if (repostedJobs.length > 0) {
+            console.log(`${repostedJobs.length} previously closed jobs have been reposted`);
+          }
+          // Reposted jobs are deep scanned again; those whose posting is unchanged keep their analysis
+          for (const job of repostedJobs.filter(job => ['completed', 'closed'].includes(job.scanStatus))) {
+            await agent.jobStore.updateJob(job.id, buildRequeueChanges());
+          }
+        }
+        await persistScanState(agent);
+
+        // Stop paging once a page holds nothing we haven't already indexed
+        if (newJobs.length === 0) {
+          console.log(`Page ${pageIndex + 1} only contains already indexed jobs, stopping pagination`);
+          break;
+        }
+
+        if (!result.hasMore) {
+          break;
         }
+      }
 
-      } catch (selectorError) {
-          console.log(`Could not find job list using the new selectors: ${selectorError.message}`);
-          agent.backgroundJobs.scan.error = `Failed to find job list on page. The layout may have changed.`;
+      // A URL cut short by cancellation is left unfinished so it can be resumed
+      if (agent.backgroundJobs.scan.cancelled) {
+        break;
       }
 
       agent.backgroundJobs.scan.scannedUrls.push(scanUrl.url);
-      console.log('Continuing to next step after trying to scrape...');
+      await persistScanState(agent);
+      console.log(`Visited ${agent.backgroundJobs.scan.pagesVisited[scanUrl.url]} page(s) for ${scanUrl.url}`);
+    }
+  } finally {
+    for (const session of sessions.values()) {
+      await session.close();
     }
+  }
+}
 
-    // After all search URLs are processed, start deep scan phase
-    console.log('Starting HTTP-based deep scan phase (no browser needed)...');
-    agent.backgroundJobs.scan.status = 'deep_scanning';
-    
-    // Use HTTP-based deep scan instead of browser-based approach
-    await httpPerformDeepScan(agent);
+// Drop jobs with the same title, company and location as a job indexed before this run, or as another of the
+// jobs. Clusters are only formed by the deep scan, which runs after the alert, so copies are matched on the card.
+async function dropIndexedCopies(jobStore, jobs, startTime) {
+  const seenKeys = new Set();
+  for (const company of new Set(jobs.map(job => job.company))) {
+    const companyJobs = await jobStore.listJobs({ company });
+    for (const job of companyJobs) {
+      if (job.firstSeenAt && job.firstSeenAt < startTime) {
+        seenKeys.add(fingerprintKey(job));
+      }
+    }
+  }
+  return jobs.filter(job => {
+    const key = fingerprintKey(job);
+    if (seenKeys.has(key)) return false;
+    seenKeys.add(key);
+    return true;
+  });
+}
+
+// Email an alert for new jobs from watched companies found by this run, without waiting for the digest
+async function alertWatchedCompanyJobs(agent) {
+  const scan = agent.backgroundJobs.scan;
+  const newJobs = await agent.jobStore.listJobs({ firstSeenAfter: scan.startTime });
+  // Copies of a role that was already indexed were alerted on (if at all) under the original job
+  const watchedJobs = await dropIndexedCopies(agent.jobStore,
+    newJobs.filter(job => job.watchedCompany && !job.watchAlertSentAt && job.scanStatus !== 'excluded'),
+    scan.startTime);
+  if (watchedJobs.length === 0) {
+    return;
+  }
+
+  const alertResult = await sendWatchedCompanyAlert(agent.env, watchedJobs);
+  if (alertResult.success) {
+    const sentAt = new Date().toISOString();
+    for (const job of watchedJobs) {
+      await agent.jobStore.updateJob(job.id, { watchAlertSentAt: sentAt });
+    }
+    console.log(`Sent watched company alert for ${watchedJobs.length} jobs`);
+  } else {
+    console.log(`Watched company alert not sent: ${alertResult.error}`);
+  }
+  scan.watchAlert = { jobs: watchedJobs.length, sent: Boolean(alertResult.success), error: alertResult.error || null };
+}
+
+// Main scan function
+// With options.resume, continues the run described by agent.backgroundJobs.scan instead of starting from the plan
+export async function runScan(agent, url, options = {}) {
+  const { sendDigest = true, resume = false } = options;
+  
+  try {
+    let urlsToProcess = [];
+    console.log('--- runScan invoked ---');
+    // Dealbreakers apply to every scan mode, including single-URL and resumed scans
+    const plan = await agent.env.JOB_STORAGE.get('plan', 'json');
+    const dealbreakers = normalizeDealbreakers(plan?.dealbreakers);
+    const companyLists = await getCompanyLists(agent.env);
+    // Requests carry source details (such as a job board's company name) that scan state doesn't keep
+    const planRequests = buildSearchRequests(plan);
+    const toRequest = u => planRequests.find(request => request.url === u) || { url: u };
+    if (resume) {
+      const { urlsToScan, scannedUrls } = agent.backgroundJobs.scan;
+      urlsToProcess = urlsToScan.filter(u => !scannedUrls.includes(u)).map(toRequest);
+      console.log(`Resuming scan with ${urlsToProcess.length} of ${urlsToScan.length} search URLs remaining`);
+    } else if (url) {
+      urlsToProcess.push(toRequest(url));
+    } else {
+      if (planRequests.length === 0) {
+        throw new Error('No URL provided and no searches or job boards found in the current plan.');
+      }
+      urlsToProcess = planRequests;
+      console.log('URLs to scan:', urlsToProcess.map(u => u.url));
+      console.log(`Loaded plan with ${planRequests.length} search URLs`);
+    }
+
+    agent.backgroundJobs.scan.status = 'running';
+    if (!resume) {
+      agent.backgroundJobs.scan.urlsToScan = urlsToProcess.map(u => u.url);
+      agent.backgroundJobs.scan.pagesVisited = {};
+    }
+    await persistScanState(agent);
+
+    // Search phase (skipped when resuming a scan that had finished searching)
+    if (urlsToProcess.length > 0) {
+      await runSearchPhase(agent, urlsToProcess, { plan, dealbreakers, companyLists });
+    }
+
+    // Watched companies are alerted on straight away, before the slower deep scan
+    if (!agent.backgroundJobs.scan.cancelled) {
+      await alertWatchedCompanyJobs(agent);
+      await persistScanState(agent);
+    }
+
+    if (!agent.backgroundJobs.scan.cancelled) {
+      // After all search URLs are processed, start deep scan phase
+      console.log('Starting HTTP-based deep scan phase (no browser needed)...');
+      agent.backgroundJobs.scan.status = 'deep_scanning';
+      await persistScanState(agent);
+      
+      // Use HTTP-based deep scan instead of browser-based approach
+      await httpPerformDeepScan(agent);
+      await agent.jobStore.setLastScanDate(new Date().toISOString());
+    }
+
+    // Periodically recheck already scanned jobs for closed postings
+    if (!agent.backgroundJobs.scan.cancelled) {
+      agent.backgroundJobs.scan.status = 'rechecking';
+      await persistScanState(agent);
+      await httpRecheckJobLifecycles(agent);
+    }
     
-    // Set status to completed before closing the browser to ensure state is updated.
-    agent.backgroundJobs.scan.status = 'completed';
     agent.backgroundJobs.scan.endTime = new Date().toISOString();
     agent.backgroundJobs.scan.inProgress = false;
+
+    if (agent.backgroundJobs.scan.cancelled) {
+      agent.backgroundJobs.scan.status = 'cancelled';
+      await persistScanState(agent);
+      console.log('Scan cancelled, skipping digest');
+      return;
+    }
+
+    agent.backgroundJobs.scan.status = 'completed';
+    await persistScanState(agent);
     
     console.log('Scan completed successfully');
     
     // Auto-send digest if requested
     if (sendDigest) {
-      const digestResult = await autoSendDigest(agent.env, { source: 'scan' });
+      const digestResult = await autoSendDigest(agent.env, agent.jobStore, { source: 'scan' });
       if (digestResult.success) {
         console.log(`Auto-digest sent successfully: ${digestResult.jobsSent} jobs`);
       } else {
         console.log(`Auto-digest failed: ${digestResult.error}`);
       }
+      agent.backgroundJobs.scan.digest = {
+        sent: Boolean(digestResult.success && digestResult.jobsSent > 0),
+        jobsSent: digestResult.jobsSent || 0,
+        error: digestResult.success ? null : digestResult.error
+      };
+    } else {
+      agent.backgroundJobs.scan.digest = { sent: false, skipped: true };
     }
+    await persistScanState(agent);
   } catch (error) {
     console.error('Error in runScan:', error);
     agent.backgroundJobs.scan.error = error.message;
     agent.backgroundJobs.scan.status = 'failed';
     agent.backgroundJobs.scan.inProgress = false;
     agent.backgroundJobs.scan.endTime = new Date().toISOString();
+    await persistScanState(agent);
     
     // Send failure notification email unless sendDigest is false
     if (sendDigest) {
@@ -207,18 +312,5 @@ export async function runScan(agent, url, options = {}) {
         console.error('Error sending failure notification:', digestError);
       }
     }
-  } finally {
-    // Ensure browser is always closed, even on error
-    if (browser) {
-      try {
-        console.log('Closing browser...');
-        await browser.close();
-        console.log('Browser closed successfully');
-      } catch (closeError) {
-        console.error('Error closing browser:', closeError.message);
-      }
-    }
   }
 }
-
-
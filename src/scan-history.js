@@ -0,0 +1,223 @@
+import { z } from "zod";
+
+import { TOOL_DESCRIPTIONS, TOOL_ARGS } from './constants.js';
+import { isScanInterrupted } from './scan-state.js';
+
+const SCAN_TRIGGERS = ['manual', 'rescan', 'cron', 'resume'];
+
+// Why a scan searched LinkedIn logged out when the plan asked to log in
+const GUEST_FALLBACK_REASONS = {
+  no_credentials: 'no LinkedIn credentials are set',
+  checkpoint: 'logging in hit a security check',
+  session_expired: 'the stored session had expired and no credentials are set'
+};
+
+// Reduce a stored scan state to the statistics shown in the history
+export function summarizeScanRun(state) {
+  const interrupted = isScanInterrupted(state);
+  const endTime = state.endTime || (interrupted ? state.heartbeatAt : null);
+  const urls = Object.entries(state.urlStats || {}).map(([url, stats]) => ({ url, ...stats }));
+  const totals = urls.reduce((sum, stats) => ({
+    jobsFound: sum.jobsFound + stats.jobsFound,
+    newJobs: sum.newJobs + stats.newJobs,
+    duplicateJobs: sum.duplicateJobs + stats.duplicateJobs
+  }), { jobsFound: 0, newJobs: 0, duplicateJobs: 0 });
+
+  return {
+    runId: state.runId,
+    trigger: state.trigger || 'manual',
+    status: interrupted ? 'interrupted' : state.status,
+    resumedFrom: state.resumedFrom || null,
+    startTime: state.startTime,
+    endTime,
+    durationSeconds: endTime ? Math.round((Date.parse(endTime) - Date.parse(state.startTime)) / 1000) : null,
+    urlsToScan: state.urlsToScan || [],
+    urls,
+    totals,
+    deepScan: {
+      total: state.deepScanProgress?.total || 0,
+      completed: state.deepScanProgress?.completed || 0,
+      errors: state.deepScanProgress?.errors || 0,
+      closed: state.deepScanProgress?.closed || 0
+    },
+    digest: state.digest || null,
+    linkedinSearch: state.linkedinSearch || null,
+    error: state.error || null
+  };
+}
+
+// Compare a run against an earlier one, URL by URL
+export function diffScanRuns(run, baseline) {
+  const baselineUrls = new Map(baseline.urls.map(stats => [stats.url, stats]));
+  const runUrls = new Map(run.urls.map(stats => [stats.url, stats]));
+
+  const urls = run.urls.map(stats => {
+    const before = baselineUrls.get(stats.url);
+    if (!before) {
+      return { url: stats.url, change: 'added', jobsFound: stats.jobsFound, newJobs: stats.newJobs };
+    }
+    let change = 'unchanged';
+    if (stats.error && !before.error) {
+      change = 'broken';
+    } else if (stats.jobsFound === 0 && before.jobsFound > 0) {
+      change = 'stopped_producing';
+    } else if (stats.jobsFound !== before.jobsFound) {
+      change = stats.jobsFound > before.jobsFound ? 'more_results' : 'fewer_results';
+    }
+    return {
+      url: stats.url,
+      change,
+      jobsFound: stats.jobsFound,
+      jobsFoundBefore: before.jobsFound,
+      newJobs: stats.newJobs,
+      newJobsBefore: before.newJobs,
+      error: stats.error
+    };
+  });
+  baseline.urls
+    .filter(stats => !runUrls.has(stats.url))
+    .forEach(stats => urls.push({
+      url: stats.url,
+      // Still part of the run but not reached, e.g. because it was cancelled
+      change: run.urlsToScan.includes(stats.url) ? 'not_scanned' : 'removed',
+      jobsFoundBefore: stats.jobsFound
+    }));
+
+  return {
+    runId: run.runId,
+    comparedTo: baseline.runId,
+    totals: {
+      jobsFound: run.totals.jobsFound - baseline.totals.jobsFound,
+      newJobs: run.totals.newJobs - baseline.totals.newJobs,
+      duplicateJobs: run.totals.duplicateJobs - baseline.totals.duplicateJobs
+    },
+    deepScan: {
+      completed: run.deepScan.completed - baseline.deepScan.completed,
+      errors: run.deepScan.errors - baseline.deepScan.errors
+    },
+    durationSeconds: run.durationSeconds !== null && baseline.durationSeconds !== null
+      ? run.durationSeconds - baseline.durationSeconds
+      : null,
+    urls
+  };
+}
+
+function formatRunLine(run) {
+  const duration = run.durationSeconds !== null ? `${run.durationSeconds}s` : 'running';
+  const digest = run.digest?.sent ? `digest sent (${run.digest.jobsSent} jobs)` : 'no digest';
+  return `${run.startTime} [${run.trigger}] ${run.status} - ${run.totals.jobsFound} jobs found ` +
+    `(${run.totals.newJobs} new, ${run.totals.duplicateJobs} duplicate), ` +
+    `deep scan ${run.deepScan.completed} ok / ${run.deepScan.errors} errors, ${duration}, ${digest} - ${run.runId}`;
+}
+
+function formatRunDetails(run) {
+  const lines = [formatRunLine(run)];
+  if (run.resumedFrom) lines.push(`Resumed from: ${run.resumedFrom}`);
+  if (run.linkedinSearch?.mode === 'guest') {
+    const reason = GUEST_FALLBACK_REASONS[run.linkedinSearch.fallbackReason];
+    lines.push(`LinkedIn searched as a guest${reason ? ` because ${reason}` : ''}`);
+  } else if (run.linkedinSearch?.session === 'restored') {
+    lines.push('LinkedIn searched with the stored session, without logging in');
+  }
+  if (run.linkedinSearch?.selectorVersion) lines.push(`Selector profiles: version ${run.linkedinSearch.selectorVersion}`);
+  if (run.error) lines.push(`Error: ${run.error}`);
+  run.urls.forEach(stats => {
+    const selectors = stats.selectorSet ? `, selectors "${stats.selectorSet}"` : '';
+    lines.push(`- ${stats.url}: ${stats.jobsFound} jobs on ${stats.pages} page(s), ${stats.newJobs} new, ${stats.duplicateJobs} duplicate${selectors}${stats.error ? ` [${stats.error}]` : ''}`);
+  });
+  const unvisited = run.urlsToScan.filter(url => !run.urls.some(stats => stats.url === url));
+  unvisited.forEach(url => lines.push(`- ${url}: not scanned in this run`));
+  return lines.join('\n');
+}
+
+function formatDiff(diff) {
+  const signed = n => (n > 0 ? `+${n}` : `${n}`);
+  const lines = [
+    `Run ${diff.runId} compared to ${diff.comparedTo}:`,
+    `Jobs found ${signed(diff.totals.jobsFound)}, new ${signed(diff.totals.newJobs)}, duplicate ${signed(diff.totals.duplicateJobs)}`,
+    `Deep scan completed ${signed(diff.deepScan.completed)}, errors ${signed(diff.deepScan.errors)}`
+  ];
+  if (diff.durationSeconds !== null) lines.push(`Duration ${signed(diff.durationSeconds)}s`);
+  diff.urls.forEach(stats => {
+    const counts = stats.jobsFoundBefore !== undefined && stats.jobsFound !== undefined
+      ? `${stats.jobsFoundBefore} -> ${stats.jobsFound} jobs`
+      : `${stats.jobsFound ?? stats.jobsFoundBefore} jobs`;
+    lines.push(`- [${stats.change}] ${stats.url}: ${counts}${stats.error ? ` [${stats.error}]` : ''}`);
+  });
+  return lines.join('\n');
+}
+
+export function getScanHistoryTool(agent) {
+  return {
+    name: "scan_history",
+    description: TOOL_DESCRIPTIONS.SCAN_HISTORY,
+    args: {
+      limit: z.number().int().min(1).max(100).optional().describe(TOOL_ARGS.SCAN_HISTORY_LIMIT),
+      trigger: z.enum(SCAN_TRIGGERS).optional().describe(TOOL_ARGS.SCAN_HISTORY_TRIGGER),
+      runId: z.string().optional().describe(TOOL_ARGS.SCAN_HISTORY_RUN_ID),
+      compareTo: z.string().optional().describe(TOOL_ARGS.SCAN_HISTORY_COMPARE_TO)
+    },
+    handler: async ({ limit = 10, trigger, runId, compareTo }) => {
+      try {
+        if (!runId && !compareTo) {
+          const runs = (await agent.jobStore.listScanRuns({ trigger, limit })).map(summarizeScanRun);
+          if (runs.length === 0) {
+            return {
+              content: [{ type: "text", text: "No scan runs recorded yet." }],
+              structuredContent: { runs: [] }
+            };
+          }
+          return {
+            content: [{ type: "text", text: `Last ${runs.length} scan run(s):\n${runs.map(formatRunLine).join('\n')}` }],
+            structuredContent: { runs }
+          };
+        }
+
+        const state = runId
+          ? await agent.jobStore.getScanRun(runId)
+          : (await agent.jobStore.listScanRuns({ trigger, limit: 1 }))[0];
+        if (!state) {
+          return {
+            content: [{ type: "text", text: runId ? `No scan run found with ID ${runId}.` : "No scan runs recorded yet." }],
+            isError: true
+          };
+        }
+        const run = summarizeScanRun(state);
+
+        if (!compareTo) {
+          return {
+            content: [{ type: "text", text: formatRunDetails(run) }],
+            structuredContent: { run }
+          };
+        }
+
+        const baselineState = compareTo === 'previous'
+          ? await agent.jobStore.getPreviousScanRun(run.runId)
+          : await agent.jobStore.getScanRun(compareTo);
+        if (!baselineState) {
+          return {
+            content: [{ type: "text", text: compareTo === 'previous' ? `No scan run before ${run.runId} to compare with.` : `No scan run found with ID ${compareTo}.` }],
+            isError: true
+          };
+        }
+        const diff = diffScanRuns(run, summarizeScanRun(baselineState));
+
+        return {
+          content: [{ type: "text", text: formatDiff(diff) }],
+          structuredContent: { diff }
+        };
+      } catch (error) {
+        console.error('Error reading scan history:', error);
+        return {
+          content: [{ type: "text", text: `Error reading scan history: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    options: {
+      title: "Scan History",
+      readOnlyHint: true,
+      openWorldHint: false
+    }
+  };
+}
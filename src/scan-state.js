@@ -0,0 +1,93 @@
+import { SCAN_CONFIG } from './constants.js';
+
+// Scan state is kept in the shared JobStore Durable Object so that status, cancellation and the
+// in-progress guard survive evictions and are visible from every MCP session and the cron trigger.
+// The Durable Object running the scan keeps a working copy in agent.backgroundJobs.scan and persists it.
+
+// Statuses a stopped scan can be resumed from
+export const RESUMABLE_STATUSES = ['interrupted', 'failed', 'cancelled'];
+
+// Build the initial state for a new scan run
+export function createScanState(fields = {}) {
+  const now = new Date().toISOString();
+  return {
+    runId: crypto.randomUUID(),
+    trigger: 'manual',
+    inProgress: true,
+    status: 'queued',
+    startTime: now,
+    endTime: null,
+    heartbeatAt: now,
+    urlsToScan: [],
+    scannedUrls: [],
+    totalJobsFound: 0,
+    pagesVisited: {},
+    urlStats: {},
+    error: null,
+    // How LinkedIn searches were read: { mode: 'login' | 'guest', fallbackReason, session: 'restored' | 'login' | null,
+    // selectorVersion }
+    linkedinSearch: null,
+    cancelled: false,
+    deepScanProgress: null,
+    digest: null,
+    ...fields
+  };
+}
+
+// A scan that claims to be running but has stopped sending heartbeats was cut off,
+// typically because the Durable Object running it was evicted or restarted
+export function isScanInterrupted(state) {
+  if (!state?.inProgress || !state.heartbeatAt) return false;
+  return Date.now() - Date.parse(state.heartbeatAt) > SCAN_CONFIG.SCAN_HEARTBEAT_TIMEOUT;
+}
+
+// Get the current scan state as seen from any session
+export async function getScanState(agent) {
+  const state = await agent.jobStore.getScanState();
+  if (!state) {
+    return { inProgress: false, status: 'idle', error: null };
+  }
+  if (isScanInterrupted(state)) {
+    return {
+      ...state,
+      inProgress: false,
+      status: 'interrupted',
+      interruptedDuring: state.status,
+      resumable: true
+    };
+  }
+  return {
+    ...state,
+    resumable: !state.inProgress && RESUMABLE_STATUSES.includes(state.status)
+  };
+}
+
+// Claim the scan for a new run and start tracking it in this Durable Object. Returns the new run's state, or
+// null when another scan is already running (see JobStore.claimScan).
+export async function startScanState(agent, fields = {}) {
+  const state = createScanState(fields);
+  const { claimed } = await agent.jobStore.claimScan(state);
+  if (!claimed) {
+    return null;
+  }
+  agent.backgroundJobs.scan = state;
+  return state;
+}
+
+// Persist the working copy of the scan running in this Durable Object.
+// Also picks up a cancellation requested from another session.
+export async function persistScanState(agent) {
+  const state = agent.backgroundJobs.scan;
+  state.heartbeatAt = new Date().toISOString();
+  try {
+    const saved = await agent.jobStore.saveScanState(state);
+    if (saved.cancelled && !state.cancelled) {
+      console.log('Scan cancellation requested from another session');
+      state.cancelled = true;
+      state.status = saved.status;
+    }
+  } catch (error) {
+    // Losing a heartbeat is not worth failing the scan over
+    console.error('Error persisting scan state:', error.message);
+  }
+}
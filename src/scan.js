@@ -1,5 +1,7 @@
 import { z } from "zod";
 import { runScan } from './scan-helpers.js';
+import { buildSearchRequests } from './sources/index.js';
+import { getScanState, startScanState } from './scan-state.js';
 import { TOOL_DESCRIPTIONS, TOOL_ARGS, TOOL_ERRORS } from './constants.js';
 
 export function getScanTool(agent) {
@@ -12,33 +14,21 @@ export function getScanTool(agent) {
     },
     handler: async ({ url, skipDigest = false }) => {
       const sendDigest = !skipDigest;
-      const { backgroundJobs, env } = agent;
-      if (backgroundJobs.scan.inProgress) {
+      const { env } = agent;
+      // Initialise scan job state, unless another scan is running
+      if (!await startScanState(agent, { trigger: 'manual' })) {
         return {
           content: [{ type: "text", text: "A scan is already in progress. Please wait for it to complete before starting a new one." }]
         };
       }
 
-      // Initialise scan job state
-      backgroundJobs.scan = {
-        inProgress: true,
-        status: 'queued',
-        startTime: new Date().toISOString(),
-        endTime: null,
-        scannedUrls: [],
-        totalJobsFound: 0,
-        error: null,
-        cancelled: false,
-        deepScanProgress: null
-      };
-
       // Determine URLs list for response
       let urlsList;
       if (url) {
         urlsList = [url];
       } else {
         const plan = await env.JOB_STORAGE.get("plan", "json");
-        urlsList = plan && plan.searchUrls ? plan.searchUrls.map(u => u.url) : [];
+        urlsList = buildSearchRequests(plan).map(request => request.url);
       }
 
       // Kick off scan in background (don't await)
@@ -66,28 +56,16 @@ export function getRescanTool(agent) {
     },
     handler: async ({ skipDigest = false }) => {
       const sendDigest = !skipDigest;
-      const { backgroundJobs } = agent;
-      if (backgroundJobs.scan.inProgress) {
+      // Initialize scan job state, unless another scan is running
+      if (!await startScanState(agent, { trigger: 'rescan' })) {
         return {
           content: [{ type: "text", text: "A scan is already in progress. Please wait for it to complete before starting a new one." }]
         };
       }
-      // Initialize scan job state
-      backgroundJobs.scan = {
-        inProgress: true,
-        status: 'queued',
-        startTime: new Date().toISOString(),
-        endTime: null,
-        scannedUrls: [],
-        totalJobsFound: 0,
-        error: null,
-        cancelled: false,
-        deepScanProgress: null
-      };
       
       // Determine URLs list
       const plan = await agent.env.JOB_STORAGE.get("plan", "json");
-      const urlsList = plan && plan.searchUrls ? plan.searchUrls.map(u => u.url) : [];
+      const urlsList = buildSearchRequests(plan).map(request => request.url);
 
       // Kick off scan again with no specific URL to use plan URLs
       runScan(agent, null, { sendDigest });
@@ -103,3 +81,58 @@ export function getRescanTool(agent) {
     }
   };
 }
+
+export function getResumeScanTool(agent) {
+  return {
+    name: "resume_scan",
+    description: TOOL_DESCRIPTIONS.RESUME_SCAN,
+    args: {
+      skipDigest: z.boolean().optional().describe(TOOL_ARGS.SCAN_SKIP_DIGEST)
+    },
+    handler: async ({ skipDigest = false }) => {
+      const sendDigest = !skipDigest;
+      const previousScan = await getScanState(agent);
+      if (previousScan.inProgress) {
+        return {
+          content: [{ type: "text", text: TOOL_ERRORS.SCAN_IN_PROGRESS }]
+        };
+      }
+      if (!previousScan.resumable || !previousScan.urlsToScan) {
+        return {
+          content: [{ type: "text", text: `The last scan (status: ${previousScan.status}) cannot be resumed. Use 'scan' or 'rescan' to start a new one.` }],
+          structuredContent: { resumed: false, previousStatus: previousScan.status }
+        };
+      }
+
+      // Carry over the search progress of the stopped run, unless another scan started in the meantime
+      const resumed = await startScanState(agent, {
+        trigger: 'resume',
+        resumedFrom: previousScan.runId,
+        urlsToScan: previousScan.urlsToScan,
+        scannedUrls: previousScan.scannedUrls || [],
+        pagesVisited: previousScan.pagesVisited || {},
+        totalJobsFound: previousScan.totalJobsFound || 0
+      });
+      if (!resumed) {
+        return {
+          content: [{ type: "text", text: TOOL_ERRORS.SCAN_IN_PROGRESS }]
+        };
+      }
+
+      const remainingUrls = previousScan.urlsToScan.filter(u => !(previousScan.scannedUrls || []).includes(u));
+
+      // Kick off scan in background (don't await)
+      runScan(agent, null, { sendDigest, resume: true });
+
+      return {
+        content: [{ type: "text", text: `Resuming ${previousScan.status} scan. ${remainingUrls.length} search URL(s) remaining${remainingUrls.length > 0 ? `:\n${remainingUrls.join('\n')}` : ''}\nPending jobs will then be deep scanned. Use the 'status' tool to check progress.` }],
+        structuredContent: { resumed: true, previousStatus: previousScan.status, remainingUrls }
+      };
+    },
+    options: {
+      title: "Resume Interrupted Scan",
+      readOnlyHint: false,
+      openWorldHint: true
+    }
+  };
+}
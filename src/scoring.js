@@ -0,0 +1,52 @@
+import { SCORING_DIMENSIONS } from './constants.js';
+
+// Merge plan weights over the defaults. Unknown dimensions and negative or non-numeric weights are dropped.
+export function normalizeScoringWeights(rawWeights) {
+  const weights = {};
+  for (const [name, definition] of Object.entries(SCORING_DIMENSIONS)) {
+    const weight = Number(rawWeights?.[name]);
+    weights[name] = rawWeights?.[name] !== undefined && Number.isFinite(weight) && weight >= 0
+      ? weight
+      : definition.weight;
+  }
+  return weights;
+}
+
+// Combine per-dimension scores ({ score, reason }) with weights into a breakdown stored on the job
+export function buildScoreBreakdown(dimensionScores, weights) {
+  const breakdown = {};
+  for (const name of Object.keys(SCORING_DIMENSIONS)) {
+    const dimension = dimensionScores?.[name];
+    const score = typeof dimension?.score === 'number' ? Math.max(0, Math.min(1, dimension.score)) : null;
+    breakdown[name] = {
+      score,
+      reason: dimension?.reason || '',
+      weight: weights[name]
+    };
+  }
+  return breakdown;
+}
+
+// Weighted average of the scored dimensions. Dimensions scored null (e.g. no salary listed) are left out
+// and the remaining weights rescaled. Returns null if nothing could be scored.
+export function computeMatchScore(breakdown) {
+  let weightedSum = 0;
+  let totalWeight = 0;
+  for (const { score, weight } of Object.values(breakdown || {})) {
+    if (score === null || !weight) continue;
+    weightedSum += score * weight;
+    totalWeight += weight;
+  }
+  return totalWeight > 0 ? Math.round((weightedSum / totalWeight) * 100) / 100 : null;
+}
+
+// One-line summary, e.g. "Skills 80%, Seniority 60%, Pay n/a"
+export function formatScoreBreakdown(breakdown) {
+  if (!breakdown) return '';
+  return Object.entries(breakdown)
+    .map(([name, { score }]) => {
+      const label = SCORING_DIMENSIONS[name]?.label || name;
+      return `${label} ${score === null ? 'n/a' : `${Math.round(score * 100)}%`}`;
+    })
+    .join(', ');
+}
@@ -0,0 +1,292 @@
+import { z } from "zod";
+import * as cheerio from 'cheerio';
+
+import { TOOL_DESCRIPTIONS, TOOL_ARGS, SELECTOR_PROFILES } from './constants.js';
+import { parseCardMetadata } from './card-metadata.js';
+
+// Selectors for reading job cards from LinkedIn search results, kept as data so they can be fixed without
+// redeploying. Each page type ('search' for the logged-in results page, 'guest' for the guest job listing) has
+// a list of selector sets tried in order; the first that finds job cards is used, and scans report its name.
+// The profiles in code are the defaults. Profiles saved with check_selectors are stored in KV under
+// `selector_profiles` and used instead, until the code ships defaults with a higher version than the defaults
+// they were saved over (their `baseVersion`).
+// A snapshot of the last page read (or the last page no set matched) is kept per page type under
+// `selector_snapshot:<pageType>`, for check_selectors to test selectors against.
+
+export const SELECTOR_PAGE_TYPES = ['search', 'guest'];
+
+// A selector set. `ready` is waited for before reading a logged-in page; `idAttribute` names an attribute of
+// the card (or an element in it) holding the job ID. `posted` finds the posted time (a <time> element by
+// default) and `salary` the salary snippet; without it the salary is looked for in the card's text.
+// A field's selector may list fallbacks separated by commas.
+export const selectorSetSchema = z.object({
+  name: z.string().min(1),
+  ready: z.string().optional(),
+  card: z.string().min(1),
+  title: z.string().min(1),
+  company: z.string().optional(),
+  location: z.string().optional(),
+  link: z.string().optional(),
+  idAttribute: z.string().optional(),
+  posted: z.string().optional(),
+  salary: z.string().optional()
+});
+
+export const DEFAULT_SELECTOR_PROFILES = {
+  version: 2,
+  pages: {
+    search: [
+      {
+        name: 'job-card-list',
+        ready: '.jobs-search-results-list__header',
+        card: '.job-card-list',
+        title: 'a.job-card-list__title--link',
+        company: '.artdeco-entity-lockup__subtitle span',
+        // The location is in the first list item of the metadata
+        location: '.job-card-container__metadata-wrapper li',
+        link: 'a.job-card-list__title--link'
+      },
+      {
+        name: 'job-card-container',
+        ready: '.scaffold-layout__list',
+        card: '.job-card-container',
+        title: 'a.job-card-container__link, a.job-card-list__title',
+        company: '.artdeco-entity-lockup__subtitle, .job-card-container__primary-description',
+        location: '.job-card-container__metadata-item, .artdeco-entity-lockup__caption li',
+        link: 'a.job-card-container__link, a.job-card-list__title',
+        idAttribute: 'data-job-id'
+      }
+    ],
+    guest: [
+      {
+        name: 'base-search-card',
+        card: '.base-search-card',
+        title: '.base-search-card__title',
+        company: '.base-search-card__subtitle',
+        location: '.job-search-card__location',
+        // Some layouts make the whole card the link
+        link: 'a.base-card__full-link, a.base-search-card__full-link',
+        idAttribute: 'data-entity-urn',
+        salary: '.job-search-card__salary-info'
+      },
+      {
+        name: 'job-search-card',
+        card: '.job-search-card, .base-card',
+        title: '.job-search-card__title, h3',
+        company: '.job-search-card__subtitle, h4',
+        location: '.job-search-card__location',
+        link: 'a[href*="/jobs/view/"]',
+        idAttribute: 'data-entity-urn',
+        salary: '.job-search-card__salary-info'
+      }
+    ]
+  }
+};
+
+const PROFILES_KEY = 'selector_profiles';
+
+function snapshotKey(pageType) {
+  return `selector_snapshot:${pageType}`;
+}
+
+// The selector profiles in use: the stored ones, unless the defaults in code are newer than the ones they
+// were saved over
+export async function getSelectorProfiles(env) {
+  const stored = await env.JOB_STORAGE.get(PROFILES_KEY, 'json');
+  if (stored && stored.baseVersion >= DEFAULT_SELECTOR_PROFILES.version) {
+    return { ...stored, pages: { ...DEFAULT_SELECTOR_PROFILES.pages, ...stored.pages }, stored: true };
+  }
+  return { ...DEFAULT_SELECTOR_PROFILES, stored: false };
+}
+
+// Store a page type's selector sets as a new version of the profiles. `version` only numbers the saves;
+// `baseVersion` is the version of the defaults in code they were made from.
+export async function saveSelectorSets(env, pageType, sets) {
+  const current = await getSelectorProfiles(env);
+  const profiles = {
+    version: current.version + 1,
+    baseVersion: DEFAULT_SELECTOR_PROFILES.version,
+    updatedAt: new Date().toISOString(),
+    pages: { ...current.pages, [pageType]: sets }
+  };
+  await env.JOB_STORAGE.put(PROFILES_KEY, JSON.stringify(profiles));
+  return profiles;
+}
+
+export async function saveSelectorSnapshot(env, pageType, snapshot) {
+  await env.JOB_STORAGE.put(snapshotKey(pageType), JSON.stringify({ ...snapshot, savedAt: new Date().toISOString() }), {
+    expirationTtl: SELECTOR_PROFILES.SNAPSHOT_TTL
+  });
+}
+
+export async function getSelectorSnapshot(env, pageType) {
+  return env.JOB_STORAGE.get(snapshotKey(pageType), 'json');
+}
+
+// The selector to wait for before reading a logged-in page: any set's ready element or cards
+export function readySelector(sets) {
+  return sets.map(set => set.ready || set.card).join(', ');
+}
+
+function collapse(text) {
+  return (text || '').replace(/\s+/g, ' ').trim() || null;
+}
+
+// The job ID in an attribute value (a bare ID or a URN such as urn:li:jobPosting:123) or a job link
+function parseJobId(value) {
+  return (value || '').match(/(?:jobPosting:|\/jobs\/view\/(?:[^/?#]*-)?)(\d+)/)?.[1] || (/^\d+$/.test(value || '') ? value : null);
+}
+
+// A card's text with a space between its elements, so badges such as "Promoted" and "Easy Apply" stay words
+function cardText($, card) {
+  return $(card).find('*').addBack().contents()
+    .filter((_, node) => node.type === 'text')
+    .map((_, node) => $(node).text())
+    .get()
+    .join(' ');
+}
+
+// Read the cards of one selector set. Cards are returned with their URL reduced to the canonical
+// /jobs/view/<id>/ form, so guest and logged-in searches give a job the same ID, and with the details
+// parsed from the rest of the card (see card-metadata.js).
+function readCards($, set, baseUrl) {
+  const cards = $(set.card).toArray();
+  const field = (card, selector) => selector ? $(card).find(selector).first() : null;
+  const now = Date.now();
+  const postings = cards.map(card => {
+    const linkElement = set.link ? field(card, set.link) : null;
+    const href = linkElement?.attr('href') || $(card).attr('href') || '';
+    const idValue = set.idAttribute
+      ? $(card).attr(set.idAttribute) || $(card).find(`[${set.idAttribute}]`).attr(set.idAttribute)
+      : null;
+    const jobId = parseJobId(idValue) || parseJobId(href);
+    const absoluteHref = href ? new URL(href, baseUrl).toString().split('?')[0] : null;
+    const postedElement = field(card, set.posted || 'time');
+    return {
+      title: collapse(field(card, set.title)?.text()),
+      company: collapse(field(card, set.company)?.text()),
+      location: collapse(field(card, set.location)?.text()),
+      url: jobId ? `https://www.linkedin.com/jobs/view/${jobId}/` : absoluteHref,
+      ...parseCardMetadata({
+        text: cardText($, card),
+        postedText: postedElement?.text(),
+        postedDatetime: postedElement?.attr('datetime'),
+        salaryText: field(card, set.salary)?.text()
+      }, now)
+    };
+  });
+  return { cardCount: cards.length, postings: postings.filter(posting => posting.url && posting.title) };
+}
+
+// Try each selector set on a page's HTML in order. Returns the first set that finds job cards with a title and
+// link as { set, cardCount, postings }, with `tried` listing every set's result, or `set: null` when none does.
+export function extractCards(html, sets, baseUrl = 'https://www.linkedin.com') {
+  const $ = cheerio.load(html);
+  const tried = [];
+  for (const set of sets) {
+    let result;
+    try {
+      result = readCards($, set, baseUrl);
+    } catch (error) {
+      tried.push({ name: set.name, cardCount: 0, postings: 0, error: error.message });
+      continue;
+    }
+    const fields = ['company', 'location', 'postedAt'].reduce((counts, name) => ({
+      ...counts,
+      [name]: result.postings.filter(posting => posting[name]).length
+    }), {});
+    tried.push({ name: set.name, cardCount: result.cardCount, postings: result.postings.length, fields });
+    if (result.postings.length > 0) {
+      return { set: set.name, cardCount: result.cardCount, postings: result.postings, tried };
+    }
+  }
+  return { set: null, cardCount: 0, postings: [], tried, empty: $.root().text().trim() === '' };
+}
+
+function formatTried(tried) {
+  return tried.map(result => {
+    if (result.error) return `- ${result.name}: invalid selector (${result.error})`;
+    const fields = result.postings > 0 ? `, ${result.fields.company} with company, ${result.fields.location} with location, ${result.fields.postedAt} with posted time` : '';
+    return `- ${result.name}: ${result.cardCount} card(s), ${result.postings} with title and link${fields}`;
+  }).join('\n');
+}
+
+export function getCheckSelectorsTool(agent) {
+  return {
+    name: "check_selectors",
+    description: TOOL_DESCRIPTIONS.CHECK_SELECTORS,
+    args: {
+      pageType: z.enum(SELECTOR_PAGE_TYPES).optional().describe(TOOL_ARGS.SELECTOR_PAGE_TYPE),
+      html: z.string().optional().describe(TOOL_ARGS.SELECTOR_HTML),
+      sets: z.array(selectorSetSchema).min(1).optional().describe(TOOL_ARGS.SELECTOR_SETS),
+      save: z.boolean().optional().describe(TOOL_ARGS.SELECTOR_SAVE)
+    },
+    handler: async ({ pageType = 'search', html, sets, save = false }) => {
+      try {
+        if (save && !sets) {
+          return {
+            content: [{ type: "text", text: "Pass the selector sets to save with the sets argument." }],
+            isError: true
+          };
+        }
+
+        const profiles = await getSelectorProfiles(agent.env);
+        const snapshot = html ? { html, url: null, savedAt: null } : await getSelectorSnapshot(agent.env, pageType);
+        const candidateSets = sets || profiles.pages[pageType];
+        let text = `Selector profiles version ${profiles.version} (${profiles.stored ? `stored, saved over defaults version ${profiles.baseVersion}` : 'defaults'}); checking ${sets ? 'the given' : 'the current'} ${pageType} sets.\n`;
+
+        if (!snapshot) {
+          text += `\nNo ${pageType} page snapshot is saved yet; one is kept after the next scan reads a ${pageType === 'guest' ? 'guest listing' : 'logged-in results page'}. Pass html to check a page you saved yourself.\n`;
+          text += `\nSets, in the order they're tried:\n${candidateSets.map(set => `- ${set.name}: ${set.card}`).join('\n')}`;
+          return {
+            content: [{ type: "text", text }],
+            structuredContent: { version: profiles.version, pageType, snapshot: null, matchedSet: null, tried: [] }
+          };
+        }
+
+        const result = extractCards(snapshot.html, candidateSets);
+        if (snapshot.savedAt) {
+          text += `Snapshot of ${snapshot.url} saved ${snapshot.savedAt}, when ${snapshot.matchedSet ? `set "${snapshot.matchedSet}" matched` : 'no set matched'}.\n`;
+        }
+        text += `\n${formatTried(result.tried)}\n\n`;
+        text += result.set
+          ? `Set "${result.set}" would be used, reading ${result.postings.length} job(s). First: ${result.postings[0].title} at ${result.postings[0].company || 'unknown company'}.`
+          : `No set finds job cards on this page${result.empty ? ' (the page is empty)' : ''}. Inspect the page HTML and pass new sets to check them.`;
+
+        let saved = null;
+        if (save) {
+          if (!result.set) {
+            text += `\n\nNothing was saved because none of the given sets matches the snapshot.`;
+          } else {
+            saved = await saveSelectorSets(agent.env, pageType, sets);
+            text += `\n\nSaved as selector profiles version ${saved.version}; the next scan uses them.`;
+          }
+        }
+
+        return {
+          content: [{ type: "text", text }],
+          structuredContent: {
+            version: saved?.version || profiles.version,
+            pageType,
+            snapshot: { url: snapshot.url, savedAt: snapshot.savedAt, matchedSet: snapshot.matchedSet ?? null },
+            matchedSet: result.set,
+            tried: result.tried,
+            sample: result.postings.slice(0, 3),
+            saved: Boolean(saved)
+          }
+        };
+      } catch (error) {
+        console.error('Error checking selectors:', error);
+        return {
+          content: [{ type: "text", text: `Error checking selectors: ${error.message}` }],
+          isError: true
+        };
+      }
+    },
+    options: {
+      title: "Check Search Selectors",
+      readOnlyHint: false,
+      openWorldHint: false
+    }
+  };
+}
@@ -0,0 +1,111 @@
+import { htmlToText } from '../linkedin-extract.js';
+import { JobClosedError } from '../lifecycle.js';
+import { getPlanBoards, boardCompany, createBoardSession, fetchPostingJson, buildBoardPageContent, toIsoDate } from './boards.js';
+
+// Ashby job boards, through the public Job Postings API (api.ashbyhq.com). A board is named by the path
+// segment after jobs.ashbyhq.com/ on the company's careers page. The API has no single-posting endpoint,
+// so a deep scan reads the posting from its board.
+
+const API_BASE = 'https://api.ashbyhq.com/posting-api/job-board';
+const API_PATTERN = /^https:\/\/api\.ashbyhq\.com\/posting-api\/job-board\/([^/?#]+)/;
+const JOB_URL_PATTERN = /^https?:\/\/jobs\.ashbyhq\.com\/([^/?#]+)\/([0-9a-f-]{36})/i;
+
+function searchUrl(board) {
+  return `${API_BASE}/${encodeURIComponent(board)}?includeCompensation=true`;
+}
+
+function jobId(board, id) {
+  return `ashby:${board}:${id}`;
+}
+
+function postingRef(job) {
+  if (job.sourceRef) return job.sourceRef;
+  const match = JOB_URL_PATTERN.exec(job.url || '');
+  if (!match) {
+    throw new Error(`Cannot tell the Ashby board and posting ID of ${job.url}`);
+  }
+  return { board: match[1], id: match[2] };
+}
+
+// "FullTime" → "Full time"
+function formatEmploymentType(type) {
+  if (!type) return null;
+  const words = type.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words[0].toUpperCase() + words.slice(1);
+}
+
+function listedJobs(data) {
+  return (data?.jobs || []).filter(job => job.isListed !== false);
+}
+
+function listPostings(data, request) {
+  const board = request.board || API_PATTERN.exec(request.url)[1];
+  return listedJobs(data).map(job => ({
+    id: jobId(board, job.id),
+    source: 'ashby',
+    sourceRef: { board, id: job.id },
+    title: job.title,
+    company: boardCompany(request, board),
+    location: job.location || null,
+    url: job.jobUrl,
+    postedAt: toIsoDate(job.publishedAt)
+  }));
+}
+
+// The board's postings. Given a scan run's cache, each board is fetched once per run however many of its jobs
+// are scanned; a failed fetch isn't kept, so a retry fetches the board again.
+function fetchBoard(board, runCache) {
+  if (!runCache) {
+    return fetchPostingJson(searchUrl(board));
+  }
+  const key = `ashby:${board}`;
+  if (!runCache.has(key)) {
+    const request = fetchPostingJson(searchUrl(board));
+    request.catch(() => runCache.delete(key));
+    runCache.set(key, request);
+  }
+  return runCache.get(key);
+}
+
+export const ashbySource = {
+  name: 'ashby',
+
+  matchesUrl(url) {
+    return API_PATTERN.test(url) || JOB_URL_PATTERN.test(url);
+  },
+
+  buildSearchRequests(plan) {
+    return getPlanBoards(plan, 'ashby', searchUrl);
+  },
+
+  async startSearch() {
+    return createBoardSession(listPostings);
+  },
+
+  // Always a full fetch: the board changes whenever any of its postings does
+  async fetchDetails(job, { runCache = null } = {}) {
+    const { board, id } = postingRef(job);
+    const { data } = await fetchBoard(board, runCache);
+    const posting = listedJobs(data).find(candidate => candidate.id === id);
+    if (!posting) {
+      throw new JobClosedError('not_found');
+    }
+    return buildBoardPageContent(job, {
+      title: posting.title,
+      location: [posting.location, posting.isRemote ? 'Remote' : null].filter(Boolean).join(' / ') || null,
+      descriptionText: posting.descriptionHtml ? htmlToText(posting.descriptionHtml) : (posting.descriptionPlain || ''),
+      criteria: {
+        employmentType: formatEmploymentType(posting.employmentType),
+        jobFunction: [posting.department, posting.team].filter(Boolean).join(', ')
+      },
+      postedAt: toIsoDate(posting.publishedAt),
+      salaryText: posting.compensation?.compensationTierSummary || null,
+      url: posting.jobUrl
+    });
+  },
+
+  jobIdFromUrl(url) {
+    const match = JOB_URL_PATTERN.exec(url);
+    return match ? jobId(match[1], match[2]) : null;
+  }
+};
@@ -0,0 +1,117 @@
+import fetch from 'node-fetch';
+import { HttpError, ParseError } from '../retry-policy.js';
+import { JobClosedError, detectClosedPosting } from '../lifecycle.js';
+import { hashPageContent } from '../job-content.js';
+import { formatPostingText, summarizePosting } from '../linkedin-extract.js';
+
+// Helpers shared by the public ATS job board sources (Greenhouse, Lever, Ashby). Their boards are JSON APIs
+// listing every open posting, so a board is one search request with a single page.
+
+// The plan's boards of one source type, as search requests
+export function getPlanBoards(plan, type, searchUrl) {
+  return (plan?.sources || [])
+    .filter(board => board.type === type)
+    .map(board => ({ url: searchUrl(board.board), source: type, board: board.board, company: board.company }));
+}
+
+// The company name for a board's jobs: the one given in the plan, or the board name
+export function boardCompany(request, board) {
+  return request.company || board;
+}
+
+// Fetch JSON from a board API. With validators from an earlier fetch, an unchanged response answers 304
+// and `notModified` is returned instead. Other non-2xx responses throw HttpError.
+export async function fetchBoardJson(url, validators = null) {
+  const headers = { 'Accept': 'application/json' };
+  if (validators?.etag) headers['If-None-Match'] = validators.etag;
+  if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+  const response = await fetch(url, { headers, signal: AbortSignal.timeout(30000) });
+  if (response.status === 304) {
+    return { notModified: true };
+  }
+  if (!response.ok) {
+    throw new HttpError(response.status, response.statusText, { retryAfter: response.headers.get('retry-after') });
+  }
+  return {
+    data: await response.json(),
+    validators: {
+      etag: response.headers.get('etag') || null,
+      lastModified: response.headers.get('last-modified') || null
+    }
+  };
+}
+
+// Fetch a single posting's JSON for a deep scan. A removed posting throws JobClosedError.
+export async function fetchPostingJson(url, validators = null) {
+  try {
+    return await fetchBoardJson(url, validators);
+  } catch (error) {
+    const closedReason = error instanceof HttpError ? detectClosedPosting({ status: error.status }) : null;
+    throw closedReason ? new JobClosedError(closedReason) : error;
+  }
+}
+
+// A search session for a board source: each request's board is fetched once, in full.
+// A board that can't be fetched is reported as the request's error rather than failing the scan.
+export function createBoardSession(listPostings) {
+  return {
+    async listPage(request, pageIndex) {
+      if (pageIndex > 0) {
+        return { postings: [], hasMore: false };
+      }
+      try {
+        const { data } = await fetchBoardJson(request.url);
+        return { postings: listPostings(data, request), hasMore: false };
+      } catch (error) {
+        console.log(`Could not fetch job board ${request.url}: ${error.message}`);
+        const boardMissing = error instanceof HttpError && error.status === 404;
+        return { postings: [], hasMore: false, error: boardMissing ? 'board_not_found' : 'board_fetch_failed' };
+      }
+    },
+    async close() {}
+  };
+}
+
+// Page content for the analysis, built from a board posting's fields the way LinkedIn pages are
+// (see parseJobPage in linkedin.js)
+export function buildBoardPageContent(job, { title, location, descriptionText, criteria = {}, postedAt = null, salaryText = null, url, validators = null }) {
+  if (!descriptionText) {
+    throw new ParseError('The posting has no description');
+  }
+  const posting = {
+    title,
+    company: job.company,
+    location,
+    descriptionText,
+    criteria: Object.fromEntries(Object.entries(criteria).filter(([, value]) => value)),
+    applicantText: null,
+    applicantCount: null,
+    postedText: null,
+    postedAt,
+    validThrough: null,
+    salaryText
+  };
+  const pageContent = {
+    title: title || job.title,
+    url: url || job.url,
+    fullContent: formatPostingText(posting),
+    description: descriptionText.replace(/\s+/g, ' ').trim(),
+    extraction: 'structured',
+    posting: summarizePosting(posting),
+    validators
+  };
+  pageContent.contentHash = hashPageContent(pageContent);
+  return pageContent;
+}
+
+// The result of a conditional posting fetch that found the posting unchanged
+export function notModifiedContent(cached, validators) {
+  return { ...(cached || {}), validators, notModified: true };
+}
+
+export function toIsoDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
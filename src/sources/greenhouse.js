@@ -0,0 +1,80 @@
+import { htmlToText } from '../linkedin-extract.js';
+import { getPlanBoards, boardCompany, createBoardSession, fetchPostingJson, buildBoardPageContent, notModifiedContent, toIsoDate } from './boards.js';
+
+// Greenhouse job boards, through the public Job Board API (boards-api.greenhouse.io). A board is named by
+// its token, the path segment after boards.greenhouse.io/ on the company's careers page.
+
+const API_BASE = 'https://boards-api.greenhouse.io/v1/boards';
+const API_PATTERN = /^https:\/\/boards-api\.greenhouse\.io\/v1\/boards\/([^/?#]+)/;
+const JOB_URL_PATTERN = /^https?:\/\/(?:boards|job-boards)(?:\.eu)?\.greenhouse\.io\/([^/?#]+)\/jobs\/(\d+)/;
+
+function searchUrl(board) {
+  return `${API_BASE}/${encodeURIComponent(board)}/jobs?content=true`;
+}
+
+function jobId(board, id) {
+  return `greenhouse:${board}:${id}`;
+}
+
+// The board and posting ID of a job, from where the search stored them or from its URL
+function postingRef(job) {
+  if (job.sourceRef) return job.sourceRef;
+  const match = JOB_URL_PATTERN.exec(job.url || '');
+  if (!match) {
+    throw new Error(`Cannot tell the Greenhouse board and job ID of ${job.url}`);
+  }
+  return { board: match[1], id: match[2] };
+}
+
+function listPostings(data, request) {
+  const board = request.board || API_PATTERN.exec(request.url)[1];
+  return (data.jobs || []).map(job => ({
+    id: jobId(board, job.id),
+    source: 'greenhouse',
+    sourceRef: { board, id: String(job.id) },
+    title: job.title,
+    company: boardCompany(request, board),
+    location: job.location?.name || null,
+    url: job.absolute_url,
+    postedAt: toIsoDate(job.first_published || job.updated_at)
+  }));
+}
+
+export const greenhouseSource = {
+  name: 'greenhouse',
+
+  matchesUrl(url) {
+    return API_PATTERN.test(url) || JOB_URL_PATTERN.test(url);
+  },
+
+  buildSearchRequests(plan) {
+    return getPlanBoards(plan, 'greenhouse', searchUrl);
+  },
+
+  async startSearch() {
+    return createBoardSession(listPostings);
+  },
+
+  async fetchDetails(job, { cached = null, validators = null } = {}) {
+    const { board, id } = postingRef(job);
+    const result = await fetchPostingJson(`${API_BASE}/${encodeURIComponent(board)}/jobs/${id}`, validators);
+    if (result.notModified) {
+      return notModifiedContent(cached, validators);
+    }
+    const posting = result.data;
+    return buildBoardPageContent(job, {
+      title: posting.title,
+      location: posting.location?.name || null,
+      descriptionText: htmlToText(posting.content),
+      criteria: { jobFunction: (posting.departments || []).map(department => department.name).join(', ') },
+      postedAt: toIsoDate(posting.first_published || posting.updated_at),
+      url: posting.absolute_url,
+      validators: result.validators
+    });
+  },
+
+  jobIdFromUrl(url) {
+    const match = JOB_URL_PATTERN.exec(url);
+    return match ? jobId(match[1], match[2]) : null;
+  }
+};
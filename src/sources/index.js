@@ -0,0 +1,66 @@
+import { linkedinSource } from './linkedin.js';
+import { greenhouseSource } from './greenhouse.js';
+import { leverSource } from './lever.js';
+import { ashbySource } from './ashby.js';
+
+// Job source adapters. Each source is an object with:
+//   name                          stored on its jobs as `source`
+//   matchesUrl(url)               whether a search request or posting URL belongs to the source
+//   buildSearchRequests(plan)     the search requests ({ url, ... }) the plan asks of the source
+//   startSearch(agent, plan)      a search session with listPage(request, pageIndex), resolving to
+//                                 { postings, hasMore, error } or null when the page holds no job list, and close().
+//                                 A session may set maxPages to read more or fewer pages than MAX_SEARCH_PAGES.
+//   fetchDetails(job, options)    the posting as page content for the analysis (see http-deep-scan.js), given
+//                                 { cached, validators } for a conditional fetch and { runCache }, a Map kept for
+//                                 one scan phase, for responses several jobs share. Closed postings throw JobClosedError.
+//   jobIdFromUrl(url)             the stable job ID of a posting URL, or null
+// Listed postings carry their stable `id` and `source`. Search requests are identified by their URL, which is
+// what scan state and history record.
+
+export const SOURCES = {
+  linkedin: linkedinSource,
+  greenhouse: greenhouseSource,
+  lever: leverSource,
+  ashby: ashbySource
+};
+
+// Sources a plan can enable per company in `plan.sources`
+export const BOARD_SOURCE_TYPES = ['greenhouse', 'lever', 'ashby'];
+
+// The source a search request or posting URL belongs to. LinkedIn is the default for URLs no source claims.
+export function getSourceForUrl(url) {
+  const board = BOARD_SOURCE_TYPES.map(type => SOURCES[type]).find(source => source.matchesUrl(url || ''));
+  return board || SOURCES.linkedin;
+}
+
+// The source a job came from. Jobs indexed before sources existed are LinkedIn jobs.
+export function getSourceForJob(job) {
+  return SOURCES[job.source] || getSourceForUrl(job.url);
+}
+
+// Generate a unique job ID from a posting URL
+export function generateJobId(jobUrl) {
+  if (!jobUrl) return null;
+  return getSourceForUrl(jobUrl).jobIdFromUrl(jobUrl);
+}
+
+// Every search request the plan asks for, across all sources
+export function buildSearchRequests(plan) {
+  return Object.values(SOURCES).flatMap(source => source.buildSearchRequests(plan));
+}
+
+// Validate the plan's company job boards: [{ type, board, company }]. A board may be given as its careers
+// page URL, in which case the board name is taken from the URL path.
+export function normalizeBoardSources(sources) {
+  if (!Array.isArray(sources)) return [];
+  return sources
+    .filter(source => source && BOARD_SOURCE_TYPES.includes(source.type) && typeof source.board === 'string')
+    .map(source => {
+      let board = source.board.trim();
+      if (/^https?:\/\//.test(board)) {
+        board = new URL(board).pathname.split('/').filter(Boolean)[0] || '';
+      }
+      return { type: source.type, board, company: (source.company || '').trim() || null };
+    })
+    .filter(source => source.board);
+}
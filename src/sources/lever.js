@@ -0,0 +1,95 @@
+import { htmlToText } from '../linkedin-extract.js';
+import { getPlanBoards, boardCompany, createBoardSession, fetchPostingJson, buildBoardPageContent, notModifiedContent, toIsoDate } from './boards.js';
+
+// Lever job boards, through the public Postings API (api.lever.co). A board is named by its site, the path
+// segment after jobs.lever.co/ on the company's careers page.
+
+const API_BASE = 'https://api.lever.co/v0/postings';
+const API_PATTERN = /^https:\/\/api\.lever\.co\/v0\/postings\/([^/?#]+)/;
+const JOB_URL_PATTERN = /^https?:\/\/jobs\.lever\.co\/([^/?#]+)\/([0-9a-f-]{36})/i;
+
+function searchUrl(site) {
+  return `${API_BASE}/${encodeURIComponent(site)}?mode=json`;
+}
+
+function jobId(site, id) {
+  return `lever:${site}:${id}`;
+}
+
+function postingRef(job) {
+  if (job.sourceRef) return job.sourceRef;
+  const match = JOB_URL_PATTERN.exec(job.url || '');
+  if (!match) {
+    throw new Error(`Cannot tell the Lever site and posting ID of ${job.url}`);
+  }
+  return { board: match[1], id: match[2] };
+}
+
+// The posting's description, requirement lists and closing notes as one HTML document
+function postingHtml(posting) {
+  const lists = (posting.lists || []).map(list => `<h3>${list.text}</h3><ul>${list.content}</ul>`);
+  return [posting.description || posting.descriptionPlain || '', ...lists, posting.additional || ''].join('\n');
+}
+
+function formatSalaryRange(range) {
+  if (!range || (range.min == null && range.max == null)) return null;
+  const amounts = [range.min, range.max].filter(amount => amount != null).map(amount => amount.toLocaleString('en-US'));
+  return `${range.currency || ''} ${amounts.join(' - ')}${range.interval ? ` ${range.interval.replace(/-/g, ' ')}` : ''}`.trim();
+}
+
+function listPostings(data, request) {
+  const site = request.board || API_PATTERN.exec(request.url)[1];
+  return (Array.isArray(data) ? data : []).map(posting => ({
+    id: jobId(site, posting.id),
+    source: 'lever',
+    sourceRef: { board: site, id: posting.id },
+    title: posting.text,
+    company: boardCompany(request, site),
+    location: posting.categories?.location || null,
+    url: posting.hostedUrl,
+    postedAt: toIsoDate(posting.createdAt)
+  }));
+}
+
+export const leverSource = {
+  name: 'lever',
+
+  matchesUrl(url) {
+    return API_PATTERN.test(url) || JOB_URL_PATTERN.test(url);
+  },
+
+  buildSearchRequests(plan) {
+    return getPlanBoards(plan, 'lever', searchUrl);
+  },
+
+  async startSearch() {
+    return createBoardSession(listPostings);
+  },
+
+  async fetchDetails(job, { cached = null, validators = null } = {}) {
+    const { board, id } = postingRef(job);
+    const result = await fetchPostingJson(`${API_BASE}/${encodeURIComponent(board)}/${id}`, validators);
+    if (result.notModified) {
+      return notModifiedContent(cached, validators);
+    }
+    const posting = result.data;
+    return buildBoardPageContent(job, {
+      title: posting.text,
+      location: posting.categories?.location || null,
+      descriptionText: htmlToText(postingHtml(posting)),
+      criteria: {
+        employmentType: posting.categories?.commitment,
+        jobFunction: [posting.categories?.department, posting.categories?.team].filter(Boolean).join(', ')
+      },
+      postedAt: toIsoDate(posting.createdAt),
+      salaryText: formatSalaryRange(posting.salaryRange),
+      url: posting.hostedUrl,
+      validators: result.validators
+    });
+  },
+
+  jobIdFromUrl(url) {
+    const match = JOB_URL_PATTERN.exec(url);
+    return match ? jobId(match[1], match[2]) : null;
+  }
+};
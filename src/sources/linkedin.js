@@ -0,0 +1,489 @@
+import fetch from 'node-fetch';
+import * as cheerio from 'cheerio';
+import { launch } from "@cloudflare/playwright";
+import { SCAN_CONFIG } from '../constants.js';
+import { HttpError, ParseError } from '../retry-policy.js';
+import { JobClosedError, detectClosedPosting } from '../lifecycle.js';
+import { hashPageContent } from '../job-content.js';
+import { extractLinkedInPosting, formatPostingText, summarizePosting } from '../linkedin-extract.js';
+import { loadLinkedInSession, saveLinkedInSession, clearLinkedInSession, isLoggedOutUrl } from '../linkedin-session.js';
+import { getSelectorProfiles, saveSelectorSnapshot, extractCards, readySelector } from '../selector-profiles.js';
+
+// LinkedIn: search result pages read with a logged-in browser, or fetched logged out from LinkedIn's guest
+// job listing, and job pages fetched over plain HTTP.
+// Searches are the plan's `searchUrls`, built from its search terms, locations and filters (see plan.js).
+
+// How a plan's searches are read (`plan.linkedinSearchMode`)
+export const LINKEDIN_SEARCH_MODES = ['login', 'guest'];
+
+// The listing LinkedIn's public jobs pages load more results from. It takes the search page's query parameters
+// and returns the job cards as an HTML fragment.
+const GUEST_SEARCH_URL = 'https://www.linkedin.com/jobs-guest/jobs/api/seeMoreJobPostings/search';
+
+const BROWSER_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.5',
+  'Accept-Encoding': 'gzip, deflate, br',
+  'DNT': '1',
+  'Connection': 'keep-alive',
+  'Upgrade-Insecure-Requests': '1',
+  'Sec-Fetch-Dest': 'document',
+  'Sec-Fetch-Mode': 'navigate',
+  'Sec-Fetch-Site': 'none',
+  'Cache-Control': 'max-age=0'
+};
+
+// Generate a unique job ID from URL
+function jobIdFromUrl(jobUrl) {
+  if (!jobUrl) return null;
+  // Extract job ID from LinkedIn URL (e.g., /view/123456/)
+  const match = jobUrl.match(/\/view\/(\d+)\//); 
+  return match ? match[1] : jobUrl.split('/').pop().split('?')[0];
+}
+
+// Read the pagination offset already present on a search URL
+function getSearchStartOffset(searchUrl) {
+  const start = parseInt(new URL(searchUrl).searchParams.get('start'), 10);
+  return Number.isNaN(start) ? 0 : start;
+}
+
+// Build the URL for a given results offset using LinkedIn's `start` parameter
+function buildSearchPageUrl(searchUrl, start) {
+  const pageUrl = new URL(searchUrl);
+  if (start > 0) {
+    pageUrl.searchParams.set('start', String(start));
+  } else {
+    pageUrl.searchParams.delete('start');
+  }
+  return pageUrl.toString();
+}
+
+function hasCredentials(env) {
+  return Boolean(env.LINKEDIN_EMAIL && env.LINKEDIN_PASSWORD);
+}
+
+// Start a search session in the plan's search mode, recording the mode used in the scan state.
+// Logging in falls back to the guest listing when there is neither a stored session nor credentials, the stored
+// session has expired and there are no credentials to log in again, or LinkedIn asks for a security check.
+async function startSearch(agent, plan) {
+  const mode = LINKEDIN_SEARCH_MODES.includes(plan?.linkedinSearchMode) ? plan.linkedinSearchMode : 'login';
+  const profiles = await getSelectorProfiles(agent.env);
+  const storedSession = mode === 'login' ? await loadLinkedInSession(agent.env) : null;
+  let fallbackReason = null;
+  if (mode === 'guest') {
+    console.log('Plan uses guest search, reading LinkedIn results without logging in');
+  } else if (!storedSession && !hasCredentials(agent.env)) {
+    console.log('No LinkedIn credentials set, reading results without logging in');
+    fallbackReason = 'no_credentials';
+  } else {
+    try {
+      const { browser, page, sessionUsed } = await startBrowserSearch(agent, storedSession);
+      agent.backgroundJobs.scan.linkedinSearch = { mode: 'login', fallbackReason: null, session: sessionUsed, selectorVersion: profiles.version };
+      return createBrowserSearchSession(browser, page, createCardReader(agent, profiles, 'search'));
+    } catch (error) {
+      if (!(error instanceof CheckpointError) && !(error instanceof SessionExpiredError)) throw error;
+      console.log(`${error.message} Falling back to guest search.`);
+      fallbackReason = error instanceof CheckpointError ? 'checkpoint' : 'session_expired';
+    }
+  }
+  agent.backgroundJobs.scan.linkedinSearch = { mode: 'guest', fallbackReason, session: null, selectorVersion: profiles.version };
+  return createGuestSearchSession(createCardReader(agent, profiles, 'guest'));
+}
+
+// LinkedIn asked for a security check after logging in
+class CheckpointError extends Error {
+  constructor(url) {
+    super(`LinkedIn security check detected at ${url}.`);
+    this.name = 'CheckpointError';
+  }
+}
+
+// The stored session is no longer logged in and there are no credentials to log in with
+class SessionExpiredError extends Error {
+  constructor() {
+    super('The stored LinkedIn session has expired and no credentials are set.');
+    this.name = 'SessionExpiredError';
+  }
+}
+
+// Whether the browser's cookies are logged in: the feed sends logged-out visitors to the login page or authwall
+async function isSessionValid(page) {
+  await page.goto('https://www.linkedin.com/feed/', { waitUntil: 'domcontentloaded' });
+  return !isLoggedOutUrl(page.url());
+}
+
+// Open LinkedIn in a new browser and log in, returning the browser and page with `sessionUsed` telling how it
+// got logged in: 'restored' from the stored session, or 'login' with the credentials.
+// The stored session is checked first, and the browser's session is stored again afterwards for the next scan.
+// A security checkpoint after logging in throws CheckpointError.
+async function startBrowserSearch(agent, storedSession) {
+  // Create browser instance for authenticated LinkedIn search (still needed for search results)
+  // Note: Deep scan phase now uses HTTP requests instead of browser
+  console.log('Launching browser for authenticated LinkedIn search phase...');
+  const browser = await launch(agent.env.BROWSER);
+
+  try {
+    const page = await browser.newPage();
+
+    // Block unnecessary resources to improve performance and reduce bandwidth
+    await page.route('**/*', (route) => {
+      const resourceType = route.request().resourceType();
+      const url = route.request().url();
+      
+      // Block images, stylesheets, fonts, and media files
+      if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
+        route.abort();
+      }
+      // Block common tracking and analytics scripts
+      else if (url.includes('google-analytics') || url.includes('googletagmanager') || 
+               url.includes('facebook.com') || url.includes('doubleclick') ||
+               url.includes('ads') || url.includes('analytics')) {
+        route.abort();
+      }
+      else {
+        route.continue();
+      }
+    });
+    console.log('Resource blocking configured for improved performance');
+
+    let sessionUsed = null;
+    if (storedSession) {
+      console.log(`Restoring the LinkedIn session stored at ${storedSession.savedAt}...`);
+      await page.context().addCookies(storedSession.cookies);
+      if (await isSessionValid(page)) {
+        console.log('Stored LinkedIn session is still logged in, skipping login');
+        sessionUsed = 'restored';
+      } else {
+        console.log(`Stored LinkedIn session is no longer logged in (landed on ${page.url()})`);
+        await page.context().clearCookies();
+        await clearLinkedInSession(agent.env);
+        if (!hasCredentials(agent.env)) {
+          throw new SessionExpiredError();
+        }
+      }
+    }
+
+    if (!sessionUsed) {
+      await logIn(agent, page);
+      sessionUsed = 'login';
+    }
+
+    // Store the session again, picking up any cookies LinkedIn rotated, so the next scan can skip logging in
+    try {
+      const source = sessionUsed === 'restored' ? storedSession.source : 'login';
+      await saveLinkedInSession(agent.env, await page.context().cookies(), source);
+    } catch (saveError) {
+      console.error('Could not store the LinkedIn session:', saveError.message);
+    }
+
+    return { browser, page, sessionUsed };
+  } catch (error) {
+    await closeBrowser(browser);
+    throw error;
+  }
+}
+
+// Log in with the configured credentials. A security checkpoint after logging in throws CheckpointError.
+async function logIn(agent, page) {
+  // Login once at the beginning of the scan.
+  console.log('Navigating to LinkedIn login page...');
+  await page.goto('https://www.linkedin.com/login', { waitUntil: 'domcontentloaded' });
+
+  console.log('Entering login credentials...');
+  await page.type('#username', agent.env.LINKEDIN_EMAIL);
+  await page.type('#password', agent.env.LINKEDIN_PASSWORD);
+
+  console.log('Submitting login form...');
+  await page.click('button[type="submit"]');
+
+  console.log('Waiting for login to complete...');
+  await page.waitForNavigation({ waitUntil: 'networkidle' }).catch(e => console.log('Navigation timeout after login, continuing...'));
+
+  // Check for security verification right after login attempt
+  const postLoginUrl = page.url();
+  if (postLoginUrl.includes('checkpoint') || postLoginUrl.includes('security-verification')) {
+    // It's probably not useful to continue if we hit a checkpoint.
+    throw new CheckpointError(postLoginUrl);
+  }
+}
+
+// Read a search page's job cards with the page type's selector sets (see selector-profiles.js). The first page
+// read in a scan is kept as the page type's snapshot for check_selectors, as is a first page no set matches.
+function createCardReader(agent, profiles, pageType) {
+  const sets = profiles.pages[pageType];
+  let snapshotSaved = false;
+  return {
+    sets,
+    async read(html, url, pageIndex) {
+      const result = extractCards(html, sets);
+      if (!snapshotSaved || (!result.set && !result.empty && pageIndex === 0)) {
+        try {
+          await saveSelectorSnapshot(agent.env, pageType, { html, url, matchedSet: result.set, version: profiles.version });
+          snapshotSaved = true;
+        } catch (snapshotError) {
+          console.error('Could not save the search page snapshot:', snapshotError.message);
+        }
+      }
+      if (result.set) {
+        console.log(`Read ${result.postings.length} of ${result.cardCount} job cards with selector set "${result.set}"`);
+      } else if (!result.empty) {
+        console.log(`No ${pageType} selector set (version ${profiles.version}) found job cards: ${result.tried.map(tried => `${tried.name} ${tried.cardCount} card(s)`).join(', ')}`);
+      }
+      return result;
+    }
+  };
+}
+
+function toPostings(cards) {
+  return cards.map(card => ({ ...card, id: jobIdFromUrl(card.url), source: 'linkedin' }));
+}
+
+function createBrowserSearchSession(browser, page, cardReader) {
+  return {
+    // The job cards on one page of a search, or null when the page has no job list
+    async listPage(request, pageIndex) {
+      const pageUrl = buildSearchPageUrl(request.url, getSearchStartOffset(request.url) + pageIndex * SCAN_CONFIG.SEARCH_PAGE_SIZE);
+      console.log(`Navigating to job search URL (page ${pageIndex + 1}): ${pageUrl}`);
+      await page.goto(pageUrl, { waitUntil: 'domcontentloaded' });
+
+      const pageTitle = await page.title();
+      const landedUrl = page.url();
+      console.log(`Landed on page: "${pageTitle}" at URL: ${landedUrl}`);
+
+      try {
+        // Wait for any selector set's job list to ensure the page is ready
+        await page.waitForSelector(readySelector(cardReader.sets), { timeout: SCAN_CONFIG.PAGE_TIMEOUT });
+      } catch (selectorError) {
+        console.log(`Could not find job list using the current selectors: ${selectorError.message}`);
+        await cardReader.read(await page.content(), landedUrl, pageIndex);
+        return null;
+      }
+
+      const result = await cardReader.read(await page.content(), landedUrl, pageIndex);
+      if (!result.set) {
+        return null;
+      }
+      return {
+        postings: toPostings(result.postings),
+        // A short page means there are no further results
+        hasMore: result.cardCount >= SCAN_CONFIG.SEARCH_PAGE_SIZE,
+        selectorSet: result.set
+      };
+    },
+
+    async close() {
+      await closeBrowser(browser);
+    }
+  };
+}
+
+// The guest listing URL for one page of a search
+function buildGuestSearchUrl(searchUrl, start) {
+  const guestUrl = new URL(GUEST_SEARCH_URL);
+  new URL(searchUrl).searchParams.forEach((value, name) => guestUrl.searchParams.set(name, value));
+  guestUrl.searchParams.set('start', String(start));
+  return guestUrl.toString();
+}
+
+// A search session reading the guest listing over plain HTTP, without logging in or a browser.
+// The listing has smaller pages than the logged-in search, so more of them are read for the same number of results.
+function createGuestSearchSession(cardReader) {
+  return {
+    maxPages: Math.ceil(SCAN_CONFIG.MAX_SEARCH_PAGES * SCAN_CONFIG.SEARCH_PAGE_SIZE / SCAN_CONFIG.GUEST_SEARCH_PAGE_SIZE),
+
+    async listPage(request, pageIndex) {
+      const pageUrl = buildGuestSearchUrl(request.url, getSearchStartOffset(request.url) + pageIndex * SCAN_CONFIG.GUEST_SEARCH_PAGE_SIZE);
+      console.log(`Fetching guest job listing (page ${pageIndex + 1}): ${pageUrl}`);
+      let html;
+      try {
+        const response = await fetch(pageUrl, { headers: BROWSER_HEADERS, signal: AbortSignal.timeout(30000) });
+        if (!response.ok) {
+          throw new HttpError(response.status, response.statusText);
+        }
+        html = await response.text();
+      } catch (error) {
+        console.log(`Could not fetch the guest job listing: ${error.message}`);
+        return { postings: [], hasMore: false, error: 'guest_search_failed' };
+      }
+
+      const result = await cardReader.read(html, pageUrl, pageIndex);
+      if (!result.set) {
+        // An empty listing is the end of the results; markup without cards means the layout has changed
+        return result.empty ? { postings: [], hasMore: false } : null;
+      }
+      return {
+        postings: toPostings(result.postings),
+        hasMore: result.cardCount >= SCAN_CONFIG.GUEST_SEARCH_PAGE_SIZE,
+        selectorSet: result.set
+      };
+    },
+
+    async close() {}
+  };
+}
+
+// Ensure browser is always closed, even on error
+async function closeBrowser(browser) {
+  try {
+    console.log('Closing browser...');
+    await browser.close();
+    console.log('Browser closed successfully');
+  } catch (closeError) {
+    console.error('Error closing browser:', closeError.message);
+  }
+}
+
+// Fetch a job page with browser-like headers. With the validators from an earlier fetch, the request is
+// conditional and an unchanged page answers 304 without a body.
+function fetchJobPage(url, validators = null) {
+  const conditionalHeaders = {};
+  if (validators?.etag) conditionalHeaders['If-None-Match'] = validators.etag;
+  if (validators?.lastModified) conditionalHeaders['If-Modified-Since'] = validators.lastModified;
+
+  return fetch(url, {
+    headers: { ...conditionalHeaders, ...BROWSER_HEADERS },
+    // Add timeout to prevent hanging
+    signal: AbortSignal.timeout(30000) // 30 second timeout
+  });
+}
+
+
+// Fetch a job page and extract its text. Closed postings throw JobClosedError.
+// Given validators from an earlier fetch, the fetch is conditional and a 304 returns the job's cached content
+// (when given) as `notModified`.
+async function fetchDetails(job, { cached = null, validators = null } = {}) {
+  if (!job.url) {
+    throw new Error('Job URL is required for deep scanning');
+  }
+
+  console.log(`  → Fetching job URL via HTTP: ${job.url}`);
+  const startTime = Date.now();
+  
+  try {
+    const response = await fetchJobPage(job.url, validators);
+
+    const fetchTime = Date.now() - startTime;
+    console.log(`  → HTTP fetch completed in ${fetchTime}ms, status: ${response.status}`);
+
+    if (response.status === 304) {
+      console.log(cached ? `  → Page not modified since ${cached.fetchedAt}, using cached content` : `  → Page not modified`);
+      return { ...(cached || {}), validators, notModified: true };
+    }
+
+    if (!response.ok) {
+      const closedReason = detectClosedPosting({ status: response.status });
+      if (closedReason) {
+        throw new JobClosedError(closedReason);
+      }
+      throw new HttpError(response.status, response.statusText, { retryAfter: response.headers.get('retry-after') });
+    }
+
+    const html = await response.text();
+    const { pageText, extractedFrom, ...page } = parseJobPage(html);
+    const pageContent = { ...page, url: job.url, html };
+    pageContent.contentHash = hashPageContent(pageContent);
+    pageContent.validators = {
+      etag: response.headers.get('etag') || null,
+      lastModified: response.headers.get('last-modified') || null
+    };
+
+    if (pageContent.extraction === 'structured') {
+      console.log(`  → Extracted the posting (${pageContent.fullContent.length} characters) from ${extractedFrom.join(', ')}`);
+    } else {
+      console.log(`  ⚠️  Warning: LinkedIn posting sections not found, using the full page text (${pageContent.fullContent.length} characters)`);
+    }
+
+    const closedReason = detectClosedPosting({ requestedUrl: job.url, finalUrl: response.url, text: pageText });
+    if (closedReason) {
+      throw new JobClosedError(closedReason);
+    }
+
+    if (pageContent.fullContent.length === 0) {
+      throw new ParseError('No content could be extracted from the job page');
+    }
+
+    // Validate that we got meaningful job content
+    if (pageText.length < 500) {
+      console.log(`  ⚠️  Warning: Very little content extracted (${pageText.length} chars), may need JavaScript rendering`);
+    }
+
+    // Check for job-related content to ensure we got the right page
+    const hasJobKeywords = /job|position|role|responsibilities|requirements|qualifications|description/i.test(pageText);
+    if (!hasJobKeywords) {
+      console.log(`  ⚠️  Warning: No job-related keywords found in content, may be blocked or redirected`);
+    }
+
+    return pageContent;
+
+  } catch (error) {
+    const totalTime = Date.now() - startTime;
+    console.log(`  → HTTP fetch failed after ${totalTime}ms: ${error.message}`);
+    
+    // Log additional error details for debugging
+    if (error instanceof JobClosedError) {
+      console.log(`  → Posting is closed`);
+    } else if (error.name === 'AbortError') {
+      console.log(`  → Request timed out after 30 seconds`);
+    } else if (error.message.includes('HTTP')) {
+      console.log(`  → Server returned error response`);
+    } else {
+      console.log(`  → Network or parsing error`);
+    }
+    
+    throw error;
+  }
+}
+
+// Parse a fetched job page. `fullContent` is the text given to the LLM: the structured LinkedIn posting when
+// its sections can be found (extraction 'structured'), otherwise the whole page text ('full_text').
+// `description` is what change detection and fingerprints are computed from, `pageText` the whole page
+// text, which closed postings are detected from, and `extractedFrom` the JSON-LD and sections that matched.
+function parseJobPage(html) {
+  const $ = cheerio.load(html);
+  // Before extractJobContent strips the scripts holding the JSON-LD
+  const posting = extractLinkedInPosting($);
+  const pageText = extractJobContent($);
+  return {
+    title: $('title').text() || '',
+    fullContent: posting ? formatPostingText(posting) : pageText,
+    description: posting?.description || pageText,
+    extraction: posting ? 'structured' : 'full_text',
+    posting: summarizePosting(posting),
+    pageText,
+    extractedFrom: posting ? [...(posting.source.jsonLd ? ['json-ld'] : []), ...Object.keys(posting.source.matched)] : []
+  };
+}
+
+// Extract meaningful job content from the parsed HTML
+function extractJobContent($) {
+  // Remove script and style elements
+  $('script, style, noscript').remove();
+  
+  // Try to get the main body text, similar to document.body.innerText
+  let fullContent = $('body').text();
+  
+  // Clean up the text - remove excessive whitespace
+  fullContent = fullContent
+    .replace(/\s+/g, ' ')  // Replace multiple whitespace with single space
+    .replace(/\n\s*\n/g, '\n')  // Remove empty lines
+    .trim();
+  
+  return fullContent;
+}
+
+export const linkedinSource = {
+  name: 'linkedin',
+
+  matchesUrl(url) {
+    return /^https?:\/\/([a-z]+\.)?linkedin\.com\//i.test(url);
+  },
+
+  buildSearchRequests(plan) {
+    return (plan?.searchUrls || []).map(search => ({ ...search, source: 'linkedin' }));
+  },
+
+  startSearch,
+  fetchDetails,
+  jobIdFromUrl
+};
@@ -0,0 +1,179 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { greenhouseSource } from '../src/sources/greenhouse.js';
+import { leverSource } from '../src/sources/lever.js';
+import { ashbySource } from '../src/sources/ashby.js';
+import { JobClosedError } from '../src/lifecycle.js';
+import { setFetchHandler, requests, jsonResponse } from './support/fetch.js';
+import { readJsonFixture } from './support/fixtures.js';
+
+// The postings a source lists for its first board in the plan
+async function listBoard(source, board) {
+  const [request] = source.buildSearchRequests({ sources: [board] });
+  const session = await source.startSearch();
+  return session.listPage(request, 0);
+}
+
+test('Greenhouse board jobs are listed with their board and posting IDs', async () => {
+  setFetchHandler(() => jsonResponse(readJsonFixture('boards/greenhouse-jobs.json')));
+
+  const page = await listBoard(greenhouseSource, { type: 'greenhouse', board: 'acme', company: 'Acme' });
+
+  assert.equal(requests[0].url, 'https://boards-api.greenhouse.io/v1/boards/acme/jobs?content=true');
+  assert.equal(page.hasMore, false);
+  assert.deepEqual(page.postings, [
+    {
+      id: 'greenhouse:acme:4012345',
+      source: 'greenhouse',
+      sourceRef: { board: 'acme', id: '4012345' },
+      title: 'Senior Backend Engineer',
+      company: 'Acme',
+      location: 'Sydney, Australia',
+      url: 'https://boards.greenhouse.io/acme/jobs/4012345',
+      postedAt: '2026-10-02T13:30:00.000Z'
+    },
+    {
+      id: 'greenhouse:acme:4012346',
+      source: 'greenhouse',
+      sourceRef: { board: 'acme', id: '4012346' },
+      title: 'Product Designer',
+      company: 'Acme',
+      location: null,
+      url: 'https://boards.greenhouse.io/acme/jobs/4012346',
+      postedAt: '2026-10-11T12:00:00.000Z'
+    }
+  ]);
+});
+
+test('a Greenhouse posting is read from its job endpoint', async () => {
+  setFetchHandler(() => jsonResponse(readJsonFixture('boards/greenhouse-job.json'), { headers: { ETag: '"v1"' } }));
+  const job = { id: 'greenhouse:acme:4012345', company: 'Acme', url: 'https://boards.greenhouse.io/acme/jobs/4012345' };
+
+  const page = await greenhouseSource.fetchDetails(job);
+
+  assert.equal(requests[0].url, 'https://boards-api.greenhouse.io/v1/boards/acme/jobs/4012345');
+  assert.equal(page.fullContent, [
+    'Title: Senior Backend Engineer',
+    'Company: Acme',
+    'Location: Sydney, Australia',
+    'Posted: on 2026-10-02',
+    'Job function: Engineering, Payments',
+    '',
+    'Description:',
+    'Build our payments platform.',
+    '- Go',
+    '- Postgres'
+  ].join('\n'));
+  assert.equal(page.description, 'Build our payments platform. - Go - Postgres');
+  assert.deepEqual(page.validators, { etag: '"v1"', lastModified: null });
+});
+
+test('Lever postings are listed and read with their lists, commitment and salary', async () => {
+  setFetchHandler(() => jsonResponse(readJsonFixture('boards/lever-postings.json')));
+
+  const page = await listBoard(leverSource, { type: 'lever', board: 'globex', company: 'Globex' });
+
+  assert.equal(requests[0].url, 'https://api.lever.co/v0/postings/globex?mode=json');
+  assert.deepEqual(page.postings.map(posting => [posting.id, posting.title, posting.location, posting.postedAt]), [
+    ['lever:globex:5f0c1a2b-3c4d-4e5f-8a9b-0c1d2e3f4a5b', 'Site Reliability Engineer', 'Melbourne', '2025-10-07T01:20:00.000Z']
+  ]);
+
+  setFetchHandler(() => jsonResponse(readJsonFixture('boards/lever-posting.json')));
+  const details = await leverSource.fetchDetails({ ...page.postings[0] });
+
+  assert.equal(requests[0].url, 'https://api.lever.co/v0/postings/globex/5f0c1a2b-3c4d-4e5f-8a9b-0c1d2e3f4a5b');
+  assert.equal(details.fullContent, [
+    'Title: Site Reliability Engineer',
+    'Company: Globex',
+    'Location: Melbourne',
+    'Posted: on 2025-10-07',
+    'Salary: AUD 150,000 - 180,000 per year salary',
+    'Employment type: Full-time',
+    'Job function: Engineering, Infrastructure',
+    '',
+    'Description:',
+    'Keep our services up.',
+    'What you\'ll do',
+    '- Run Kubernetes',
+    '- Own on-call',
+    'We sponsor visas.'
+  ].join('\n'));
+});
+
+test('Ashby boards list only their listed jobs, and a posting is read from its board', async () => {
+  setFetchHandler(() => jsonResponse(readJsonFixture('boards/ashby-board.json')));
+
+  const page = await listBoard(ashbySource, { type: 'ashby', board: 'initech', company: null });
+
+  assert.equal(requests[0].url, 'https://api.ashbyhq.com/posting-api/job-board/initech?includeCompensation=true');
+  assert.deepEqual(page.postings.map(posting => [posting.id, posting.company, posting.location]), [
+    ['ashby:initech:0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d', 'initech', 'Brisbane'],
+    ['ashby:initech:1b2c3d4e-5f6a-4b7c-9d8e-0f1a2b3c4d5e', 'initech', 'Brisbane']
+  ]);
+
+  const details = await ashbySource.fetchDetails({ ...page.postings[0], company: 'Initech' });
+
+  assert.equal(details.fullContent, [
+    'Title: Machine Learning Engineer',
+    'Company: Initech',
+    'Location: Brisbane / Remote',
+    'Posted: on 2026-10-03',
+    'Salary: A$170K – A$200K',
+    'Employment type: Full time',
+    'Job function: Engineering, Applied ML',
+    '',
+    'Description:',
+    'Train ranking models.',
+    '- PyTorch'
+  ].join('\n'));
+
+  const plain = await ashbySource.fetchDetails({ url: 'https://jobs.ashbyhq.com/initech/1b2c3d4e-5f6a-4b7c-9d8e-0f1a2b3c4d5e', company: 'Initech' });
+  assert.equal(plain.description, 'Report on product metrics.');
+  assert.match(plain.fullContent, /Employment type: Part time/);
+});
+
+test('an Ashby board is fetched once per run for all of its jobs', async () => {
+  setFetchHandler(() => jsonResponse(readJsonFixture('boards/ashby-board.json')));
+  const runCache = new Map();
+  const jobs = [
+    { sourceRef: { board: 'initech', id: '0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d' }, company: 'Initech' },
+    { sourceRef: { board: 'initech', id: '1b2c3d4e-5f6a-4b7c-9d8e-0f1a2b3c4d5e' }, company: 'Initech' }
+  ];
+
+  const pages = await Promise.all(jobs.map(job => ashbySource.fetchDetails(job, { runCache })));
+
+  assert.deepEqual(pages.map(page => page.title), ['Machine Learning Engineer', 'Data Analyst']);
+  assert.equal(requests.length, 1);
+});
+
+test('an Ashby board that failed to load is fetched again on retry', async () => {
+  setFetchHandler(() => new Response('', { status: 503, statusText: 'Service Unavailable' }));
+  const runCache = new Map();
+  const job = { sourceRef: { board: 'initech', id: '0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d' }, company: 'Initech' };
+
+  await assert.rejects(ashbySource.fetchDetails(job, { runCache }), /503/);
+  setFetchHandler(() => jsonResponse(readJsonFixture('boards/ashby-board.json')));
+
+  const page = await ashbySource.fetchDetails(job, { runCache });
+  assert.equal(page.title, 'Machine Learning Engineer');
+});
+
+test('postings removed from their board are reported as closed', async () => {
+  setFetchHandler(() => new Response('{}', { status: 404, statusText: 'Not Found' }));
+  await assert.rejects(greenhouseSource.fetchDetails({ url: 'https://boards.greenhouse.io/acme/jobs/4012345' }), JobClosedError);
+  await assert.rejects(leverSource.fetchDetails({ url: 'https://jobs.lever.co/globex/5f0c1a2b-3c4d-4e5f-8a9b-0c1d2e3f4a5b' }), JobClosedError);
+
+  // Ashby has no posting endpoint: a posting missing from its board, or no longer listed, has closed
+  setFetchHandler(() => jsonResponse(readJsonFixture('boards/ashby-board.json')));
+  await assert.rejects(ashbySource.fetchDetails({ url: 'https://jobs.ashbyhq.com/initech/9f9f9f9f-0000-4000-8000-000000000000' }), JobClosedError);
+  await assert.rejects(ashbySource.fetchDetails({ url: 'https://jobs.ashbyhq.com/initech/2c3d4e5f-6a7b-4c8d-8e9f-1a2b3c4d5e6f' }), JobClosedError);
+});
+
+test('a board that does not exist is reported on its search request', async () => {
+  setFetchHandler(() => new Response('{}', { status: 404, statusText: 'Not Found' }));
+
+  const page = await listBoard(greenhouseSource, { type: 'greenhouse', board: 'nobody' });
+
+  assert.deepEqual(page, { postings: [], hasMore: false, error: 'board_not_found' });
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeDealbreakers, checkCardDealbreakers, checkAnalysisDealbreakers } from '../src/dealbreakers.js';
+
+const visa = normalizeDealbreakers({ requiresVisaSponsorship: true });
+
+test('visa sponsorship is checked against the posting text, not the summary', () => {
+  const analysis = { description: 'A backend role building payment systems.' };
+  const postingText = 'You will build payment systems. Unfortunately we are unable to sponsor visas for this role.';
+
+  const excluded = checkAnalysisDealbreakers({}, analysis, visa, postingText);
+
+  assert.equal(excluded.rule, 'visa_sponsorship');
+  assert.match(excluded.reason, /unable to sponsor/);
+});
+
+test('the summary is checked when there is no posting text', () => {
+  const analysis = { description: 'Citizens only. Builds payment systems.' };
+
+  assert.equal(checkAnalysisDealbreakers({}, analysis, visa).rule, 'visa_sponsorship');
+  assert.equal(checkAnalysisDealbreakers({}, { description: 'Builds payment systems.' }, visa, 'Sponsorship available.'), null);
+});
+
+test('card salaries in a bare dollar are only held against a minimum without a currency', () => {
+  const card = { cardDetails: { salaryRange: { min: 90000, max: 100000, currency: null, period: 'year', text: '$90K/yr - $100K/yr' } } };
+
+  assert.equal(checkCardDealbreakers(card, normalizeDealbreakers({ minSalary: { amount: 150000, currency: 'AUD' } })), null);
+  assert.equal(checkCardDealbreakers(card, normalizeDealbreakers({ minSalary: { amount: 150000 } })).rule, 'min_salary');
+});
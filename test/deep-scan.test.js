@@ -0,0 +1,154 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { httpPerformDeepScan } from '../src/http-deep-scan.js';
+import { SCAN_CONFIG } from '../src/constants.js';
+import { setFetchHandler, requests, htmlResponse } from './support/fetch.js';
+import { createTestAgent } from './support/agent.js';
+import { readFixture } from './support/fixtures.js';
+
+const jobPage = readFixture('linkedin/job-page.html');
+
+function linkedinJob(id) {
+  return { id, url: `https://www.linkedin.com/jobs/view/${id}/`, title: `Engineer ${id}`, company: 'Acme', source: 'linkedin', scanned: false };
+}
+
+function requestsFor(id) {
+  return requests.filter(request => request.url.includes(`/jobs/view/${id}/`));
+}
+
+beforeEach(() => {
+  setFetchHandler(() => htmlResponse(jobPage));
+});
+
+test('a throttled page is retried after the backoff and the job scored', async () => {
+  let throttled = false;
+  setFetchHandler(() => {
+    if (!throttled) {
+      throttled = true;
+      return new Response('', { status: 429, statusText: 'Too Many Requests', headers: { 'Retry-After': '0' } });
+    }
+    return htmlResponse(jobPage);
+  });
+  const agent = createTestAgent({ jobs: [linkedinJob('1')] });
+
+  await httpPerformDeepScan(agent);
+
+  assert.equal(requestsFor('1').length, 2);
+  assert.equal(agent.jobStore.jobs.get('1').scanStatus, 'completed');
+  assert.equal(agent.llm.calls, 1);
+});
+
+test('a host that keeps throttling leaves the job queued for a later run', async () => {
+  setFetchHandler(() => new Response('', { status: 503, statusText: 'Service Unavailable', headers: { 'Retry-After': '0' } }));
+  const agent = createTestAgent({ jobs: [linkedinJob('1')] });
+
+  await httpPerformDeepScan(agent);
+
+  assert.equal(requestsFor('1').length, SCAN_CONFIG.HOST_BACKOFF_RETRIES + 1);
+  const job = agent.jobStore.jobs.get('1');
+  assert.equal(job.scanStatus, 'retry_pending');
+  assert.equal(job.scanError.status, 503);
+  assert.equal(agent.llm.calls, 0);
+});
+
+test('every worker holds off a throttled host until its backoff expires', async () => {
+  const startedAt = Date.now();
+  setFetchHandler(url => {
+    if (url.includes('/jobs/view/1/') && requestsFor('1').length === 1) {
+      return new Response('', { status: 429, statusText: 'Too Many Requests', headers: { 'Retry-After': '1' } });
+    }
+    return htmlResponse(jobPage);
+  });
+  const times = {};
+  const agent = createTestAgent({ jobs: ['1', '2', '3'].map(linkedinJob), env: { DEEP_SCAN_CONCURRENCY: '2' } });
+  const updateJob = agent.jobStore.updateJob;
+  agent.jobStore.updateJob = async (id, changes) => {
+    times[id] = Date.now() - startedAt;
+    return updateJob(id, changes);
+  };
+
+  await httpPerformDeepScan(agent);
+
+  // Job 2 was fetched alongside job 1's throttled request; job 3 had to wait out the backoff
+  assert.ok(times['2'] < 900, `job 2 finished after ${times['2']}ms`);
+  assert.ok(times['3'] >= 900, `job 3 finished after ${times['3']}ms`);
+  assert.ok(['1', '2', '3'].every(id => agent.jobStore.jobs.get(id).scanStatus === 'completed'));
+});
+
+test('each result is stored as it lands, with a heartbeat after it', async () => {
+  setFetchHandler(url => url.includes('/jobs/view/2/')
+    ? new Response('', { status: 500, statusText: 'Server Error' })
+    : htmlResponse(jobPage));
+  const agent = createTestAgent({ jobs: ['1', '2', '3'].map(linkedinJob), env: { DEEP_SCAN_CONCURRENCY: '1' } });
+  const log = [];
+  const { updateJob, saveScanState } = agent.jobStore;
+  agent.jobStore.updateJob = async (id, changes) => {
+    log.push(`update ${id} ${changes.scanStatus}`);
+    return updateJob(id, changes);
+  };
+  agent.jobStore.saveScanState = async state => {
+    log.push(`persist ${state.deepScanProgress?.completed ?? '-'}`);
+    return saveScanState(state);
+  };
+
+  await httpPerformDeepScan(agent);
+
+  assert.deepEqual(log, [
+    'persist 0',
+    'update 1 completed',
+    'persist 1',
+    'update 2 retry_pending',
+    'persist 1',
+    'update 3 completed',
+    'persist 2'
+  ]);
+  assert.equal(agent.backgroundJobs.scan.deepScanProgress.errors, 1);
+  assert.equal(agent.backgroundJobs.scan.deepScanProgress.retriesScheduled, 1);
+});
+
+test('a posting that rules out sponsorship is excluded even when the summary leaves it out', async () => {
+  setFetchHandler(() => htmlResponse(jobPage.replace('Hybrid in Sydney.', 'Hybrid in Sydney. We are unable to sponsor visas for this role.')));
+  const agent = createTestAgent({
+    jobs: [linkedinJob('1')],
+    plan: { profile: 'Backend engineer', dealbreakers: { requiresVisaSponsorship: true } }
+  });
+
+  await httpPerformDeepScan(agent);
+
+  const job = agent.jobStore.jobs.get('1');
+  assert.equal(job.scanStatus, 'excluded');
+  assert.equal(job.exclusion.rule, 'visa_sponsorship');
+});
+
+test('a cancelled run keeps the results stored before the cancellation', async () => {
+  const agent = createTestAgent({ jobs: ['1', '2', '3'].map(linkedinJob), env: { DEEP_SCAN_CONCURRENCY: '1' } });
+  const updateJob = agent.jobStore.updateJob;
+  agent.jobStore.updateJob = async (id, changes) => {
+    await updateJob(id, changes);
+    agent.backgroundJobs.scan.cancelled = true;
+  };
+
+  await httpPerformDeepScan(agent);
+
+  assert.deepEqual(agent.jobStore.updates.map(update => update.id), ['1']);
+  assert.equal(agent.jobStore.jobs.get('1').scanStatus, 'completed');
+  assert.equal(agent.jobStore.jobs.get('2').scanned, false);
+});
+
+test('a result that fails to store counts as an error without ending the other workers', async () => {
+  const agent = createTestAgent({ jobs: ['1', '2', '3', '4'].map(linkedinJob), env: { DEEP_SCAN_CONCURRENCY: '2' } });
+  const updateJob = agent.jobStore.updateJob;
+  agent.jobStore.updateJob = async (id, changes) => {
+    if (id === '1') throw new Error('Storage unavailable');
+    return updateJob(id, changes);
+  };
+
+  await httpPerformDeepScan(agent);
+
+  assert.deepEqual(agent.jobStore.updates.map(update => update.id).sort(), ['2', '3', '4']);
+  const progress = agent.backgroundJobs.scan.deepScanProgress;
+  assert.equal(progress.completed, 3);
+  assert.equal(progress.errors, 1);
+  assert.deepEqual(progress.inFlight, []);
+});
@@ -0,0 +1,76 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { lookupGeoCandidates, resolveGeoId, resolvePlanLocations } from '../src/geo.js';
+import { setFetchHandler, requests, jsonResponse } from './support/fetch.js';
+import { createKV } from './support/kv.js';
+import { readJsonFixture } from './support/fixtures.js';
+
+const sydney = readJsonFixture('geo/typeahead-sydney.json');
+
+beforeEach(() => {
+  setFetchHandler(() => jsonResponse(sydney));
+});
+
+test('lookupGeoCandidates reads the typeahead hits', async () => {
+  const candidates = await lookupGeoCandidates('Sydney', 'city');
+
+  assert.deepEqual(candidates.map(candidate => candidate.geoId), ['104769905', '90009524', '103226734']);
+  assert.equal(candidates[0].displayName, 'Sydney, New South Wales, Australia');
+  const params = new URL(requests[0].url).searchParams;
+  assert.equal(params.get('query'), 'Sydney');
+  assert.equal(params.get('typeaheadType'), 'GEO');
+  assert.equal(params.get('geoTypes'), 'POPULATED_PLACE');
+});
+
+test('lookupGeoCandidates reads geo URNs and skips other entities', async () => {
+  setFetchHandler(() => jsonResponse(readJsonFixture('geo/typeahead-urns.json')));
+
+  const candidates = await lookupGeoCandidates('Australia', 'country');
+
+  assert.deepEqual(candidates, [{ geoId: '101452733', displayName: 'Australia' }]);
+  assert.equal(new URL(requests[0].url).searchParams.get('geoTypes'), null);
+});
+
+test('lookupGeoCandidates throws on an error response', async () => {
+  setFetchHandler(() => new Response('', { status: 429, statusText: 'Too Many Requests' }));
+
+  await assert.rejects(lookupGeoCandidates('Sydney'), /HTTP 429/);
+});
+
+test('resolveGeoId caches the first hit and keeps the others as alternatives', async () => {
+  const env = { JOB_STORAGE: createKV() };
+
+  const resolved = await resolveGeoId(env, ' Sydney ');
+  assert.equal(resolved.geoId, '104769905');
+  assert.equal(resolved.alternatives.length, 2);
+
+  setFetchHandler(null);
+  const cached = await resolveGeoId(env, 'sydney');
+  assert.equal(cached.geoId, '104769905');
+});
+
+test('resolvePlanLocations keeps an explicit geoId and resolves the rest', async () => {
+  const env = { JOB_STORAGE: createKV() };
+  const locations = [
+    { name: 'Sydney', type: 'city', geoId: '90009524' },
+    { name: 'Melbourne', type: 'city' },
+    { name: 'Remote', type: 'remote' }
+  ];
+
+  const resolved = await resolvePlanLocations(env, locations);
+
+  assert.equal(resolved[0].geoId, '90009524');
+  assert.equal(resolved[1].geoId, '104769905');
+  assert.deepEqual(resolved[2], locations[2]);
+  assert.equal(requests.length, 1);
+  assert.equal(new URL(requests[0].url).searchParams.get('query'), 'Melbourne');
+});
+
+test('resolvePlanLocations leaves a location as-is when the lookup fails', async () => {
+  setFetchHandler(() => new Response('', { status: 500, statusText: 'Server Error' }));
+
+  const resolved = await resolvePlanLocations({ JOB_STORAGE: createKV() }, [{ name: 'Perth', type: 'city' }]);
+
+  assert.deepEqual(resolved, [{ name: 'Perth', type: 'city' }]);
+});
@@ -0,0 +1,99 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { linkedinSource } from '../src/sources/linkedin.js';
+import { SCAN_CONFIG } from '../src/constants.js';
+import { setFetchHandler, requests, htmlResponse } from './support/fetch.js';
+import { createTestAgent } from './support/agent.js';
+import { readFixture } from './support/fixtures.js';
+
+const request = { url: 'https://www.linkedin.com/jobs/search/?keywords=backend%20engineer&geoId=104769905&f_TPR=r604800' };
+
+let agent;
+
+async function listPage(pageIndex) {
+  const session = await linkedinSource.startSearch(agent, { linkedinSearchMode: 'guest' });
+  return session.listPage(request, pageIndex);
+}
+
+function serve(fixture) {
+  setFetchHandler(() => htmlResponse(fixture === null ? '' : readFixture(`linkedin/${fixture}`)));
+}
+
+beforeEach(() => {
+  agent = createTestAgent();
+  serve('guest-listing-page.html');
+});
+
+test('a full guest listing page gives canonical job URLs and asks for more', async () => {
+  const page = await listPage(0);
+
+  const listingUrl = new URL(requests[0].url);
+  assert.equal(listingUrl.pathname, '/jobs-guest/jobs/api/seeMoreJobPostings/search');
+  assert.equal(listingUrl.searchParams.get('keywords'), 'backend engineer');
+  assert.equal(listingUrl.searchParams.get('geoId'), '104769905');
+  assert.equal(listingUrl.searchParams.get('start'), '0');
+
+  assert.equal(page.selectorSet, 'base-search-card');
+  assert.equal(page.postings.length, SCAN_CONFIG.GUEST_SEARCH_PAGE_SIZE);
+  assert.equal(page.hasMore, true);
+  const [first] = page.postings;
+  assert.deepEqual([first.id, first.source, first.title, first.company, first.location, first.url], [
+    '4012345601', 'linkedin', 'Senior Backend Engineer', 'Acme', 'Sydney, New South Wales, Australia',
+    'https://www.linkedin.com/jobs/view/4012345601/'
+  ]);
+  assert.equal(first.cardDetails.postedText, '1 day ago');
+  assert.equal(agent.backgroundJobs.scan.linkedinSearch.mode, 'guest');
+});
+
+test('a card whose link has no job ID takes it from its entity URN', async () => {
+  const page = await listPage(0);
+
+  const card = page.postings.find(posting => posting.company === 'Globex');
+  assert.equal(card.id, '4012345602');
+  assert.equal(card.url, 'https://www.linkedin.com/jobs/view/4012345602/');
+  assert.equal(card.cardDetails.salaryRange.min, 150000);
+  assert.equal(card.cardDetails.salaryRange.currency, 'AUD');
+  assert.ok(page.postings.every(posting => /^https:\/\/www\.linkedin\.com\/jobs\/view\/\d+\/$/.test(posting.url)));
+});
+
+test('a short page in the older card layout is the last page', async () => {
+  serve('guest-listing-short-page.html');
+
+  const page = await listPage(1);
+
+  assert.equal(new URL(requests[0].url).searchParams.get('start'), String(SCAN_CONFIG.GUEST_SEARCH_PAGE_SIZE));
+  assert.equal(page.selectorSet, 'job-search-card');
+  assert.deepEqual(page.postings.map(posting => [posting.id, posting.title, posting.company, posting.url]), [
+    ['4012345611', 'Frontend Engineer', 'Acme', 'https://www.linkedin.com/jobs/view/4012345611/'],
+    ['4012345612', 'Mobile Engineer', 'Globex', 'https://www.linkedin.com/jobs/view/4012345612/']
+  ]);
+  assert.equal(page.hasMore, false);
+});
+
+test('an empty fragment ends the results', async () => {
+  serve(null);
+
+  const page = await listPage(3);
+
+  assert.deepEqual(page, { postings: [], hasMore: false });
+});
+
+test('markup without job cards means the layout changed', async () => {
+  serve('guest-listing-no-cards.html');
+
+  const page = await listPage(0);
+
+  assert.equal(page, null);
+  const snapshot = await agent.env.JOB_STORAGE.get('selector_snapshot:guest', 'json');
+  assert.equal(snapshot.matchedSet, null);
+  assert.match(snapshot.html, /authwall/);
+});
+
+test('a listing that fails to load is reported on the request', async () => {
+  setFetchHandler(() => new Response('', { status: 429, statusText: 'Too Many Requests' }));
+
+  const page = await listPage(0);
+
+  assert.deepEqual(page, { postings: [], hasMore: false, error: 'guest_search_failed' });
+});
@@ -0,0 +1,78 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { linkedinSource } from '../src/sources/linkedin.js';
+import { JobClosedError } from '../src/lifecycle.js';
+import { setFetchHandler, htmlResponse } from './support/fetch.js';
+import { readFixture } from './support/fixtures.js';
+
+const job = { id: '4012345678', url: 'https://www.linkedin.com/jobs/view/4012345678/' };
+
+function serve(fixture) {
+  setFetchHandler(() => htmlResponse(readFixture(`linkedin/${fixture}`)));
+}
+
+beforeEach(() => {
+  serve('job-page.html');
+});
+
+test('the top card, description and criteria list are read from a full guest page', async () => {
+  const page = await linkedinSource.fetchDetails(job);
+
+  assert.equal(page.extraction, 'structured');
+  assert.deepEqual(page.posting.criteria, {
+    seniority: 'Mid-Senior level',
+    employmentType: 'Full-time',
+    jobFunction: 'Engineering and Information Technology',
+    industries: 'Financial Services'
+  });
+  assert.equal(page.posting.applicantCount, 200);
+  assert.equal(page.posting.postedAt, '2026-10-05T03:12:00.000Z');
+  assert.match(page.fullContent, /^Title: Senior Backend Engineer\nCompany: Acme\nLocation: Sydney, New South Wales, Australia\n/);
+  assert.match(page.fullContent, /Seniority level: Mid-Senior level\nEmployment type: Full-time\n/);
+  assert.match(page.fullContent, /Description:\nWe are hiring a senior backend engineer to build distributed payment systems\.\n- Go and Postgres\n- 5\+ years experience\nYou will mentor engineers\.\nHybrid in Sydney\.$/);
+  assert.doesNotMatch(page.fullContent, /Similar jobs|Sign in/);
+});
+
+test('a page with only the JSON-LD posting is read from the JSON-LD', async () => {
+  serve('job-page-json-ld.html');
+
+  const page = await linkedinSource.fetchDetails(job);
+
+  assert.equal(page.extraction, 'structured');
+  assert.equal(page.description, 'Run our Kubernetes platform. - Terraform - On-call rotation');
+  assert.match(page.fullContent, /^Title: Platform Engineer\nCompany: Globex\nLocation: Melbourne, VIC, AU\n/);
+  assert.match(page.fullContent, /Description:\nRun our Kubernetes platform\.\n- Terraform\n- On-call rotation$/);
+  assert.deepEqual(page.posting.criteria, { employmentType: 'Contractor', industries: 'Software development, it services' });
+  assert.equal(page.posting.validThrough, '2026-10-31T00:00:00.000Z');
+  assert.doesNotMatch(page.fullContent, /Sign in/);
+});
+
+test('a page without JSON-LD is read from the fallback selectors', async () => {
+  serve('job-page-selectors.html');
+
+  const page = await linkedinSource.fetchDetails(job);
+
+  assert.equal(page.extraction, 'structured');
+  assert.match(page.fullContent, /^Title: Data Engineer\nCompany: Initech\nLocation: Brisbane, Queensland, Australia\nPosted: 1 day ago\nApplicants: Be among the first 25 applicants\n/);
+  assert.match(page.fullContent, /Description:\nBuild batch and streaming pipelines\.\n- Spark\n- Airflow$/);
+  assert.deepEqual(page.posting.criteria, {});
+  assert.equal(page.posting.postedAt, null);
+});
+
+test('a page in an unknown layout falls back to its full text', async () => {
+  serve('job-page-unknown-layout.html');
+
+  const page = await linkedinSource.fetchDetails(job);
+
+  assert.equal(page.extraction, 'full_text');
+  assert.equal(page.posting, null);
+  assert.equal(page.fullContent, 'Sign in Join now QA Engineer at Umbrella Write end-to-end tests for our clinical trial software.');
+  assert.equal(page.description, page.fullContent);
+});
+
+test('a missing page is reported as closed', async () => {
+  setFetchHandler(() => new Response('', { status: 404, statusText: 'Not Found' }));
+
+  await assert.rejects(linkedinSource.fetchDetails(job), JobClosedError);
+});
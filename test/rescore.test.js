@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getRescoreJobsTool } from '../src/rescore.js';
+import { createTestAgent } from './support/agent.js';
+import { saveJobContent } from '../src/job-content.js';
+
+function scoredJob(id, matchScore) {
+  return {
+    id, url: `https://www.linkedin.com/jobs/view/${id}/`, title: `Engineer ${id}`, company: 'Acme', source: 'linkedin',
+    scanned: true, scanStatus: 'completed', matchScore, description: 'Builds payment systems.', requirements: ['Go']
+  };
+}
+
+// An agent whose job store lists its scored jobs best match first, as the rescore query does
+function createRescoreAgent(jobs) {
+  const agent = createTestAgent({ jobs });
+  agent.jobStore.listJobs = async ({ hasFeedback } = {}) => hasFeedback
+    ? []
+    : [...agent.jobStore.jobs.values()].sort((a, b) => b.matchScore - a.matchScore);
+  return agent;
+}
+
+test('forced calls page through the jobs instead of re-scoring the same best matches', async () => {
+  const agent = createRescoreAgent([scoredJob('1', 0.9), scoredJob('2', 0.7), scoredJob('3', 0.5)]);
+  const tool = getRescoreJobsTool(agent);
+
+  const first = await tool.handler({ limit: 2, force: true });
+  assert.deepEqual(first.structuredContent.jobs.map(job => job.id), ['1', '2']);
+  assert.equal(first.structuredContent.remaining, 1);
+  assert.match(first.content[0].text, /1 more to go; run rescore_jobs again with force/);
+
+  const second = await tool.handler({ limit: 2, force: true });
+  assert.deepEqual(second.structuredContent.jobs.map(job => job.id), ['3']);
+  assert.equal(second.structuredContent.remaining, 0);
+
+  // The pass is over, so the next forced call starts again from the best match
+  const third = await tool.handler({ limit: 2, force: true });
+  assert.deepEqual(third.structuredContent.jobs.map(job => job.id), ['1', '2']);
+  assert.equal(agent.llm.calls, 5);
+});
+
+test('a new visa dealbreaker is checked against the cached posting text', async () => {
+  const agent = createRescoreAgent([scoredJob('1', 0.9)]);
+  await agent.env.JOB_STORAGE.put('plan', JSON.stringify({ profile: 'Backend engineer', dealbreakers: { requiresVisaSponsorship: true } }));
+  await saveJobContent(agent.env, '1', {
+    url: 'https://www.linkedin.com/jobs/view/1/',
+    title: 'Engineer 1',
+    fullContent: 'Title: Engineer 1\n\nDescription:\nBuilds payment systems. We are unable to sponsor visas for this role.',
+    description: 'Builds payment systems. We are unable to sponsor visas for this role.'
+  });
+
+  const result = await getRescoreJobsTool(agent).handler({});
+
+  assert.equal(result.structuredContent.excluded, 1);
+  const job = agent.jobStore.jobs.get('1');
+  assert.equal(job.scanStatus, 'excluded');
+  assert.equal(job.exclusion.rule, 'visa_sponsorship');
+  assert.equal(job.rescoredFrom, 'cached_page');
+});
+
+test('a job whose LLM call failed does not hold up the rest of a forced pass', async () => {
+  const agent = createRescoreAgent([scoredJob('1', 0.9), scoredJob('2', 0.7), scoredJob('3', 0.5)]);
+  const analyze = agent.llm.analyze;
+  agent.llm.analyze = () => {
+    if (agent.llm.calls === 1) throw new Error('LLM unavailable');
+    return analyze();
+  };
+  const tool = getRescoreJobsTool(agent);
+
+  const first = await tool.handler({ limit: 2, force: true });
+  assert.deepEqual(first.structuredContent.jobs.map(job => job.id), ['2']);
+  assert.equal(first.structuredContent.failed, 1);
+  assert.equal(first.structuredContent.remaining, 1);
+  assert.match(first.content[0].text, /skipped for the rest of this forced pass/);
+
+  const second = await tool.handler({ limit: 2, force: true });
+  assert.deepEqual(second.structuredContent.jobs.map(job => job.id), ['3']);
+  assert.equal(second.structuredContent.remaining, 0);
+  assert.equal(await agent.env.JOB_STORAGE.get('rescore_force_pass', 'json'), null);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HttpError, ParseError, classifyScanError, buildScanFailureChanges } from '../src/retry-policy.js';
+import { RETRY_POLICY } from '../src/constants.js';
+
+test('transient HTTP errors are retried until the attempts run out', () => {
+  const error = new HttpError(503, 'Service Unavailable');
+
+  const retried = buildScanFailureChanges({ attemptCount: RETRY_POLICY.MAX_ATTEMPTS - 2 }, error);
+  assert.equal(retried.scanStatus, 'retry_pending');
+  assert.ok(retried.nextRetryAt);
+
+  const exhausted = buildScanFailureChanges({ attemptCount: RETRY_POLICY.MAX_ATTEMPTS - 1 }, error);
+  assert.equal(exhausted.scanStatus, 'error');
+  assert.equal(exhausted.nextRetryAt, null);
+});
+
+test('removed postings are not retried', () => {
+  assert.deepEqual(classifyScanError(new HttpError(404, 'Not Found')), { reason: 'expired', status: 404, transient: false });
+  assert.equal(buildScanFailureChanges({}, new HttpError(410, 'Gone')).scanStatus, 'error');
+});
+
+test('a page that parsed to nothing is retried once', () => {
+  const error = new ParseError('No content could be extracted from the job page');
+
+  const first = buildScanFailureChanges({}, error);
+  assert.equal(first.scanStatus, 'retry_pending');
+  assert.equal(first.scanError.reason, 'parse_error');
+
+  const second = buildScanFailureChanges({ attemptCount: first.attemptCount }, error);
+  assert.equal(second.scanStatus, 'error');
+  assert.equal(second.attemptCount, RETRY_POLICY.MAX_PARSE_ATTEMPTS);
+});
@@ -0,0 +1,49 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_SELECTOR_PROFILES, getSelectorProfiles, saveSelectorSets } from '../src/selector-profiles.js';
+import { createKV } from './support/kv.js';
+
+const shippedVersion = DEFAULT_SELECTOR_PROFILES.version;
+const fixedSets = [{ name: 'fixed-card', card: '.fixed-card', title: 'h3', link: 'a', idAttribute: 'data-entity-urn' }];
+
+afterEach(() => {
+  DEFAULT_SELECTOR_PROFILES.version = shippedVersion;
+});
+
+test('saved selector sets are used over the defaults they were saved over', async () => {
+  const env = { JOB_STORAGE: createKV() };
+
+  const saved = await saveSelectorSets(env, 'guest', fixedSets);
+  const profiles = await getSelectorProfiles(env);
+
+  assert.equal(saved.version, shippedVersion + 1);
+  assert.equal(saved.baseVersion, shippedVersion);
+  assert.equal(profiles.stored, true);
+  assert.deepEqual(profiles.pages.guest, fixedSets);
+  assert.deepEqual(profiles.pages.search, DEFAULT_SELECTOR_PROFILES.pages.search);
+});
+
+test('saving again keeps the base version of the defaults', async () => {
+  const env = { JOB_STORAGE: createKV() };
+
+  await saveSelectorSets(env, 'guest', fixedSets);
+  const saved = await saveSelectorSets(env, 'search', fixedSets);
+
+  assert.equal(saved.version, shippedVersion + 2);
+  assert.equal(saved.baseVersion, shippedVersion);
+});
+
+test('defaults shipped after the sets were saved win, even at a lower version number', async () => {
+  const env = { JOB_STORAGE: createKV() };
+  await saveSelectorSets(env, 'guest', fixedSets);
+  await saveSelectorSets(env, 'guest', fixedSets);
+
+  // The next release's defaults: newer than the saved sets' base, though not than their save count
+  DEFAULT_SELECTOR_PROFILES.version = shippedVersion + 1;
+  const profiles = await getSelectorProfiles(env);
+
+  assert.equal(profiles.stored, false);
+  assert.equal(profiles.version, shippedVersion + 1);
+  assert.notDeepEqual(profiles.pages.guest, fixedSets);
+});
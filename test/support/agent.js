@@ -0,0 +1,81 @@
+import { SCORING_DIMENSIONS } from '../../src/constants.js';
+import { createScanState } from '../../src/scan-state.js';
+import { createKV } from './kv.js';
+
+// The analysis the fake LLM returns unless a test gives its own
+export function buildAnalysis(fields = {}) {
+  return {
+    title: 'Senior Backend Engineer',
+    company: 'Acme',
+    location: 'Sydney',
+    description: 'Builds payment systems.',
+    requirements: ['Go'],
+    seniority: 'unknown',
+    employmentType: 'unknown',
+    remotePolicy: 'unknown',
+    salaryRange: null,
+    dimensionScores: Object.fromEntries(Object.keys(SCORING_DIMENSIONS).map(name => [name, { score: 0.8, reason: 'Fits' }])),
+    matchReason: 'Good match',
+    ...fields
+  };
+}
+
+// An in-memory job store with the methods the scan phases call. `updates` records each updateJob call in order.
+export function createJobStore(jobs = []) {
+  const byId = new Map(jobs.map(job => [job.id, { ...job }]));
+  const updates = [];
+  return {
+    jobs: byId,
+    updates,
+    async listJobs({ hasFeedback } = {}) {
+      if (hasFeedback) return [];
+      return [...byId.values()].filter(job => !job.scanned);
+    },
+    async updateJob(id, changes) {
+      updates.push({ id, changes });
+      byId.set(id, { ...byId.get(id), ...changes });
+      return byId.get(id);
+    },
+    async insertNewJobs(newJobs) {
+      const inserted = newJobs.filter(job => job.id && !byId.has(job.id));
+      inserted.forEach(job => byId.set(job.id, { ...job }));
+      return inserted;
+    },
+    async markJobsSeen() {
+      return [];
+    },
+    async assignCluster() {
+      return null;
+    },
+    async findDuplicateJobs() {
+      return [];
+    },
+    async setProfileHash() {},
+    async saveScanState(state) {
+      return state;
+    }
+  };
+}
+
+// An agent (the Durable Object the scan runs in) with a fake job store, KV and LLM.
+// `llm.calls` counts the analyses requested; `analyze` gives the analysis the fake LLM returns.
+export function createTestAgent({ jobs = [], plan = { profile: 'Backend engineer' }, env = {}, analyze = () => buildAnalysis() } = {}) {
+  const llm = { calls: 0, analyze };
+  const agent = {
+    env: { JOB_STORAGE: createKV(plan ? { plan } : {}), ...env },
+    jobStore: createJobStore(jobs),
+    backgroundJobs: { scan: createScanState() },
+    openai: {
+      chat: {
+        completions: {
+          async parse() {
+            llm.calls++;
+            return { choices: [{ message: { parsed: await llm.analyze() } }] };
+          }
+        }
+      }
+    },
+    llm
+  };
+  return agent;
+}
@@ -0,0 +1,27 @@
+// node-fetch for the tests: each request is answered by the handler the test installed with setFetchHandler,
+// and recorded in `requests`. A request with no handler installed fails the test.
+
+let handler = null;
+
+export const requests = [];
+
+export function setFetchHandler(next) {
+  handler = next;
+  requests.length = 0;
+}
+
+export function jsonResponse(body, init = {}) {
+  return new Response(JSON.stringify(body), { status: 200, ...init, headers: { 'Content-Type': 'application/json', ...init.headers } });
+}
+
+export function htmlResponse(html, init = {}) {
+  return new Response(html, { status: 200, ...init, headers: { 'Content-Type': 'text/html', ...init.headers } });
+}
+
+export default async function fetch(url, options = {}) {
+  requests.push({ url: String(url), options });
+  if (!handler) {
+    throw new Error(`Unexpected request to ${url}`);
+  }
+  return handler(String(url), options);
+}
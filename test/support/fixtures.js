@@ -0,0 +1,9 @@
+import { readFileSync } from 'node:fs';
+
+export function readFixture(path) {
+  return readFileSync(new URL(`../fixtures/${path}`, import.meta.url), 'utf8');
+}
+
+export function readJsonFixture(path) {
+  return JSON.parse(readFixture(path));
+}
@@ -0,0 +1,14 @@
+// Module resolution hooks for the tests. `cloudflare:workers` and the browser binding only exist inside the
+// Workers runtime, and requests go to the fetch double instead of the network.
+const REPLACEMENTS = {
+  'node-fetch': './fetch.js',
+  'cloudflare:workers': './cloudflare-workers.js',
+  '@cloudflare/playwright': './playwright.js'
+};
+
+export async function resolve(specifier, context, next) {
+  if (specifier in REPLACEMENTS) {
+    return { url: new URL(REPLACEMENTS[specifier], import.meta.url).href, shortCircuit: true };
+  }
+  return next(specifier, context);
+}
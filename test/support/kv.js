@@ -0,0 +1,18 @@
+// An in-memory stand-in for the JOB_STORAGE KV namespace
+export function createKV(entries = {}) {
+  const values = new Map(Object.entries(entries).map(([key, value]) => [key, JSON.stringify(value)]));
+  return {
+    values,
+    async get(key, type) {
+      const value = values.get(key);
+      if (value === undefined) return null;
+      return type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      values.set(key, value);
+    },
+    async delete(key) {
+      values.delete(key);
+    }
+  };
+}
@@ -0,0 +1,3 @@
+export async function launch() {
+  throw new Error('No browser is available in the tests');
+}
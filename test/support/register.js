@@ -0,0 +1,4 @@
+import { register } from 'node:module';
+
+// Loaded with --import before the tests: swaps the Workers runtime modules and the network for test doubles
+register('./hooks.js', import.meta.url);